@@ -7,6 +7,7 @@ const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 const queue = require('express-queue');
 const cors = require("cors");
+const { startScheduledTasks } = require('./utils/scheduledTasks');
 
 
 // Rate limiting
@@ -21,8 +22,9 @@ const compileQueue = queue({ activeLimit: 10, queuedLimit: 50 });
 
 
 
-mongoose.connect('mongodb://localhost:27017/codify').then(() => {
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/codify').then(() => {
   console.log('Connected to MongoDB');
+  startScheduledTasks();
 }).catch(err => {   
   console.log('MongoDB connection error:', err);
 });
@@ -34,12 +36,15 @@ var contestRouter = require('./routes/contests');
 var problemRouter = require('./routes/problems');
 var submissionRouter = require('./routes/submissions');
 var autoSaveRouter = require('./routes/autosave');
+const { authenticate } = require('./utils/auth');
 
 var app = express();
 
 // Allow requests from React frontend
 app.use(cors({ origin: "http://localhost:3000" }));
 
+// Running code needs a signed-in user, checked before it takes a queue slot
+app.use('/compile', authenticate);
 app.use('/compile', compileLimit);
 app.use('/compile', compileQueue);
 
@@ -55,10 +60,11 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/', indexRouter);
 app.use('/', usersRouter);
-app.use('/api/contests', contestRouter);
-app.use('/api/problems', problemRouter);
-app.use('/api/submissions', submissionRouter);
-app.use('/api/autosave', autoSaveRouter);
+// Everything under /api needs a signed-in user (see utils/auth.js)
+app.use('/api/contests', authenticate, contestRouter);
+app.use('/api/problems', authenticate, problemRouter);
+app.use('/api/submissions', authenticate, submissionRouter);
+app.use('/api/autosave', authenticate, autoSaveRouter);
 
 
 // catch 404 and forward to error handler
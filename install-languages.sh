@@ -36,7 +36,55 @@ echo "📦 Installing PHP CLI..."
 sudo apt install -y php-cli
 
 # Install additional useful packages
-sudo apt install -y curl wget git
+sudo apt install -y curl wget git unzip
+
+# Toolchains installed outside /usr get a link in /usr/local/bin: the judge
+# sandbox only searches /usr/local/bin, /usr/bin and /bin
+link_tool() {
+    sudo ln -sf "$1" "/usr/local/bin/$(basename "$1")"
+}
+
+# Install Rust (system-wide, so the sandbox can see it)
+echo "📦 Installing Rust..."
+sudo apt install -y rustc
+
+# Install Kotlin (needs the JDK above)
+KOTLIN_VERSION="${KOTLIN_VERSION:-2.1.0}"
+echo "📦 Installing Kotlin $KOTLIN_VERSION..."
+if ! command -v kotlinc &> /dev/null; then
+    curl -fsSL -o /tmp/kotlin-compiler.zip \
+        "https://github.com/JetBrains/kotlin/releases/download/v$KOTLIN_VERSION/kotlin-compiler-$KOTLIN_VERSION.zip"
+    sudo rm -rf /opt/kotlinc
+    sudo unzip -q /tmp/kotlin-compiler.zip -d /opt
+    rm -f /tmp/kotlin-compiler.zip
+fi
+[ -x /opt/kotlinc/bin/kotlinc ] && link_tool /opt/kotlinc/bin/kotlinc
+
+# Install C# (Mono's compiler; a .NET 10+ SDK in /usr/local/bin is preferred when present)
+echo "📦 Installing C# (Mono)..."
+sudo apt install -y mono-mcs mono-runtime
+
+# Install TypeScript with Node.js type declarations
+echo "📦 Installing TypeScript..."
+sudo npm install -g typescript @types/node
+
+# Install Swift
+SWIFT_VERSION="${SWIFT_VERSION:-6.0.3}"
+echo "📦 Installing Swift $SWIFT_VERSION..."
+if ! command -v swiftc &> /dev/null; then
+    SWIFT_PLATFORM=$(. /etc/os-release && echo "$ID$VERSION_ID")
+    SWIFT_PLATFORM_DIR=$(echo "$SWIFT_PLATFORM" | tr -d '.')
+    curl -fsSL -o /tmp/swift.tar.gz \
+        "https://download.swift.org/swift-$SWIFT_VERSION-release/$SWIFT_PLATFORM_DIR/swift-$SWIFT_VERSION-RELEASE/swift-$SWIFT_VERSION-RELEASE-$SWIFT_PLATFORM.tar.gz" \
+        && sudo mkdir -p /opt/swift \
+        && sudo tar -xzf /tmp/swift.tar.gz -C /opt/swift --strip-components=1
+    rm -f /tmp/swift.tar.gz
+fi
+[ -x /opt/swift/usr/bin/swiftc ] && link_tool /opt/swift/usr/bin/swiftc
+
+# Install Haskell
+echo "📦 Installing GHC..."
+sudo apt install -y ghc
 
 echo "✅ Installation complete!"
 echo "🔍 Verifying installations..."
@@ -52,6 +100,12 @@ g++ --version
 go version
 ruby --version
 php --version
+rustc --version
+kotlinc -version
+if command -v dotnet &> /dev/null; then dotnet --version; else mcs --version; fi
+tsc --version
+swiftc --version
+ghc --version
 
 echo "🎉 All languages installed successfully!"
 
@@ -205,6 +259,61 @@ if [ -n "$PHP_PATH" ]; then
     fi
 fi
 
+# Rust Configuration
+echo "🦀 Configuring Rust..."
+RUSTC_PATH=$(which rustc 2>/dev/null)
+if [ -n "$RUSTC_PATH" ]; then
+    add_to_path "$(dirname "$RUSTC_PATH")"
+fi
+
+# Kotlin Configuration
+echo "🟣 Configuring Kotlin..."
+KOTLINC_PATH=$(which kotlinc 2>/dev/null)
+if [ -n "$KOTLINC_PATH" ]; then
+    KOTLIN_HOME_PATH=$(readlink -f "$KOTLINC_PATH" | sed "s:/bin/kotlinc::")
+    if [ -d "$KOTLIN_HOME_PATH" ]; then
+        set_env_var "KOTLIN_HOME" "$KOTLIN_HOME_PATH"
+        add_to_path "$KOTLIN_HOME_PATH/bin"
+    fi
+fi
+
+# C# Configuration
+echo "🟪 Configuring C#..."
+if command -v dotnet &> /dev/null; then
+    DOTNET_ROOT_PATH=$(dirname "$(readlink -f "$(which dotnet)")")
+    set_env_var "DOTNET_ROOT" "$DOTNET_ROOT_PATH"
+    set_env_var "DOTNET_CLI_TELEMETRY_OPTOUT" "1"
+    add_to_path "$DOTNET_ROOT_PATH"
+elif command -v mcs &> /dev/null; then
+    add_to_path "$(dirname "$(which mcs)")"
+else
+    echo "⚠️ No C# compiler found (install a .NET SDK or mono-mcs)"
+fi
+
+# TypeScript Configuration
+echo "🔷 Configuring TypeScript..."
+TSC_PATH=$(which tsc 2>/dev/null)
+if [ -n "$TSC_PATH" ]; then
+    add_to_path "$(dirname "$TSC_PATH")"
+    if [ ! -d "$(npm root -g 2>/dev/null)/@types/node" ]; then
+        echo "⚠️ @types/node is missing: run 'sudo npm install -g @types/node'"
+    fi
+fi
+
+# Swift Configuration
+echo "🐦 Configuring Swift..."
+SWIFTC_PATH=$(which swiftc 2>/dev/null)
+if [ -n "$SWIFTC_PATH" ]; then
+    add_to_path "$(dirname "$(readlink -f "$SWIFTC_PATH")")"
+fi
+
+# Haskell Configuration
+echo "λ Configuring Haskell..."
+GHC_PATH=$(which ghc 2>/dev/null)
+if [ -n "$GHC_PATH" ]; then
+    add_to_path "$(dirname "$GHC_PATH")"
+fi
+
 # Additional PATH configurations
 echo "🔧 Adding additional useful paths..."
 
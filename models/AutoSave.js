@@ -1,6 +1,7 @@
 // models/AutoSave.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { LANGUAGE_KEYS } = require('../utils/languages');
 
 const AutoSaveSchema = new Schema({
     userId: {
@@ -25,7 +26,7 @@ const AutoSaveSchema = new Schema({
     language: {
         type: String,
         required: true,
-        enum: ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php']
+        enum: LANGUAGE_KEYS
     },
     lastSavedAt: {
         type: Date,
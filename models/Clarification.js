@@ -0,0 +1,81 @@
+// models/Clarification.js
+//
+// A question a contest participant asked, with the judges' answer, or an
+// announcement to the whole contest (see utils/clarifications.js).
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ClarificationSchema = new Schema({
+    contestId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Contest',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['question', 'announcement'],
+        required: true
+    },
+    // The problem it is about; null for the contest in general
+    problemId: {
+        type: String,
+        default: null
+    },
+    // The question or the announcement
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    },
+    // Who asked (questions) or announced
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    authorName: {
+        type: String,
+        default: ''
+    },
+    // Team contests: the asker's team, whose members all see the question
+    teamId: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+    answer: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: ''
+    },
+    answeredBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    answeredAt: {
+        type: Date
+    },
+    // 'private': only the asker (and their team) sees it; 'public': every
+    // participant does. Announcements are always public.
+    visibility: {
+        type: String,
+        enum: ['private', 'public'],
+        default: 'private'
+    },
+    // When participants who can see it were last notified (announced or
+    // answered); unread counts compare it with their read time
+    publishedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ClarificationSchema.index({ contestId: 1, createdAt: -1 });
+ClarificationSchema.index({ contestId: 1, publishedAt: 1 });
+
+module.exports = mongoose.model('Clarification', ClarificationSchema);
@@ -1,6 +1,11 @@
 // models/Contest.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { CheckerSchema, InteractorSchema, SubtaskSchema } = require('./Problem');
+const { validateSubtasks } = require('../utils/subtasks');
+const { LANGUAGE_KEYS, compilerFlagsError } = require('../utils/languages');
+const { SCORING_MODES, DEFAULT_SCORING_MODE, buildLeaderboard } = require('../utils/leaderboard');
+const { TIMING_MODES, timingError, lateRankingError } = require('../utils/contestWindow');
 
 const ContestParticipantSchema = new Schema({
     userId: {
@@ -70,9 +75,55 @@ const ContestParticipantSchema = new Schema({
     lastActivityTime: {
         type: Date,
         default: Date.now
+    },
+    // When the participant last read the contest's clarifications
+    // (see utils/clarifications.js)
+    clarificationsReadAt: {
+        type: Date
+    },
+    // Team contests: the team the participant registered with
+    teamId: {
+        type: Schema.Types.ObjectId
+    },
+    // Personal window (settings.timingMode 'personal'): when the
+    // participant started the contest and when their time is up
+    startedAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
     }
 }, { _id: false });
 
+// A team in a team contest (see utils/teams.js); its members are also
+// participants, with the team's _id as teamId
+const ContestTeamSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    members: [{
+        _id: false,
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        name: String,
+        email: String
+    }],
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const ContestProblemSchema = new Schema({
     problemId: {
         type: String,
@@ -142,8 +193,29 @@ const ContestProblemSchema = new Schema({
             isHidden: {
                 type: Boolean,
                 default: false
+            },
+            subtask: {
+                type: String,
+                trim: true
             }
-        }]
+        }],
+        subtasks: {
+            type: [SubtaskSchema],
+            default: undefined
+        },
+        checker: {
+            type: CheckerSchema,
+            default: undefined
+        },
+        problemType: {
+            type: String,
+            enum: ['standard', 'interactive'],
+            default: undefined
+        },
+        interactor: {
+            type: InteractorSchema,
+            default: undefined
+        }
     }
 }, { _id: false });
 
@@ -173,6 +245,16 @@ const FilterCriteriaSchema = new Schema({
     }
 }, { _id: false });
 
+ContestProblemSchema.pre('validate', function(next) {
+    if (this.manualProblem) {
+        const subtaskError = validateSubtasks(this.manualProblem.testCases, this.manualProblem.subtasks);
+        if (subtaskError) {
+            return next(new Error(`${this.title}: ${subtaskError}`));
+        }
+    }
+    next();
+});
+
 const ContestSchema = new Schema({
     title: {
         type: String,
@@ -209,13 +291,13 @@ const ContestSchema = new Schema({
     language: {
         type: String,
         required: true,
-        enum: ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'],
+        enum: LANGUAGE_KEYS,
         default: 'cpp'
     },
     // Alternative: Support multiple languages for the contest
     allowedLanguages: [{
         type: String,
-        enum: ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php']
+        enum: LANGUAGE_KEYS
     }],
     // Language-specific settings
     languageSettings: {
@@ -237,14 +319,64 @@ const ContestSchema = new Schema({
         },
         compilerFlags: {
             type: String,
-            default: ''
+            default: '',
+            validate: {
+                validator: flags => !compilerFlagsError(flags),
+                message: props => compilerFlagsError(props.value)
+            }
+        },
+        // Per-language factors applied to timeLimit, e.g. { java: 2, python: 3 };
+        // languages not listed use the judge defaults
+        timeMultipliers: {
+            type: Map,
+            of: { type: Number, min: 0.1, max: 10 },
+            default: undefined
         }
     },
+    // Follows startDate and endDate (see utils/contestScheduler.js)
     status: {
         type: String,
         enum: ['Upcoming', 'Active', 'Completed', 'Cancelled'],
         default: 'Upcoming'
     },
+    // Every status change, by the scheduler (by: null) or by hand
+    statusHistory: {
+        type: [{
+            _id: false,
+            from: { type: String, required: true },
+            to: { type: String, required: true },
+            at: { type: Date, default: Date.now },
+            by: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+        }],
+        default: []
+    },
+    // Set while the hooks of the last status change have not all run
+    hooksPendingSince: {
+        type: Date
+    },
+    // Set when the contest ends: no more contest submissions
+    submissionsLockedAt: {
+        type: Date
+    },
+    // Ranks when the contest ended, refreshed by rejudges. Not read by
+    // default, since they would show through a frozen leaderboard
+    finalStandings: {
+        type: [{
+            _id: false,
+            rank: Number,
+            userId: { type: Schema.Types.ObjectId, ref: 'User' },
+            teamId: Schema.Types.ObjectId,
+            name: String,
+            score: Number,
+            solved: Number,
+            penalty: Number
+        }],
+        default: undefined,
+        select: false
+    },
+    finalizedAt: {
+        type: Date
+    },
     rules: {
         type: String,
         maxlength: 2000,
@@ -266,6 +398,10 @@ const ContestSchema = new Schema({
             message: 'At least one problem is required'
         }
     },
+    teams: {
+        type: [ContestTeamSchema],
+        default: []
+    },
     participants: {
         type: [ContestParticipantSchema],
         default: []
@@ -316,10 +452,60 @@ const ContestSchema = new Schema({
         }
     },
     settings: {
+        // 'personal': the dates are an availability window and each
+        // participant gets `duration` from when they start (see
+        // utils/contestWindow.js)
+        timingMode: {
+            type: String,
+            enum: TIMING_MODES,
+            default: 'fixed'
+        },
+        // Participants register as teams of up to maxTeamSize students and
+        // are ranked together (see utils/teams.js)
+        teamMode: {
+            type: Boolean,
+            default: false
+        },
+        maxTeamSize: {
+            type: Number,
+            default: 3,
+            min: 1,
+            max: 10
+        },
         allowLateSubmission: {
             type: Boolean,
             default: false
         },
+        // Late submissions (see utils/contestWindow.js): accepted for this
+        // many minutes after the end, worth their score x lateScoreMultiplier
+        // less lateSubmissionPenalty points, and either only shown on the
+        // leaderboard or ranked there
+        lateSubmissionWindow: {
+            type: Number,
+            default: 30,
+            min: 0
+        },
+        lateScoreMultiplier: {
+            type: Number,
+            default: 0.5,
+            min: 0,
+            max: 1
+        },
+        lateSubmissionPenalty: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        lateSubmissionRanking: {
+            type: String,
+            enum: ['exclude', 'include'],
+            default: 'exclude'
+        },
+        // Accept practice submissions once the contest (and late window) is over
+        allowUpsolving: {
+            type: Boolean,
+            default: true
+        },
         showLeaderboard: {
             type: Boolean,
             default: true
@@ -332,17 +518,49 @@ const ContestSchema = new Schema({
             type: Boolean,
             default: false
         },
+        // Minutes before the end from which participants see a frozen
+        // leaderboard (with freezeLeaderboard)
         freezeTime: {
             type: Number,
-            default: 60
+            default: 60,
+            min: 0
+        },
+        // Unfreeze the leaderboard when the contest ends instead of
+        // waiting for the resolver
+        unfreezeAtEnd: {
+            type: Boolean,
+            default: false
         },
         allowViewProblemsBeforeStart: {
             type: Boolean,
             default: false
         },
+        // How the leaderboard ranks participants (see utils/leaderboard.js)
+        scoringMode: {
+            type: String,
+            enum: SCORING_MODES,
+            default: DEFAULT_SCORING_MODE
+        },
+        // Per rejected attempt before a problem is solved: minutes of penalty
+        // time in ICPC mode, points in Codeforces mode
         penaltyPerWrongSubmission: {
             type: Number,
-            default: 0
+            default: 0,
+            min: 0
+        },
+        // Codeforces mode: share of a problem's points lost per minute, and
+        // the share a solution is always worth
+        pointDecayPerMinute: {
+            type: Number,
+            default: 0.004,
+            min: 0,
+            max: 1
+        },
+        minimumPointsRatio: {
+            type: Number,
+            default: 0.3,
+            min: 0,
+            max: 1
         },
         // Language-specific contest settings
         allowLanguageSwitching: {
@@ -351,10 +569,28 @@ const ContestSchema = new Schema({
         },
         defaultLanguage: {
             type: String,
-            enum: ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'],
+            enum: LANGUAGE_KEYS,
             default: 'cpp'
         }
     },
+    // Post-contest reveal of a frozen leaderboard (see utils/resolver.js):
+    // the cells revealed so far, in order, and when everything was
+    resolver: {
+        revealed: {
+            type: [{
+                _id: false,
+                // The participant's, or in team contests the team's
+                userId: { type: Schema.Types.ObjectId, ref: 'User' },
+                teamId: { type: Schema.Types.ObjectId },
+                problemId: { type: String, required: true },
+                revealedAt: { type: Date, default: Date.now }
+            }],
+            default: []
+        },
+        finishedAt: {
+            type: Date
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -363,14 +599,30 @@ const ContestSchema = new Schema({
 
 // Indexes for better query performance
 ContestSchema.index({ status: 1, startDate: 1 });
+ContestSchema.index({ status: 1, endDate: 1 });
+ContestSchema.index({ hooksPendingSince: 1 }, { sparse: true });
 ContestSchema.index({ createdBy: 1 });
 ContestSchema.index({ 'participants.userId': 1 });
+ContestSchema.index({ 'teams.members.userId': 1 });
 ContestSchema.index({ createdAt: -1 });
 ContestSchema.index({ startDate: 1, endDate: 1 });
 ContestSchema.index({ 'problems.problemId': 1 });
 ContestSchema.index({ language: 1 }); // Index for language filtering
 ContestSchema.index({ allowedLanguages: 1 }); // Index for multi-language contests
 
+ContestSchema.pre('validate', function(next) {
+    const error = timingError(this);
+    if (error) {
+        this.invalidate('duration', error, this.duration);
+    }
+    // Older contests with both keep saving; they just do not rank late submissions
+    const lateError = lateRankingError(this);
+    if (lateError && (this.isNew || this.isModified('settings'))) {
+        this.invalidate('settings.lateSubmissionRanking', lateError, this.settings.lateSubmissionRanking);
+    }
+    next();
+});
+
 // Pre-save middleware
 ContestSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
@@ -432,17 +684,10 @@ ContestSchema.methods.isCurrentlyActive = function() {
     return this.status === 'Active' && now >= this.startDate && now <= this.endDate;
 };
 
-ContestSchema.methods.getLeaderboard = function() {
-    return this.participants
-        .sort((a, b) => {
-            if (b.score !== a.score) return b.score - a.score;
-            if (a.submissions !== b.submissions) return a.submissions - b.submissions;
-            return new Date(a.lastActivityTime) - new Date(b.lastActivityTime);
-        })
-        .map((participant, index) => ({
-            ...participant.toObject(),
-            rank: index + 1
-        }));
+// Resolves with the ranked rows, computed from the contest's submissions;
+// pass freezeOf(contest) for the standings participants see
+ContestSchema.methods.getLeaderboard = function(freeze = null) {
+    return buildLeaderboard(this, freeze);
 };
 
 ContestSchema.methods.addParticipant = function(user) {
@@ -461,7 +706,7 @@ ContestSchema.methods.addParticipant = function(user) {
         email: user.email,
         department: user.department,
         semester: user.semester || 1,
-        division: user.division || 1,
+        division: user.div || 1,
         batch: user.batch || 'A1'
     });
     
@@ -500,7 +745,8 @@ ContestSchema.methods.getLanguageConfig = function(language) {
         timeLimit: this.languageSettings.timeLimit,
         memoryLimit: this.languageSettings.memoryLimit,
         compilerVersion: this.languageSettings.compilerVersion,
-        compilerFlags: this.languageSettings.compilerFlags
+        compilerFlags: this.languageSettings.compilerFlags,
+        timeMultiplier: this.languageSettings.timeMultipliers?.get(language) || null
     };
 };
 
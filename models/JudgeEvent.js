@@ -0,0 +1,49 @@
+// models/JudgeEvent.js
+//
+// Progress events written by judge workers, and contest clarifications and
+// announcements, streamed to clients by the web tier (see
+// utils/judgeEvents.js). The collection is capped: old events drop out on
+// their own and the web tier follows new ones with a tailable cursor, in
+// insertion order.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JudgeEventSchema = new Schema({
+    // null for contest events (clarification, announcement)
+    submissionId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Submission',
+        default: null
+    },
+    contestId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Contest',
+        default: null
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    problemId: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: ['status', 'test_case', 'verdict', 'clarification', 'announcement'],
+        required: true
+    },
+    // Event payload, e.g. { status } or { testCaseIndex, status, executionTime }
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    capped: { size: 32 * 1024 * 1024, max: 100000 },
+    versionKey: false
+});
+
+module.exports = mongoose.model('JudgeEvent', JudgeEventSchema);
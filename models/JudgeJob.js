@@ -0,0 +1,189 @@
+// models/JudgeJob.js
+//
+// Persistent judge queue. The web tier inserts one job per submission to be
+// judged; judge workers (bin/judge-worker) claim jobs atomically, send
+// heartbeats while judging and mark them completed or failed. Jobs whose
+// worker stopped sending heartbeats are put back in the queue. Jobs with a
+// higher priority are claimed first, so rejudges (priority -1) only use
+// workers that new submissions leave idle.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JudgeJobSchema = new Schema({
+    submissionId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Submission',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    priority: {
+        type: Number,
+        default: 0
+    },
+    rejudgeTaskId: {
+        // Set for jobs started by a rejudge (models/RejudgeTask.js)
+        type: Schema.Types.ObjectId,
+        ref: 'RejudgeTask',
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1
+    },
+    availableAt: {
+        type: Date,
+        default: Date.now
+    },
+    workerId: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date
+    },
+    heartbeatAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// Claiming takes the most urgent, then oldest, available queued job;
+// recovery scans running jobs
+JudgeJobSchema.index({ status: 1, priority: -1, availableAt: 1, createdAt: 1 });
+JudgeJobSchema.index({ status: 1, heartbeatAt: 1 });
+JudgeJobSchema.index({ submissionId: 1 });
+
+JudgeJobSchema.statics.enqueue = async function(submissionId, options = {}) {
+    return this.create({
+        submissionId,
+        maxAttempts: options.maxAttempts || 3,
+        priority: options.priority || 0,
+        rejudgeTaskId: options.rejudgeTaskId || null
+    });
+};
+
+JudgeJobSchema.statics.enqueueMany = async function(submissionIds, options = {}) {
+    return this.insertMany(submissionIds.map(submissionId => ({
+        submissionId,
+        maxAttempts: options.maxAttempts || 3,
+        priority: options.priority || 0,
+        rejudgeTaskId: options.rejudgeTaskId || null
+    })));
+};
+
+// Atomically hand the next available job to a worker, or null when idle
+JudgeJobSchema.statics.claimNext = async function(workerId) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { status: 'queued', availableAt: { $lte: now } },
+        {
+            $set: { status: 'running', workerId, startedAt: now, heartbeatAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { priority: -1, availableAt: 1, createdAt: 1 }, new: true }
+    );
+};
+
+// Resolves with false when the job no longer belongs to the worker
+JudgeJobSchema.statics.heartbeat = async function(jobId, workerId) {
+    const result = await this.updateOne(
+        { _id: jobId, workerId, status: 'running' },
+        { $set: { heartbeatAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+};
+
+JudgeJobSchema.statics.complete = async function(jobId, workerId) {
+    return this.findOneAndUpdate(
+        { _id: jobId, workerId, status: 'running' },
+        { $set: { status: 'completed', completedAt: new Date(), lastError: '' } },
+        { new: true }
+    );
+};
+
+/*
+ * Give up a job after an error: back in the queue after `retryDelay` ms
+ * while attempts remain (and `retry` is not false), else failed. Resolves
+ * with the updated job, or null when the worker no longer owned it.
+ */
+JudgeJobSchema.statics.fail = async function(jobId, workerId, error, { retryDelay = 0, retry = true } = {}) {
+    const job = await this.findOne({ _id: jobId, workerId, status: 'running' });
+    if (!job) {
+        return null;
+    }
+
+    const requeue = retry && job.attempts < job.maxAttempts;
+    const update = {
+        status: requeue ? 'queued' : 'failed',
+        workerId: null,
+        availableAt: new Date(Date.now() + (requeue ? retryDelay : 0)),
+        lastError: ((error && error.message) || String(error)).substring(0, 1000)
+    };
+    if (!requeue) {
+        update.completedAt = new Date();
+    }
+
+    return this.findOneAndUpdate(
+        { _id: jobId, workerId, status: 'running' },
+        { $set: update },
+        { new: true }
+    );
+};
+
+/*
+ * Take back one running job whose worker has not sent a heartbeat for
+ * `staleAfter` ms. Requeued while attempts remain, else failed. Resolves
+ * with the recovered job or null when there is none; safe to call from
+ * several workers at once.
+ */
+JudgeJobSchema.statics.recoverStale = async function(staleAfter) {
+    const cutoff = new Date(Date.now() - staleAfter);
+    const stale = { status: 'running', heartbeatAt: { $lt: cutoff } };
+    const lastError = 'Judge worker stopped responding';
+
+    const requeued = await this.findOneAndUpdate(
+        { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+        { $set: { status: 'queued', workerId: null, availableAt: new Date(), lastError } },
+        { new: true }
+    );
+    if (requeued) {
+        return requeued;
+    }
+
+    return this.findOneAndUpdate(
+        { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        { $set: { status: 'failed', workerId: null, completedAt: new Date(), lastError } },
+        { new: true }
+    );
+};
+
+JudgeJobSchema.statics.getQueueStats = async function() {
+    const counts = await this.aggregate([
+        { $match: { status: { $in: ['queued', 'running'] } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const stats = { queued: 0, running: 0 };
+    counts.forEach(entry => {
+        stats[entry._id] = entry.count;
+    });
+    return stats;
+};
+
+module.exports = mongoose.model('JudgeJob', JudgeJobSchema);
@@ -1,6 +1,9 @@
 // models/Problem.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { CHECKER_TYPES } = require('../utils/checkers');
+const { SCORING_MODES, validateSubtasks } = require('../utils/subtasks');
+const { LANGUAGE_KEYS, compilerFlagsError } = require('../utils/languages');
 
 const TestCaseSchema = new Schema({
     input: {
@@ -25,9 +28,96 @@ const TestCaseSchema = new Schema({
         type: String,
         trim: true,
         default: ''
+    },
+    subtask: {
+        type: String, // id of the subtask this test case belongs to
+        trim: true
     }
 }, { _id: false }); 
 
+// How outputs are compared, see utils/checkers.js
+const CheckerSchema = new Schema({
+    type: {
+        type: String,
+        enum: CHECKER_TYPES,
+        default: 'exact'
+    },
+    absoluteError: {
+        type: Number, // numeric checker only
+        min: 0
+    },
+    relativeError: {
+        type: Number, // numeric checker only
+        min: 0
+    },
+    language: {
+        type: String, // custom checker only
+        enum: LANGUAGE_KEYS
+    },
+    code: {
+        type: String, // custom checker only
+        maxlength: 100000
+    }
+}, { _id: false });
+
+CheckerSchema.pre('validate', function(next) {
+    if (this.type === 'custom' && (!this.code || !this.language)) {
+        return next(new Error('Custom checker requires code and language'));
+    }
+    next();
+});
+
+// Test group scored as a unit, see utils/subtasks.js
+const SubtaskSchema = new Schema({
+    id: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    points: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    scoring: {
+        type: String,
+        enum: SCORING_MODES,
+        default: 'all_or_nothing'
+    },
+    dependencies: [{
+        type: String, // ids of earlier subtasks that must get full points
+        trim: true
+    }],
+    skipOnFailure: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// Judge program for interactive problems, see utils/interactor.js
+const InteractorSchema = new Schema({
+    language: {
+        type: String,
+        required: true,
+        enum: LANGUAGE_KEYS
+    },
+    code: {
+        type: String,
+        required: true,
+        maxlength: 100000
+    },
+    exchangeTimeLimit: {
+        type: Number, // seconds the program may take to answer; defaults to the time limit
+        min: 0.1,
+        max: 300
+    }
+}, { _id: false });
+
 const ProblemSchema = new Schema({
     title: {
         type: String,
@@ -72,6 +162,43 @@ const ProblemSchema = new Schema({
             default: false
         }
     },
+    // Judge overrides; when unset the contest or judge defaults apply
+    timeLimit: {
+        type: Number, // in seconds, per test case
+        min: 0.1,
+        max: 300
+    },
+    memoryLimit: {
+        type: Number, // in MB
+        min: 16,
+        max: 1024
+    },
+    compilerFlags: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        validate: {
+            validator: flags => !compilerFlagsError(flags),
+            message: props => compilerFlagsError(props.value)
+        }
+    },
+    checker: {
+        type: CheckerSchema,
+        default: () => ({ type: 'exact' })
+    },
+    subtasks: {
+        type: [SubtaskSchema],
+        default: undefined
+    },
+    problemType: {
+        type: String,
+        enum: ['standard', 'interactive'],
+        default: 'standard'
+    },
+    interactor: {
+        type: InteractorSchema,
+        default: undefined
+    },
     createdBy: {
         type: Schema.Types.ObjectId,
         ref: 'User',
@@ -110,6 +237,17 @@ ProblemSchema.index({ createdBy: 1 });
 ProblemSchema.index({ createdAt: -1 });
 ProblemSchema.index({ 'testCases.isHidden': 1 });
 
+ProblemSchema.pre('validate', function(next) {
+    if (this.problemType === 'interactive' && !this.interactor) {
+        return next(new Error('Interactive problems require an interactor'));
+    }
+    const subtaskError = validateSubtasks(this.testCases, this.subtasks);
+    if (subtaskError) {
+        return next(new Error(subtaskError));
+    }
+    next();
+});
+
 // Pre-save middleware
 ProblemSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
@@ -191,6 +329,15 @@ ProblemSchema.methods.getTestCasesForExecution = function() {
     return this.testCases;
 };
 
+ProblemSchema.methods.getExecutionLimits = function() {
+    // Only the overrides actually set on this problem
+    const limits = {};
+    if (this.timeLimit) limits.timeLimit = this.timeLimit;
+    if (this.memoryLimit) limits.memoryLimit = this.memoryLimit;
+    if (this.compilerFlags) limits.compilerFlags = this.compilerFlags;
+    return limits;
+};
+
 ProblemSchema.methods.getSampleTestCases = function() {
     if (!this.testCaseVisibility.showSampleTestCases) {
         return [];
@@ -230,6 +377,32 @@ ProblemSchema.methods.showAllTestCases = function() {
     });
     return this.save();
 };
+// The checker and interactor sources can give the solution away; only
+// staff get them. Takes a plain problem (or contest manualProblem) object.
+function withoutJudgeCode(problemObj) {
+    if (problemObj.checker) {
+        delete problemObj.checker.code;
+    }
+    if (problemObj.interactor) {
+        delete problemObj.interactor.code;
+    }
+    return problemObj;
+}
+
+/*
+ * The problem as a user sees it: visible and sample test cases, and for
+ * users without problems:read-hidden no full test cases or judge code
+ */
+ProblemSchema.methods.toVisibleObject = function(canSeeHidden = false) {
+    const problemObj = this.toObject();
+    problemObj.visibleTestCases = this.getVisibleTestCases(canSeeHidden);
+    problemObj.sampleTestCases = this.getSampleTestCases();
+    if (!canSeeHidden) {
+        delete problemObj.testCases;
+        withoutJudgeCode(problemObj);
+    }
+    return problemObj;
+};
 
 // Static methods
 ProblemSchema.statics.findWithVisibleTestCases = function(userId = null, isAdmin = false) {
@@ -242,7 +415,7 @@ ProblemSchema.statics.findWithVisibleTestCases = function(userId = null, isAdmin
             // Remove all test cases from the response, only show visible ones
             delete problemObj.testCases;
             
-            return problemObj;
+            return isAdmin ? problemObj : withoutJudgeCode(problemObj);
         });
     });
 };
@@ -258,25 +431,19 @@ ProblemSchema.statics.findByIdWithVisibility = function(problemId, isAdmin = fal
         if (!isAdmin) {
             // Remove hidden test cases from response for non-admin users
             delete problemObj.testCases;
+            withoutJudgeCode(problemObj);
         }
         
         return problemObj;
     });
 };
 
-ProblemSchema.set('toJSON', { 
-    virtuals: true,
-    transform: function(doc, ret, options) {
-        // If this is not an admin request, filter out hidden test cases
-        if (options && options.hideTestCases) {
-            ret.visibleTestCases = doc.getVisibleTestCases(false);
-            ret.sampleTestCases = doc.getSampleTestCases();
-            delete ret.testCases;
-        }
-        return ret;
-    }
-});
+ProblemSchema.set('toJSON', { virtuals: true });
 
 ProblemSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Problem', ProblemSchema);
+module.exports.CheckerSchema = CheckerSchema;
+module.exports.InteractorSchema = InteractorSchema;
+module.exports.SubtaskSchema = SubtaskSchema;
+module.exports.withoutJudgeCode = withoutJudgeCode;
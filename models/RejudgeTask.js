@@ -0,0 +1,134 @@
+// models/RejudgeTask.js
+//
+// One rejudge request: a single submission, every submission for a problem or
+// every submission in a contest. Its submissions are judged again in the
+// background by the judge workers (see utils/rejudge.js); the counters below
+// track their progress. Once all of them have a new verdict the affected
+// problem and contest statistics are recomputed and the task completes.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RejudgeTaskSchema = new Schema({
+    scope: {
+        type: String,
+        enum: ['submission', 'problem', 'contest'],
+        required: true
+    },
+    // Submission id, problem id or contest id, depending on scope
+    targetId: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'recomputing', 'completed', 'failed'],
+        default: 'running'
+    },
+    reason: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    },
+    requestedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    totalSubmissions: {
+        type: Number,
+        default: 0
+    },
+    // Submissions with a new verdict, and those the judge gave up on
+    judgedSubmissions: {
+        type: Number,
+        default: 0
+    },
+    failedSubmissions: {
+        type: Number,
+        default: 0
+    },
+    // Submissions whose verdict changed
+    changedVerdicts: {
+        type: Number,
+        default: 0
+    },
+    // Statistics to recompute once every submission is judged
+    problemIds: [{
+        type: String
+    }],
+    contestIds: [{
+        type: Schema.Types.ObjectId,
+        ref: 'Contest'
+    }],
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+RejudgeTaskSchema.index({ createdAt: -1 });
+RejudgeTaskSchema.index({ scope: 1, targetId: 1 });
+
+RejudgeTaskSchema.virtual('progress').get(function() {
+    if (this.totalSubmissions === 0) return 100;
+    return Math.floor(((this.judgedSubmissions + this.failedSubmissions) / this.totalSubmissions) * 100);
+});
+
+// Count one finished submission: 'judged' (new verdict) or 'failed'
+RejudgeTaskSchema.statics.recordResult = async function(taskId, outcome, changed = false) {
+    const field = outcome === 'failed' ? 'failedSubmissions' : 'judgedSubmissions';
+    return this.findByIdAndUpdate(
+        taskId,
+        { $inc: { [field]: 1, changedVerdicts: changed ? 1 : 0 } },
+        { new: true }
+    );
+};
+
+/*
+ * Atomically move a task whose submissions are all done to 'recomputing'.
+ * Resolves with null when it is not done yet or another caller took it.
+ */
+RejudgeTaskSchema.statics.claimRecompute = async function(taskId) {
+    return this.findOneAndUpdate(
+        {
+            _id: taskId,
+            status: 'running',
+            $expr: { $gte: [{ $add: ['$judgedSubmissions', '$failedSubmissions'] }, '$totalSubmissions'] }
+        },
+        { $set: { status: 'recomputing' } },
+        { new: true }
+    );
+};
+
+/*
+ * Take over one task whose statistics still need recomputing and that has
+ * not been touched for `staleAfter` ms: its recompute was interrupted, or
+ * its last submission was counted by a worker that died before claiming it.
+ */
+RejudgeTaskSchema.statics.claimStale = async function(staleAfter) {
+    const done = { $gte: [{ $add: ['$judgedSubmissions', '$failedSubmissions'] }, '$totalSubmissions'] };
+    return this.findOneAndUpdate(
+        {
+            updatedAt: { $lt: new Date(Date.now() - staleAfter) },
+            $or: [
+                { status: 'recomputing' },
+                { status: 'running', $expr: done }
+            ]
+        },
+        { $set: { status: 'recomputing' } },
+        { new: true }
+    );
+};
+
+RejudgeTaskSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('RejudgeTask', RejudgeTaskSchema);
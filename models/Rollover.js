@@ -0,0 +1,79 @@
+// models/Rollover.js
+//
+// One semester rollover (see utils/rollover.js): the rules it ran with and,
+// for undo, every student and contest participant snapshot it changed with
+// the values from before and after.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// The fields a rollover may change
+const StudentValuesSchema = new Schema({
+    semester: Number,
+    batch: String,
+    div: Number,
+    archived: Boolean
+}, { _id: false });
+
+const ParticipantValuesSchema = new Schema({
+    semester: Number,
+    batch: String,
+    division: Number
+}, { _id: false });
+
+const RolloverSchema = new Schema({
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: ''
+    },
+    // The rules file as submitted, after validation
+    rules: {
+        type: [Schema.Types.Mixed],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['applied', 'undone'],
+        default: 'applied'
+    },
+    appliedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    undoneBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    undoneAt: {
+        type: Date
+    },
+    summary: {
+        students: { type: Number, default: 0 },
+        archived: { type: Number, default: 0 },
+        participantSnapshots: { type: Number, default: 0 },
+        // Set by undo: students changed again since, and left alone
+        undoConflicts: { type: Number, default: 0 }
+    },
+    students: [{
+        _id: false,
+        userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        // Index of the rule that matched
+        rule: Number,
+        before: StudentValuesSchema,
+        after: StudentValuesSchema
+    }],
+    participants: [{
+        _id: false,
+        contestId: { type: Schema.Types.ObjectId, ref: 'Contest', required: true },
+        userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        before: ParticipantValuesSchema,
+        after: ParticipantValuesSchema
+    }]
+}, {
+    timestamps: true
+});
+
+RolloverSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Rollover', RolloverSchema);
@@ -1,6 +1,7 @@
 // models/Submission.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { LANGUAGE_KEYS } = require('../utils/languages');
 
 const TestCaseResultSchema = new Schema({
     testCaseIndex: {
@@ -21,7 +22,7 @@ const TestCaseResultSchema = new Schema({
     },
     status: {
         type: String,
-        enum: ['passed', 'failed', 'error', 'timeout'],
+        enum: ['passed', 'failed', 'error', 'timeout', 'memory_exceeded', 'violation', 'skipped'],
         required: true
     },
     executionTime: {
@@ -35,6 +36,98 @@ const TestCaseResultSchema = new Schema({
     errorMessage: {
         type: String,
         default: ''
+    },
+    checkerMessage: {
+        type: String, // why the checker accepted or rejected the output
+        default: ''
+    },
+    score: {
+        type: Number, // fraction of the test's credit, 0-1 (partial from custom checkers)
+        default: 0
+    },
+    transcript: {
+        // Interactive problems only: the exchange between program and interactor
+        type: [{
+            _id: false,
+            from: { type: String, enum: ['program', 'interactor'] },
+            data: String
+        }],
+        default: undefined
+    }
+}, { _id: false });
+
+const SubtaskResultSchema = new Schema({
+    subtaskId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        default: ''
+    },
+    score: {
+        type: Number,
+        default: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['passed', 'partial', 'failed', 'skipped'],
+        required: true
+    },
+    passedTestCases: {
+        type: Number,
+        default: 0
+    },
+    skippedTestCases: {
+        type: Number,
+        default: 0
+    },
+    totalTestCases: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// A verdict replaced by a rejudge
+const VerdictHistorySchema = new Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    score: {
+        type: Number,
+        default: 0
+    },
+    passedTestCases: {
+        type: Number,
+        default: 0
+    },
+    totalTestCases: {
+        type: Number,
+        default: 0
+    },
+    executionTime: {
+        type: Number,
+        default: 0
+    },
+    memoryUsed: {
+        type: Number,
+        default: 0
+    },
+    evaluatedAt: {
+        type: Date
+    },
+    rejudgeTaskId: {
+        type: Schema.Types.ObjectId,
+        ref: 'RejudgeTask'
+    },
+    replacedAt: {
+        type: Date,
+        default: Date.now
     }
 }, { _id: false });
 
@@ -53,6 +146,31 @@ const SubmissionSchema = new Schema({
         ref: 'Contest',
         default: null // null for standalone problem submissions
     },
+    // Made in the contest's late window (see utils/contestWindow.js)
+    isLate: {
+        type: Boolean,
+        default: false
+    },
+    // Made after the contest, for practice; never ranked
+    isUpsolve: {
+        type: Boolean,
+        default: false
+    },
+    // Made during a virtual participation (see utils/virtualContest.js);
+    // never counted in the contest's own standings or statistics
+    virtualParticipationId: {
+        type: Schema.Types.ObjectId,
+        ref: 'VirtualParticipation',
+        default: null
+    },
+    // Who produced the verdict: the judge, or the caller of
+    // /submit-with-results. Recorded submissions are never ranked; older
+    // submissions without a source were all judged.
+    source: {
+        type: String,
+        enum: ['judge', 'recorded'],
+        default: 'judge'
+    },
     code: {
         type: String,
         required: true,
@@ -61,11 +179,11 @@ const SubmissionSchema = new Schema({
     language: {
         type: String,
         required: true,
-        enum: ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php']
+        enum: LANGUAGE_KEYS
     },
     status: {
         type: String,
-        enum: ['pending', 'running', 'accepted', 'wrong_answer', 'compilation_error', 'runtime_error', 'time_limit_exceeded', 'memory_limit_exceeded'],
+        enum: ['pending', 'running', 'accepted', 'wrong_answer', 'compilation_error', 'runtime_error', 'time_limit_exceeded', 'memory_limit_exceeded', 'security_violation', 'judge_error'],
         default: 'pending'
     },
     score: {
@@ -84,6 +202,11 @@ const SubmissionSchema = new Schema({
         min: 0
     },
     testCaseResults: [TestCaseResultSchema],
+    subtaskResults: {
+        // Per-subtask breakdown for problems with subtasks (points before scaling)
+        type: [SubtaskResultSchema],
+        default: undefined
+    },
     compilationOutput: {
         type: String,
         default: ''
@@ -106,6 +229,11 @@ const SubmissionSchema = new Schema({
     isPublic: {
         type: Boolean,
         default: true
+    },
+    verdictHistory: {
+        // Earlier verdicts, oldest first; the current one is the fields above
+        type: [VerdictHistorySchema],
+        default: []
     }
 });
 
@@ -114,6 +242,8 @@ SubmissionSchema.index({ userId: 1, submittedAt: -1 });
 SubmissionSchema.index({ problemId: 1, status: 1 });
 SubmissionSchema.index({ contestId: 1, userId: 1 });
 SubmissionSchema.index({ status: 1, submittedAt: -1 });
+SubmissionSchema.index({ 'verdictHistory.rejudgeTaskId': 1 });
+SubmissionSchema.index({ virtualParticipationId: 1 }, { sparse: true });
 
 // Virtual for success rate
 SubmissionSchema.virtual('successRate').get(function() {
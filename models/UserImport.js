@@ -0,0 +1,68 @@
+// models/UserImport.js
+//
+// The report of one bulk student import (see utils/studentImport.js): what
+// happened to each row of the uploaded file. Dry runs are kept too, so the
+// row errors can be downloaded and fixed in the spreadsheet.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ImportRowSchema = new Schema({
+    // Line in the uploaded file; the header is line 1
+    row: {
+        type: Number,
+        required: true
+    },
+    // created, updated or unchanged; invalid rows were not written, and
+    // failed rows were valid but could not be saved
+    status: {
+        type: String,
+        enum: ['created', 'updated', 'unchanged', 'invalid', 'failed'],
+        required: true
+    },
+    student_id: String,
+    username: String,
+    email: String,
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Fields an update changed
+    changes: [String],
+    // Why the row is invalid or failed ('errors' is reserved by Mongoose)
+    errorMessages: [String]
+}, { _id: false });
+
+const UserImportSchema = new Schema({
+    fileName: {
+        type: String,
+        default: ''
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'xlsx'],
+        required: true
+    },
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    importedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    summary: {
+        total: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    rows: [ImportRowSchema]
+}, {
+    timestamps: true
+});
+
+UserImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('UserImport', UserImportSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { isPasswordHash, hashPassword, verifyPassword } = require('../utils/passwords');
+const { ROLES } = require('../utils/permissions');
 
 const UserSchema = new Schema({
     username: {
@@ -22,9 +24,14 @@ const UserSchema = new Schema({
         unique: true
     },
     password: {
-        type: String,
+        type: String, // scrypt hash (see utils/passwords.js)
         required: true
     },
+    tokenVersion: {
+        // Bumped on logout and password change; older tokens stop working
+        type: Number,
+        default: 0
+    },
     department: {
         type: String,
         required: function() { return this.role === 'Student'; }
@@ -46,13 +53,47 @@ const UserSchema = new Schema({
     role: {
         type: String,
         required: true,
-        enum: ['Admin', 'Student'],
+        enum: ROLES, // What each role may do: utils/permissions.js
         default: 'Student'
     },
+    // Graduated or retired by a semester rollover; archived users cannot sign in
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Never store a plaintext password
+UserSchema.pre('save', async function(next) {
+    try {
+        if (this.isModified('password') && !isPasswordHash(this.password)) {
+            this.password = await hashPassword(this.password);
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/*
+ * Check a login password. Plaintext passwords from before hashing, and
+ * hashes with outdated parameters, are replaced by a fresh hash on success.
+ */
+UserSchema.methods.checkPassword = async function(password) {
+    const { valid, needsRehash } = await verifyPassword(password, this.password);
+    if (valid && needsRehash) {
+        // Direct update: older accounts may not pass today's validators
+        this.password = await hashPassword(password);
+        await this.constructor.updateOne({ _id: this._id }, { $set: { password: this.password } });
+    }
+    return valid;
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,100 @@
+// models/VirtualParticipation.js
+//
+// A user replaying a Completed contest on their own clock (see
+// utils/virtualContest.js). Kept apart from Contest.participants so virtual
+// results never touch the official standings; the result is refreshed each
+// time one of its submissions is judged.
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const VirtualProblemResultSchema = new Schema({
+    problemId: String,
+    attempts: Number,
+    solved: Boolean,
+    score: Number,
+    solvedAt: Number, // minutes from startedAt
+    penalty: Number
+}, { _id: false });
+
+const VirtualParticipationSchema = new Schema({
+    contestId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Contest',
+        required: true
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Copied from the user when they start, like a contest participant
+    name: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    department: String,
+    semester: Number,
+    division: Number,
+    batch: String,
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    // Where the participation stands against the original standings
+    result: {
+        rank: {
+            type: Number,
+            default: null
+        },
+        outOf: {
+            type: Number,
+            default: 0
+        },
+        score: {
+            type: Number,
+            default: 0
+        },
+        solved: {
+            type: Number,
+            default: 0
+        },
+        penalty: {
+            type: Number,
+            default: 0
+        },
+        submissions: {
+            type: Number,
+            default: 0
+        },
+        problems: {
+            type: [VirtualProblemResultSchema],
+            default: []
+        },
+        updatedAt: {
+            type: Date
+        }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One virtual participation per user and contest
+VirtualParticipationSchema.index({ contestId: 1, userId: 1 }, { unique: true });
+VirtualParticipationSchema.index({ userId: 1, startedAt: -1 });
+
+// Whether the virtual clock is running at `now`
+VirtualParticipationSchema.methods.isRunning = function(now = new Date()) {
+    return now >= this.startedAt && now < this.endsAt;
+};
+
+module.exports = mongoose.model('VirtualParticipation', VirtualParticipationSchema);
@@ -6,26 +6,29 @@ const Submission = require('../models/Submission');
 const Problem = require('../models/Problem');
 const Contest = require('../models/Contest');
 const User = require('../models/Users');
+const { forbidden, requirePermission } = require('../utils/auth');
+const { isSelfOr } = require('../utils/permissions');
+const { hasPersonalWindows, submissionPhase } = require('../utils/contestWindow');
+const { areTeammates } = require('../utils/teams');
+
+// Why code cannot be saved in each phase of a personal-window contest
+const AUTOSAVE_REFUSALS = {
+    before: 'Contest has not started',
+    not_started: 'Start the contest before saving code',
+    closed: 'Your time in this contest is up'
+};
 
 /* POST auto-save code */
 router.post('/save', async function(req, res, next) {
     try {
-        const { userId, problemId, contestId, code, language, metadata } = req.body;
+        const { problemId, contestId, code, language, metadata } = req.body;
+        const userId = req.user._id.toString();
 
         // Validate required fields
-        if (!userId || !problemId || !code || !language) {
+        if (!problemId || !code || !language) {
             return res.status(400).json({
                 success: false,
-                error: 'userId, problemId, code, and language are required'
-            });
-        }
-
-        // Validate user exists
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
+                error: 'problemId, code, and language are required'
             });
         }
 
@@ -40,12 +43,22 @@ router.post('/save', async function(req, res, next) {
             }
 
             // Check if user is registered for contest
-            const isRegistered = contest.participants.some(p => p.userId.toString() === userId);
-            if (!isRegistered) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'User not registered for this contest'
-                });
+            const participant = contest.participants.find(p => p.userId.toString() === userId);
+            if (!participant) {
+                return forbidden(res, 'User not registered for this contest');
+            }
+
+            // Personal windows: only saved while the participant's clock runs
+            // (and in the late and upsolve phases, when they may still submit)
+            if (hasPersonalWindows(contest)) {
+                const phase = submissionPhase(contest, new Date(), participant);
+                if (AUTOSAVE_REFUSALS[phase]) {
+                    return res.status(400).json({
+                        success: false,
+                        error: AUTOSAVE_REFUSALS[phase],
+                        details: `Contest phase: ${phase}`
+                    });
+                }
             }
 
             // Verify problem exists in contest
@@ -137,6 +150,13 @@ router.get('/restore-options/:userId/:problemId', async function(req, res, next)
             });
         }
 
+        // Teammates may restore each other's code in their team contest
+        const allowed = isSelfOr(req.user, userId, 'autosave:read-all')
+            || (contestId && await areTeammates(contestId, req.user._id, userId));
+        if (!allowed) {
+            return forbidden(res, 'You can only access your own saved code', 'autosave:read-all');
+        }
+
         // Validate user exists
         const user = await User.findById(userId);
         if (!user) {
@@ -281,6 +301,13 @@ router.get('/load/:userId/:problemId', async function(req, res, next) {
             });
         }
 
+        // Teammates may load each other's code in their team contest
+        const allowed = isSelfOr(req.user, userId, 'autosave:read-all')
+            || (contestId && await areTeammates(contestId, req.user._id, userId));
+        if (!allowed) {
+            return forbidden(res, 'You can only access your own saved code', 'autosave:read-all');
+        }
+
         const filter = {
             userId,
             problemId,
@@ -332,6 +359,13 @@ router.get('/submission/:userId/:problemId', async function(req, res, next) {
             });
         }
 
+        // Teammates may load each other's submitted code in their team contest
+        const allowed = isSelfOr(req.user, userId, 'autosave:read-all')
+            || (contestId && await areTeammates(contestId, req.user._id, userId));
+        if (!allowed) {
+            return forbidden(res, 'You can only access your own saved code', 'autosave:read-all');
+        }
+
         const filter = {
             userId,
             problemId
@@ -388,6 +422,10 @@ router.delete('/clear/:userId/:problemId', async function(req, res, next) {
             });
         }
 
+        if (!isSelfOr(req.user, userId, 'autosave:read-all')) {
+            return forbidden(res, 'You can only access your own saved code', 'autosave:read-all');
+        }
+
         const filter = {
             userId,
             problemId,
@@ -438,6 +476,10 @@ router.get('/user/:userId', async function(req, res, next) {
             });
         }
 
+        if (!isSelfOr(req.user, userId, 'autosave:read-all')) {
+            return forbidden(res, 'You can only access your own saved code', 'autosave:read-all');
+        }
+
         const filter = { userId, isActive: true };
 
         const [autoSaves, totalCount] = await Promise.all([
@@ -510,7 +552,7 @@ router.get('/user/:userId', async function(req, res, next) {
 });
 
 /* POST cleanup old auto-saves */
-router.post('/cleanup', async function(req, res, next) {
+router.post('/cleanup', requirePermission('autosave:manage'), async function(req, res, next) {
     try {
         const result = await AutoSave.cleanupOld();
         
@@ -531,7 +573,7 @@ router.post('/cleanup', async function(req, res, next) {
 });
 
 /* GET auto-save statistics */
-router.get('/stats/overview', async function(req, res, next) {
+router.get('/stats/overview', requirePermission('autosave:manage'), async function(req, res, next) {
     try {
         const [
             totalAutoSaves,
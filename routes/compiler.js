@@ -1,14 +1,20 @@
 var express = require('express');
 var router = express.Router();
-const { exec } = require('child_process'); // Changed to async exec
-const { promisify } = require('util');
-const fs = require('fs').promises; // Use async fs
-const fsSync = require('fs'); // Keep sync version for existence checks
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-
-// Promisify exec for async usage
-const execAsync = promisify(exec);
+const sandbox = require('../utils/sandbox');
+const {
+  LANGUAGES,
+  LANGUAGE_KEYS,
+  resolveLanguage,
+  getLanguageSetup,
+  compileProgram,
+  getLanguageVersions,
+  describeLanguages
+} = require('../utils/languages');
+const { getCompileCacheStats } = require('../utils/compileCache');
+const { DEFAULT_MEMORY_LIMIT } = require('../utils/judge');
+
+const RUN_TIMEOUT_MS = 30000; // 30 seconds to run; compiling has its own limit
+const RUN_MEMORY_LIMIT = DEFAULT_MEMORY_LIMIT; // MB, the judge's default
 
 // Semaphore for controlling concurrent compilations
 class Semaphore {
@@ -49,6 +55,8 @@ router.post('/compile', async function(req, res, next) {
   // Acquire semaphore for concurrency control
   await compilationSemaphore.acquire();
   
+  let box = null;
+
   try {
     const { code, lang, input = '' } = req.body;
     const startTime = Date.now();
@@ -61,279 +69,113 @@ router.post('/compile', async function(req, res, next) {
       });
     }
 
-    // Generate unique identifiers
-    const uniqueId = uuidv4();
-    const tempDir = path.join(__dirname, '../temp');
-    
-    // Ensure temp directory exists
-    await fs.mkdir(tempDir, { recursive: true });
-
-    let filename, command, extension, actualCode = code;
-    let uniqueSubDir = null;
-
-    // Configure language-specific settings
-    switch (lang.toLowerCase()) {
-      case 'python':
-      case 'py':
-        extension = '.py';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        command = `python3 "${filename}"`;
-        break;
-      
-      case 'javascript':
-      case 'js':
-      case 'node':
-        extension = '.js';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        command = `node "${filename}"`;
-        break;
-      
-      case 'java':
-        extension = '.java';
-        
-        // Create a unique subdirectory for this compilation
-        uniqueSubDir = path.join(tempDir, uniqueId);
-        await fs.mkdir(uniqueSubDir, { recursive: true });
-        
-        // Extract class name from code
-        const extractClassName = (javaCode) => {
-          const codeWithoutComments = javaCode
-            .replace(/\/\*[\s\S]*?\*\//g, '')
-            .replace(/\/\/.*$/gm, '');
-          
-          const publicClassMatch = codeWithoutComments.match(/public\s+class\s+(\w+)/);
-          if (publicClassMatch) return publicClassMatch[1];
-          
-          const anyClassMatch = codeWithoutComments.match(/(?:^|\s)class\s+(\w+)/);
-          if (anyClassMatch) return anyClassMatch[1];
-          
-          return null;
-        };
-        
-        const extractedClassName = extractClassName(code);
-        let classNameToUse;
-        
-        if (extractedClassName) {
-          classNameToUse = extractedClassName;
-          actualCode = code;
-        } else {
-          classNameToUse = 'Main';
-          actualCode = `public class Main {
-    public static void main(String[] args) {
-        ${code}
-    }
-}`;
-        }
-        
-        filename = path.join(uniqueSubDir, `${classNameToUse}.java`);
-        command = `cd "${uniqueSubDir}" && javac "${classNameToUse}.java" && java ${classNameToUse}`;
-        break;
-      
-      case 'cpp':
-      case 'c++':
-        extension = '.cpp';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        const executablePath = path.join(tempDir, uniqueId);
-        // Windows: use conditional execution to only run if compilation succeeds
-        // Add -O0 to disable optimization (faster compilation)
-        if (process.platform === 'win32') {
-          command = `g++ -O0 "${filename}" -o "${executablePath}.exe" && "${executablePath}.exe"`;
-        } else {
-          command = `g++ -O0 "${filename}" -o "${executablePath}" && "${executablePath}"`;
-        }
-        break;
-      
-      case 'c':
-        extension = '.c';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        const cExecutablePath = path.join(tempDir, uniqueId);
-        // Windows: use conditional execution to only run if compilation succeeds
-        // Add -O0 to disable optimization (faster compilation)
-        if (process.platform === 'win32') {
-          command = `gcc -O0 "${filename}" -o "${cExecutablePath}.exe" && "${cExecutablePath}.exe"`;
-        } else {
-          command = `gcc -O0 "${filename}" -o "${cExecutablePath}" && "${cExecutablePath}"`;
-        }
-        break;
-      
-      case 'go':
-        extension = '.go';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        command = `go run "${filename}"`;
-        break;
-      
-      case 'ruby':
-      case 'rb':
-        extension = '.rb';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        command = `ruby "${filename}"`;
-        break;
-      
-      case 'php':
-        extension = '.php';
-        filename = path.join(tempDir, `${uniqueId}${extension}`);
-        command = `php "${filename}"`;
-        break;
-      
-      default:
-        return res.status(400).json({ 
-          error: 'Unsupported language. Supported languages: python, javascript, java, cpp, c, go, ruby, php',
-          success: false 
-        });
+    const language = resolveLanguage(lang);
+    if (!language) {
+      return res.status(400).json({ 
+        error: `Unsupported language. Supported languages: ${LANGUAGE_KEYS.join(', ')}`,
+        success: false 
+      });
     }
 
-    // Write code to file asynchronously
-    await fs.writeFile(filename, actualCode, 'utf8');
-
-    // Set timeout based on language (compilation can be slow on Windows)
-    const timeoutMs = (lang.toLowerCase() === 'cpp' || lang.toLowerCase() === 'c++' || lang.toLowerCase() === 'c') 
-      ? 60000  // 60 seconds for C/C++ (compilation + execution)
-      : 30000; // 30 seconds for interpreted languages
-
-    // Async cleanup function with retry mechanism for Windows file locks
-    const cleanup = async () => {
-      const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-      const maxRetries = 3;
-      
-      const deleteWithRetry = async (filePath, retries = 0) => {
-        try {
-          if (fsSync.existsSync(filePath)) {
-            await fs.unlink(filePath);
-          }
-        } catch (error) {
-          if (error.code === 'EPERM' && retries < maxRetries) {
-            // Wait before retrying (Windows file lock)
-            await sleep(100 * (retries + 1));
-            return deleteWithRetry(filePath, retries + 1);
-          }
-          // Log but don't throw - let cleanup continue
-          console.error(`Could not delete ${filePath}:`, error.message);
-        }
-      };
-
-      try {
-        if (lang.toLowerCase() === 'java' && uniqueSubDir) {
-          // For Java, remove the entire unique subdirectory
-          await fs.rm(uniqueSubDir, { recursive: true, force: true }).catch(err => {
-            console.error('Java cleanup error:', err.message);
-          });
-        } else {
-          // Remove main file
-          await deleteWithRetry(filename);
-          
-          // Clean up input file if it exists
-          const inputFile = path.join(tempDir, `${uniqueId}_input.txt`);
-          await deleteWithRetry(inputFile);
-          
-          // Clean up compiled files for C/C++
-          if (lang.toLowerCase() === 'cpp' || lang.toLowerCase() === 'c++' || lang.toLowerCase() === 'c') {
-            const execFile = path.join(tempDir, uniqueId);
-            await deleteWithRetry(execFile);
-            await deleteWithRetry(`${execFile}.exe`);
-          }
-        }
-      } catch (cleanupError) {
-        console.error('Cleanup error:', cleanupError.message);
-      }
-    };
-
-    try {
-      // Execute asynchronously with timeout
-      const options = {
-        cwd: tempDir,
-        encoding: 'utf8',
-        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-        timeout: timeoutMs,
-        killSignal: 'SIGKILL', // Force kill on timeout
-        shell: true // Use default shell (more reliable)
-      };
-
-      // Write input to a temp file for stdin redirection
-      let inputFile = null;
-      let finalCommand = command;
-      
-      if (input && input.trim()) {
-        inputFile = path.join(tempDir, `${uniqueId}_input.txt`);
-        await fs.writeFile(inputFile, input, 'utf8');
-        finalCommand = process.platform === 'win32' 
-          ? `${command} < "${inputFile}"`  // Windows stdin redirection
-          : `${command} < "${inputFile}"`;  // Unix stdin redirection
-      }
+    // Bare statements are wrapped where the language needs a surrounding program
+    const wrapSnippet = LANGUAGES[language].wrapSnippet;
+    const actualCode = wrapSnippet ? wrapSnippet(code) : code;
+    // Paths are relative to the sandbox working directory
+    const setup = getLanguageSetup(language, actualCode, { memoryLimit: RUN_MEMORY_LIMIT });
+
+    // Every request gets its own isolated working directory
+    box = await sandbox.createBox();
+
+    const compiled = await compileProgram(box, setup, actualCode);
+    let result;
+    if (compiled.success) {
+      result = await sandbox.run(box, {
+        command: setup.runCommand,
+        stdin: input,
+        timeLimit: RUN_TIMEOUT_MS,
+        memoryLimit: RUN_MEMORY_LIMIT * 1024 * 1024,
+        outputLimit: 1024 * 1024 * 10, // 10MB output
+        limits: setup.limits,
+        env: setup.env
+      });
+    } else {
+      // Report compiler errors like a failed run
+      result = { stdout: '', stderr: compiled.output, exitCode: compiled.exitCode, signal: null, timedOut: false };
+    }
+    const executionTime = Date.now() - startTime;
 
-      const { stdout, stderr } = await execAsync(finalCommand, options);
-      
-      // Clean up input file if created
-      if (inputFile) {
-        fs.unlink(inputFile).catch(() => {});
-      }
-      const executionTime = Date.now() - startTime;
-      
-      // Cleanup asynchronously (don't wait for it)
-      cleanup().catch(console.error);
-      
+    if (result.exitCode === 0 && !result.signal && !result.timedOut && !result.outputExceeded) {
       // Successful execution with immediate response
-      res.status(200).json({
+      return res.status(200).json({
         success: true,
-        output: stdout,
-        stderr: stderr || '',
+        output: result.stdout,
+        stderr: result.stderr || '',
         language: lang,
+        cached: compiled.cached,
         executionTime: `${executionTime}ms`,
         timestamp: new Date().toISOString()
       });
+    }
 
-    } catch (execError) {
-      // Cleanup on error
-      await cleanup();
-      
-      const executionTime = Date.now() - startTime;
-      
-      // Log the full error for debugging
-      console.log('Execution error details:', {
-        code: execError.code,
-        signal: execError.signal,
-        killed: execError.killed,
-        stdout: execError.stdout?.substring(0, 200),
-        stderr: execError.stderr?.substring(0, 500),
-        message: execError.message?.substring(0, 200)
-      });
-      
-      // Handle different types of errors
-      if (execError.code === 'ENOENT') {
-        return res.status(500).json({
-          error: `Compiler/interpreter for ${lang} not found on system`,
-          success: false,
-          output: '',
-          stderr: execError.message,
-          executionTime: `${executionTime}ms`
-        });
-      }
-
-      if (execError.killed && (execError.signal === 'SIGTERM' || execError.signal === 'SIGKILL')) {
-        return res.status(408).json({
-          error: 'Code execution timed out',
-          success: false,
-          output: execError.stdout || '',
-          stderr: `Execution timed out after ${timeoutMs / 1000} seconds`,
-          executionTime: `${executionTime}ms`
-        });
-      }
-
-      // Extract stdout and stderr from the error
-      const stdout = execError.stdout || '';
-      const stderr = execError.stderr || execError.message;
+    // Log the full error for debugging
+    console.log('Execution error details:', {
+      exitCode: result.exitCode,
+      signal: result.signal,
+      timedOut: result.timedOut,
+      memoryExceeded: result.memoryExceeded,
+      violation: result.violation,
+      stdout: result.stdout?.substring(0, 200),
+      stderr: result.stderr?.substring(0, 500)
+    });
 
+    // Handle different types of errors
+    if (result.violation) {
       return res.status(200).json({
+        error: `Security violation: ${result.violation}`,
+        violation: result.violation,
         success: false,
-        output: stdout,
-        stderr: stderr,
-        error: 'Compilation or runtime error occurred',
+        output: result.stdout,
+        stderr: result.stderr,
         language: lang,
         executionTime: `${executionTime}ms`,
-        timestamp: new Date().toISOString(),
-        ...(process.env.NODE_ENV === 'development' && { command }) // Show command in dev mode
+        timestamp: new Date().toISOString()
       });
     }
 
+    if (result.exitCode === 127 && /not found/.test(result.stderr)) {
+      return res.status(500).json({
+        error: `Compiler/interpreter for ${lang} not found on system`,
+        success: false,
+        output: '',
+        stderr: result.stderr,
+        executionTime: `${executionTime}ms`
+      });
+    }
+
+    if (result.timedOut) {
+      return res.status(408).json({
+        error: 'Code execution timed out',
+        success: false,
+        output: result.stdout || '',
+        stderr: `Execution timed out after ${RUN_TIMEOUT_MS / 1000} seconds`,
+        executionTime: `${executionTime}ms`
+      });
+    }
+
+    return res.status(200).json({
+      success: false,
+      output: result.stdout,
+      stderr: result.outputExceeded ? 'Output limit exceeded'
+        : result.memoryExceeded ? `Memory limit of ${RUN_MEMORY_LIMIT} MB exceeded`
+        : (result.stderr || `Process exited with ${result.signal || `code ${result.exitCode}`}`),
+      error: 'Compilation or runtime error occurred',
+      language: lang,
+      cached: compiled.cached,
+      executionTime: `${executionTime}ms`,
+      timestamp: new Date().toISOString(),
+      ...(process.env.NODE_ENV === 'development' && { command: [setup.compileCommand, setup.runCommand].filter(Boolean).join(' && ') }) // Show command in dev mode
+    });
+
   } catch (err) {
     console.error('Compilation API error:', err);
     res.status(500).json({
@@ -343,96 +185,65 @@ router.post('/compile', async function(req, res, next) {
       timestamp: new Date().toISOString()
     });
   } finally {
+    if (box) {
+      // Cleanup asynchronously (don't wait for it)
+      sandbox.destroyBox(box).catch(console.error);
+    }
     // Always release the semaphore
     compilationSemaphore.release();
   }
 });
 
 /* GET supported languages - Enhanced with more details */
-router.get('/compile/languages', function(req, res, next) {
-  const supportedLanguages = [
-    { 
-      name: 'Python', 
-      key: 'python', 
-      extensions: ['.py'],
-      version: '3.x',
-      description: 'Python programming language'
-    },
-    { 
-      name: 'JavaScript', 
-      key: 'javascript', 
-      extensions: ['.js'],
-      version: 'Node.js',
-      description: 'JavaScript runtime environment'
-    },
-    { 
-      name: 'Java', 
-      key: 'java', 
-      extensions: ['.java'],
-      version: 'JDK 11+',
-      description: 'Java programming language'
-    },
-    { 
-      name: 'C++', 
-      key: 'cpp', 
-      extensions: ['.cpp'],
-      version: 'GCC',
-      description: 'C++ programming language'
-    },
-    { 
-      name: 'C', 
-      key: 'c', 
-      extensions: ['.c'],
-      version: 'GCC',
-      description: 'C programming language'
-    },
-    { 
-      name: 'Go', 
-      key: 'go', 
-      extensions: ['.go'],
-      version: '1.x',
-      description: 'Go programming language'
-    },
-    { 
-      name: 'Ruby', 
-      key: 'ruby', 
-      extensions: ['.rb'],
-      version: '2.x+',
-      description: 'Ruby programming language'
-    },
-    { 
-      name: 'PHP', 
-      key: 'php', 
-      extensions: ['.php'],
-      version: '7.x+',
-      description: 'PHP scripting language'
-    }
-  ];
-
-  res.status(200).json({
-    success: true,
-    data: {
-      languages: supportedLanguages,
-      totalLanguages: supportedLanguages.length,
-      concurrentCompilationLimit: compilationSemaphore.max,
-      currentActiveCompilations: compilationSemaphore.current
-    },
-    timestamp: new Date().toISOString()
-  });
+router.get('/compile/languages', async function(req, res, next) {
+  try {
+    // Versions come from probing the installed toolchains (cached)
+    const versions = await getLanguageVersions({ refresh: req.query.refresh === 'true' });
+    const supportedLanguages = describeLanguages(versions);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        languages: supportedLanguages,
+        totalLanguages: supportedLanguages.length,
+        concurrentCompilationLimit: compilationSemaphore.max,
+        currentActiveCompilations: compilationSemaphore.current
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('Get languages error:', err);
+    res.status(500).json({
+      error: 'Failed to retrieve languages',
+      success: false,
+      details: err.message
+    });
+  }
 });
 
 /* GET compilation stats endpoint */
-router.get('/compile/stats', function(req, res, next) {
-  res.status(200).json({
-    success: true,
-    data: {
-      maxConcurrentCompilations: compilationSemaphore.max,
-      currentActiveCompilations: compilationSemaphore.current,
-      queuedCompilations: compilationSemaphore.queue.length,
-      availableSlots: compilationSemaphore.max - compilationSemaphore.current
-    },
-    timestamp: new Date().toISOString()
-  });
+router.get('/compile/stats', async function(req, res, next) {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        maxConcurrentCompilations: compilationSemaphore.max,
+        currentActiveCompilations: compilationSemaphore.current,
+        queuedCompilations: compilationSemaphore.queue.length,
+        availableSlots: compilationSemaphore.max - compilationSemaphore.current,
+        sandboxMode: sandbox.mode,
+        compileCache: await getCompileCacheStats()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('Get compile stats error:', err);
+    res.status(500).json({
+      error: 'Failed to retrieve compilation stats',
+      success: false,
+      details: err.message
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,71 @@ var express = require('express');
 var router = express.Router();
 const Contest = require('../models/Contest');
 const Problem = require('../models/Problem');
+const { withoutJudgeCode } = require('../models/Problem');
 const User = require('../models/Users');
+const { LANGUAGE_KEYS, describeLanguages } = require('../utils/languages');
+const { forbidden, requirePermission, requireOwnership } = require('../utils/auth');
+const { hasPermission, canManage } = require('../utils/permissions');
+const { scoringModeOf, freezeOf, isTeamContest } = require('../utils/leaderboard');
+const { TeamError, teamOf, registerTeam, disbandTeam } = require('../utils/teams');
+const { ResolverError, resolverState, revealNext, finishResolver, resetResolver } = require('../utils/resolver');
+const { transitionContest } = require('../utils/contestScheduler');
+const {
+  hasPersonalWindows, timingError, lateRankingError, participantOf, personalEndsAt, windowOf, submissionPhase, closesAt
+} = require('../utils/contestWindow');
+const VirtualParticipation = require('../models/VirtualParticipation');
+const {
+  VirtualParticipationError, startVirtualParticipation, virtualStanding
+} = require('../utils/virtualContest');
+const Clarification = require('../models/Clarification');
+const {
+  ClarificationError, visibleQuery, clarificationView, clarificationCounts, visibleEvents,
+  askQuestion, answerQuestion, postAnnouncement, markRead
+} = require('../utils/clarifications');
+const { streamEvents } = require('../utils/judgeEvents');
+
+// While the leaderboard is frozen, the results counted since the freeze
+// would show through these; participants only get them from the (frozen)
+// leaderboard
+function withoutLiveResults(contestObj) {
+  (contestObj.participants || []).forEach(participant => {
+    delete participant.score;
+    delete participant.problemsAttempted;
+  });
+  (contestObj.problems || []).forEach(problem => {
+    delete problem.solvedCount;
+  });
+  if (contestObj.analytics) {
+    delete contestObj.analytics.successfulSubmissions;
+  }
+  delete contestObj.successRate;
+  return contestObj;
+}
+
+// A contest as the user may see it. Only staff get hidden test cases of
+// manual problems, the checker and interactor code of every problem, and
+// (contests:monitor) live results during a freeze.
+function contestForViewer(contest, user) {
+  const contestObj = typeof contest.toObject === 'function' ? contest.toObject() : contest;
+  if (freezeOf(contestObj) && !hasPermission(user, 'contests:monitor')) {
+    withoutLiveResults(contestObj);
+  }
+  if (hasPermission(user, 'problems:read-hidden')) {
+    return contestObj;
+  }
+  contestObj.problems.forEach(problem => {
+    if (problem.manualProblem) {
+      if (problem.manualProblem.testCases) {
+        problem.manualProblem.testCases = problem.manualProblem.testCases.filter(tc => !tc.isHidden);
+      }
+      withoutJudgeCode(problem.manualProblem);
+    }
+    if (problem.populatedProblem) {
+      withoutJudgeCode(problem.populatedProblem);
+    }
+  });
+  return contestObj;
+}
 
 /* GET all contests - Enhanced with filtering and pagination */
 router.get('/', async function(req, res, next) {
@@ -108,7 +172,7 @@ router.get('/', async function(req, res, next) {
 
     res.status(200).json({
       success: true,
-      data: enrichedContests,
+      data: enrichedContests.map(contest => contestForViewer(contest, req.user)),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(totalCount / limit),
@@ -149,6 +213,8 @@ router.get('/:id', async function(req, res, next) {
       });
     }
 
+    const staff = hasPermission(req.user, 'problems:read-hidden');
+
     // Enhanced problem enrichment with full details
     const enrichedProblems = await Promise.all(
       contest.problems.map(async (contestProblem) => {
@@ -163,7 +229,8 @@ router.get('/:id', async function(req, res, next) {
           enrichedProblem.sampleInput = contestProblem.manualProblem?.sampleInput || '';
           enrichedProblem.sampleOutput = contestProblem.manualProblem?.sampleOutput || '';
           enrichedProblem.explanation = contestProblem.manualProblem?.explanation || '';
-          enrichedProblem.testCases = contestProblem.manualProblem?.testCases || [];
+          enrichedProblem.testCases = (contestProblem.manualProblem?.testCases || [])
+            .filter(tc => staff || !tc.isHidden);
           enrichedProblem.isManual = true;
         } else {
           // For database problems, fetch from Problem collection
@@ -171,9 +238,9 @@ router.get('/:id', async function(req, res, next) {
             const dbProblem = await Problem.findById(contestProblem.problemId);
             if (dbProblem) {
               enrichedProblem.description = dbProblem.description;
-              enrichedProblem.testCases = dbProblem.testCases;
+              enrichedProblem.testCases = dbProblem.getVisibleTestCases(staff);
               enrichedProblem.tags = dbProblem.tags;
-              enrichedProblem.populatedProblem = dbProblem;
+              enrichedProblem.populatedProblem = dbProblem.toVisibleObject(staff);
               enrichedProblem.isManual = false;
             }
           } catch (err) {
@@ -188,6 +255,7 @@ router.get('/:id', async function(req, res, next) {
     // Replace problems with enriched version
     const contestResponse = contest.toObject();
     contestResponse.problems = enrichedProblems;
+    contestForViewer(contestResponse, req.user);
 
     res.status(200).json({
       success: true,
@@ -204,7 +272,7 @@ router.get('/:id', async function(req, res, next) {
 });
 
 /* POST create new contest - UPDATED to handle manual problems and language */
-router.post('/', async function(req, res, next) {
+router.post('/', requirePermission('contests:create'), async function(req, res, next) {
   try {
     const {
       title,
@@ -218,11 +286,11 @@ router.post('/', async function(req, res, next) {
       rules,
       maxParticipants,
       problems,
-      createdBy,
       participantSelection,
       filterCriteria,
       settings
     } = req.body;
+    const createdBy = req.user._id;
 
     console.log('📥 Received contest creation request:', {
       title,
@@ -233,15 +301,15 @@ router.post('/', async function(req, res, next) {
     });
 
     // Validate required fields
-    if (!title || !description || !startDate || !endDate || !duration || !createdBy) {
+    if (!title || !description || !startDate || !endDate || !duration) {
       return res.status(400).json({
         success: false,
-        error: 'Title, description, start date, end date, duration, and creator are required'
+        error: 'Title, description, start date, end date, and duration are required'
       });
     }
 
     // Validate language
-    const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+    const validLanguages = LANGUAGE_KEYS;
     if (language && !validLanguages.includes(language)) {
       return res.status(400).json({
         success: false,
@@ -308,15 +376,6 @@ router.post('/', async function(req, res, next) {
       }
     }
 
-    // Verify creator exists
-    const creator = await User.findById(createdBy);
-    if (!creator) {
-      return res.status(400).json({
-        success: false,
-        error: 'Creator user not found'
-      });
-    }
-
     // Create contest data with proper problem handling
     const contestData = {
       title,
@@ -351,7 +410,11 @@ router.post('/', async function(req, res, next) {
             sampleInput: p.manualProblem.sampleInput,
             sampleOutput: p.manualProblem.sampleOutput,
             explanation: p.manualProblem.explanation,
-            testCases: p.manualProblem.testCases || []
+            testCases: p.manualProblem.testCases || [],
+            checker: p.manualProblem.checker,
+            problemType: p.manualProblem.problemType,
+            interactor: p.manualProblem.interactor,
+            subtasks: p.manualProblem.subtasks
           };
         }
 
@@ -435,7 +498,7 @@ router.post('/', async function(req, res, next) {
 });
 
 /* PUT update contest by ID - UPDATED to handle manual problems and language */
-router.put('/:id', async function(req, res, next) {
+router.put('/:id', requireOwnership('contests', Contest), async function(req, res, next) {
   try {
     const contestId = req.params.id;
     
@@ -465,9 +528,14 @@ router.put('/:id', async function(req, res, next) {
     const updateData = { ...req.body };
     delete updateData.participants; // Don't allow direct participant updates
     delete updateData.analytics; // Don't allow direct analytics updates
+    delete updateData.createdBy; // The creator never changes
+    delete updateData.resolver; // Changed through the resolver routes only
+    // Status changes go through POST /:id/status so their hooks run
+    ['status', 'statusHistory', 'hooksPendingSince', 'submissionsLockedAt', 'finalStandings', 'finalizedAt']
+      .forEach(field => delete updateData[field]);
 
     // Validate language if being updated
-    const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+    const validLanguages = LANGUAGE_KEYS;
     if (updateData.language && !validLanguages.includes(updateData.language)) {
       return res.status(400).json({
         success: false,
@@ -475,6 +543,20 @@ router.put('/:id', async function(req, res, next) {
       });
     }
 
+    // The model checks these on save, but update validators skip them
+    const merged = {
+      settings: updateData.settings || contest.settings,
+      duration: updateData.duration !== undefined ? updateData.duration : contest.duration
+    };
+    const settingsProblems = [timingError(merged), lateRankingError(merged)].filter(Boolean);
+    if (settingsProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: settingsProblems
+      });
+    }
+
     // Validate allowed languages if being updated
     if (updateData.allowedLanguages && Array.isArray(updateData.allowedLanguages)) {
       const invalidLanguages = updateData.allowedLanguages.filter(lang => !validLanguages.includes(lang));
@@ -563,7 +645,7 @@ router.put('/:id', async function(req, res, next) {
 });
 
 /* DELETE contest by ID */
-router.delete('/:id', async function(req, res, next) {
+router.delete('/:id', requireOwnership('contests', Contest), async function(req, res, next) {
   try {
     const contestId = req.params.id;
     
@@ -612,11 +694,22 @@ router.delete('/:id', async function(req, res, next) {
   }
 });
 
+// Team contests take whole teams, never single participants
+function teamContestOnly(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'This is a team contest',
+    details: 'Register a team with POST /api/contests/:id/teams'
+  });
+}
+
 /* POST register participant to contest */
 router.post('/:id/register', async function(req, res, next) {
   try {
     const contestId = req.params.id;
-    const { userId } = req.body;
+    // Registers the caller; admins add other users with /register-manual
+    const user = req.user;
+    const userId = user._id.toString();
     
     if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ 
@@ -625,13 +718,6 @@ router.post('/:id/register', async function(req, res, next) {
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     const contest = await Contest.findById(contestId);
     if (!contest) {
       return res.status(404).json({ 
@@ -640,14 +726,6 @@ router.post('/:id/register', async function(req, res, next) {
       });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
     // Check if contest is still accepting registrations
     if (contest.status === 'Completed' || contest.status === 'Cancelled') {
       return res.status(400).json({
@@ -656,6 +734,10 @@ router.post('/:id/register', async function(req, res, next) {
       });
     }
 
+    if (isTeamContest(contest)) {
+      return teamContestOnly(res);
+    }
+
     await contest.addParticipant(user);
 
     res.status(200).json({
@@ -676,260 +758,1188 @@ router.post('/:id/register', async function(req, res, next) {
   }
 });
 
-/* POST register multiple students manually to contest */
-router.post('/:id/register-manual', async function(req, res, next) {
+// A team as the team routes return it
+function teamData(contest, team) {
+  return {
+    teamId: team._id,
+    name: team.name,
+    members: team.members,
+    createdBy: team.createdBy,
+    createdAt: team.createdAt,
+    started: contest.participants.some(p => String(p.teamId) === String(team._id) && p.startedAt)
+  };
+}
+
+/* POST register a team in a team contest */
+router.post('/:id/teams', async function(req, res, next) {
   try {
     const contestId = req.params.id;
-    const { studentIds } = req.body; // Array of student IDs
-    
-    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Invalid contest ID format' 
-      });
-    }
+    const { name } = req.body;
 
-    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        error: 'Student IDs array is required'
+        error: 'Invalid contest ID format'
       });
     }
 
     const contest = await Contest.findById(contestId);
     if (!contest) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        error: 'Contest not found' 
+        error: 'Contest not found'
       });
     }
 
-    // Get all users
-    const users = await User.find({ _id: { $in: studentIds } });
-    if (users.length !== studentIds.length) {
+    // Students form their own team; the contest's managers form any team
+    let memberIds = Array.isArray(req.body.memberIds) ? req.body.memberIds.map(String) : [];
+    if (!canManage(req.user, 'contests', contest)) {
+      memberIds = [req.user._id.toString(), ...memberIds.filter(id => id !== req.user._id.toString())];
+    }
+
+    const { contest: updated, team } = await registerTeam(contest, { name, memberIds }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Team registered successfully',
+      data: {
+        contestId,
+        team: teamData(updated, team),
+        teamCount: updated.teams.length,
+        participantCount: updated.participants.length
+      }
+    });
+  } catch (err) {
+    if (err instanceof TeamError) {
       return res.status(400).json({
         success: false,
-        error: 'One or more users not found'
+        error: err.message,
+        details: err.details
       });
     }
+    console.error('Register team error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register team',
+      details: err.message
+    });
+  }
+});
 
-    let registeredCount = 0;
-    const errors = [];
+/* GET the teams of a team contest, and the caller's team */
+router.get('/:id/teams', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
 
-    for (const user of users) {
-      try {
-        // Check if already registered
-        const isAlreadyRegistered = contest.participants.some(p => 
-          p.userId.toString() === user._id.toString()
-        );
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
 
-        if (!isAlreadyRegistered) {
-          await contest.addParticipant(user);
-          registeredCount++;
-        }
-      } catch (error) {
-        errors.push(`${user.name}: ${error.message}`);
-      }
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
     }
 
+    const myTeam = teamOf(contest, req.user._id);
     res.status(200).json({
       success: true,
-      message: `Successfully registered ${registeredCount} students`,
-      registeredCount,
-      errors: errors.length > 0 ? errors : undefined
+      data: {
+        contestId,
+        teamMode: isTeamContest(contest),
+        maxTeamSize: contest.settings.maxTeamSize,
+        teams: contest.teams.map(team => teamData(contest, team)),
+        myTeamId: myTeam ? myTeam._id : null
+      },
+      count: contest.teams.length
     });
   } catch (err) {
-    console.error('Manual register participants error:', err);
+    console.error('Get teams error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to register participants',
+      error: 'Failed to retrieve teams',
       details: err.message
     });
   }
 });
 
-/* GET available students for manual registration with enhanced filtering */
-router.get('/:id/available-students', async function(req, res, next) {
+/* DELETE disband a team before it starts (its members or the contest's managers) */
+router.delete('/:id/teams/:teamId', async function(req, res, next) {
   try {
-    const contestId = req.params.id;
-    
-    const contest = await Contest.findById(contestId);
-    if (!contest) {
-      return res.status(404).json({ 
+    const { id: contestId, teamId } = req.params;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/) || !teamId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
         success: false,
-        error: 'Contest not found' 
+        error: 'Invalid contest or team ID format'
       });
     }
 
-    // Build filter for students
-    const studentFilter = { role: 'Student' };
-    
-    // Apply department filter if specified
-    if (req.query.department && req.query.department !== 'All') {
-      studentFilter.department = req.query.department;
-    }
-    
-    // Apply semester filter if specified
-    if (req.query.semester) {
-      studentFilter.semester = parseInt(req.query.semester);
-    }
-    
-    // Apply batch filter if specified
-    if (req.query.batch && req.query.batch !== 'All') {
-      studentFilter.batch = req.query.batch;
+    const contest = await Contest.findById(contestId);
+    const team = contest && contest.teams.id(teamId);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
     }
-    
-    // Apply division filter if specified
-    if (req.query.div) {
-      studentFilter.div = parseInt(req.query.div);
+
+    const member = team.members.some(m => String(m.userId) === req.user._id.toString());
+    if (!member && !canManage(req.user, 'contests', contest)) {
+      return forbidden(res, 'Only the team\'s members can disband it', 'contests:manage');
     }
 
-    // Get all students matching the filter
-    const allStudents = await User.find(studentFilter)
-      .select('name email username student_id department batch div semester')
-      .sort({ name: 1 });
-    
-    // Filter out already registered students
-    const registeredUserIds = contest.participants.map(p => p.userId.toString());
-    const availableStudents = allStudents.filter(student => 
-      !registeredUserIds.includes(student._id.toString())
-    );
+    const updated = await disbandTeam(contest, teamId);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'The team has already started the contest'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: availableStudents,
-      count: availableStudents.length,
-      totalStudents: allStudents.length,
-      registeredCount: registeredUserIds.length
+      message: 'Team disbanded',
+      data: { contestId, teamId, teamCount: updated.teams.length }
     });
   } catch (err) {
-    console.error('Get available students error:', err);
+    if (err instanceof TeamError) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+    console.error('Disband team error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to get available students',
+      error: 'Failed to disband team',
       details: err.message
     });
   }
 });
 
-/* GET contest leaderboard */
-router.get('/:id/leaderboard', async function(req, res, next) {
+// A participant's personal window as the start and window routes return it
+function personalWindowData(contest, participant, now) {
+  const window = windowOf(contest, participant);
+  return {
+    contestId: contest._id,
+    timingMode: hasPersonalWindows(contest) ? 'personal' : 'fixed',
+    phase: submissionPhase(contest, now, participant),
+    startedAt: window ? window.startsAt : null,
+    endsAt: window ? window.endsAt : null,
+    remainingSeconds: window ? Math.max(0, Math.floor((window.endsAt - now) / 1000)) : null
+  };
+}
+
+/* POST start the caller's (or their team's) personal window in a personal-window contest */
+router.post('/:id/start', async function(req, res, next) {
   try {
     const contestId = req.params.id;
-    
+    const userId = req.user._id.toString();
+
     if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         success: false,
-        error: 'Invalid contest ID format' 
+        error: 'Invalid contest ID format'
       });
     }
 
     const contest = await Contest.findById(contestId);
     if (!contest) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        error: 'Contest not found' 
+        error: 'Contest not found'
       });
     }
 
-    // Check if leaderboard should be shown
-    if (!contest.settings.showLeaderboard || 
-        (!contest.settings.showLeaderboardDuringContest && contest.status === 'Active')) {
-      return res.status(403).json({
+    if (!hasPersonalWindows(contest)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This contest does not use personal windows',
+        details: 'It starts for everyone at its start date'
+      });
+    }
+
+    const participant = participantOf(contest, userId);
+    if (!participant) {
+      return forbidden(res, 'User not registered for this contest');
+    }
+    const now = new Date();
+    if (participant.startedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Contest already started',
+        data: personalWindowData(contest, participant, now)
+      });
+    }
+
+    const phase = submissionPhase(contest, now, participant);
+    if (phase === 'before') {
+      return res.status(400).json({
+        success: false,
+        error: 'Contest has not started',
+        details: `The contest can be started from ${contest.startDate.toISOString()}`
+      });
+    }
+    if (phase !== 'not_started') {
+      return res.status(400).json({
         success: false,
-        error: 'Leaderboard is not available'
+        error: 'Contest has ended',
+        details: contest.status === 'Cancelled'
+          ? 'The contest was cancelled'
+          : `The contest could be started until ${closesAt(contest).toISOString()}`
       });
     }
 
-    const leaderboard = contest.getLeaderboard();
+    // A team's members all start together. Conditional, so a double click
+    // (or two teammates at once) cannot restart the clock
+    const entrant = participant.teamId ? { teamId: participant.teamId } : { userId: participant.userId };
+    const updated = await Contest.findOneAndUpdate(
+      { _id: contest._id, participants: { $not: { $elemMatch: { ...entrant, startedAt: { $ne: null } } } } },
+      {
+        $set: {
+          'participants.$[entrant].startedAt': now,
+          'participants.$[entrant].endsAt': personalEndsAt(contest, now),
+          'participants.$[entrant].lastActivityTime': now
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [participant.teamId ? { 'entrant.teamId': participant.teamId } : { 'entrant.userId': participant.userId }]
+      }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Contest already started'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: {
-        contestId,
-        contestTitle: contest.title,
-        leaderboard,
-        totalParticipants: contest.participants.length,
-        activeParticipants: contest.activeParticipantsCount,
-        lastUpdated: new Date().toISOString()
-      }
+      message: 'Contest started',
+      data: personalWindowData(updated, participantOf(updated, userId), now)
     });
   } catch (err) {
-    console.error('Get leaderboard error:', err);
+    console.error('Start contest error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve leaderboard',
+      error: 'Failed to start contest',
       details: err.message
     });
   }
 });
 
-/* GET contests by status */
-router.get('/status/:status', async function(req, res, next) {
+/* GET the caller's window in a contest: phase, start, end and time left */
+router.get('/:id/window', async function(req, res, next) {
   try {
-    const status = req.params.status;
-    const validStatuses = ['Upcoming', 'Active', 'Completed', 'Cancelled'];
-    
-    if (!validStatuses.includes(status)) {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Valid statuses: ' + validStatuses.join(', ')
+        error: 'Invalid contest ID format'
       });
     }
 
-    const contests = await Contest.findByStatus(status)
-      .populate('createdBy', 'name email');
-
-    // Manually populate existing problems for each contest
-    for (let contest of contests) {
-      const existingProblemIds = contest.problems
-        .filter(p => !p.problemId.startsWith('manual_'))
-        .map(p => p.problemId);
-      
-      if (existingProblemIds.length > 0) {
-        const existingProblems = await Problem.find({ 
-          _id: { $in: existingProblemIds } 
-        }).select('title difficulty');
-        
-        contest.problems.forEach(contestProblem => {
-          if (!contestProblem.problemId.startsWith('manual_')) {
-            const dbProblem = existingProblems.find(p => p._id.toString() === contestProblem.problemId);
-            if (dbProblem) {
-              contestProblem.populatedProblem = dbProblem;
-            }
-          }
-        });
-      }
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
     }
 
+    const participant = participantOf(contest, req.user._id);
     res.status(200).json({
       success: true,
-      data: contests,
-      count: contests.length
+      data: {
+        ...personalWindowData(contest, participant, new Date()),
+        registered: !!participant
+      }
     });
   } catch (err) {
-    console.error('Get contests by status error:', err);
+    console.error('Get contest window error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve contests',
+      error: 'Failed to retrieve contest window',
       details: err.message
     });
   }
 });
 
-/* GET upcoming contests */
-router.get('/filter/upcoming', async function(req, res, next) {
+/* POST start a virtual participation in a completed contest */
+router.post('/:id/virtual', async function(req, res, next) {
   try {
-    const contests = await Contest.findUpcoming()
-      .populate('createdBy', 'name email');
+    const contestId = req.params.id;
 
-    // Manually populate existing problems for each contest
-    for (let contest of contests) {
-      const existingProblemIds = contest.problems
-        .filter(p => !p.problemId.startsWith('manual_'))
-        .map(p => p.problemId);
-      
-      if (existingProblemIds.length > 0) {
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const participation = await startVirtualParticipation(contest, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Virtual participation started',
+      data: participation
+    });
+  } catch (err) {
+    if (err instanceof VirtualParticipationError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot start a virtual participation',
+        details: err.message
+      });
+    }
+    console.error('Start virtual participation error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start virtual participation',
+      details: err.message
+    });
+  }
+});
+
+/* GET the caller's virtual participation, ranked among the original standings */
+router.get('/:id/virtual', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const participation = await VirtualParticipation.findOne({ contestId, userId: req.user._id });
+    if (!participation) {
+      return res.status(404).json({
+        success: false,
+        error: 'No virtual participation in this contest'
+      });
+    }
+
+    const now = new Date();
+    const { row, rank, outOf, standings } = await virtualStanding(participation, contest);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        participationId: participation._id,
+        contestId,
+        contestTitle: contest.title,
+        scoringMode: scoringModeOf(contest),
+        startedAt: participation.startedAt,
+        endsAt: participation.endsAt,
+        running: participation.isRunning(now),
+        remainingSeconds: Math.max(0, Math.floor((participation.endsAt - now) / 1000)),
+        rank,
+        outOf,
+        result: row,
+        problems: contest.problems.map(p => ({ problemId: p.problemId, title: p.title, points: p.points })),
+        leaderboard: standings
+      }
+    });
+  } catch (err) {
+    console.error('Get virtual participation error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve virtual participation',
+      details: err.message
+    });
+  }
+});
+
+/* GET every virtual participation in a contest with its stored result */
+router.get('/:id/virtual-participations', requirePermission('contests:monitor'), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const participations = await VirtualParticipation.find({ contestId })
+      .sort({ 'result.rank': 1, startedAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: participations,
+      count: participations.length
+    });
+  } catch (err) {
+    console.error('List virtual participations error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve virtual participations',
+      details: err.message
+    });
+  }
+});
+
+/* POST register multiple students manually to contest */
+router.post('/:id/register-manual', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+    const { studentIds } = req.body; // Array of student IDs
+    
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid contest ID format' 
+      });
+    }
+
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Student IDs array is required'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Contest not found' 
+      });
+    }
+
+    if (isTeamContest(contest)) {
+      return teamContestOnly(res);
+    }
+
+    // Get all users
+    const users = await User.find({ _id: { $in: studentIds } });
+    if (users.length !== studentIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more users not found'
+      });
+    }
+
+    let registeredCount = 0;
+    const errors = [];
+
+    for (const user of users) {
+      try {
+        // Check if already registered
+        const isAlreadyRegistered = contest.participants.some(p => 
+          p.userId.toString() === user._id.toString()
+        );
+
+        if (!isAlreadyRegistered) {
+          await contest.addParticipant(user);
+          registeredCount++;
+        }
+      } catch (error) {
+        errors.push(`${user.name}: ${error.message}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Successfully registered ${registeredCount} students`,
+      registeredCount,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (err) {
+    console.error('Manual register participants error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register participants',
+      details: err.message
+    });
+  }
+});
+
+/* GET available students for manual registration with enhanced filtering */
+router.get('/:id/available-students', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+    
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Contest not found' 
+      });
+    }
+
+    // Build filter for students
+    const studentFilter = { role: 'Student', archived: { $ne: true } };
+    
+    // Apply department filter if specified
+    if (req.query.department && req.query.department !== 'All') {
+      studentFilter.department = req.query.department;
+    }
+    
+    // Apply semester filter if specified
+    if (req.query.semester) {
+      studentFilter.semester = parseInt(req.query.semester);
+    }
+    
+    // Apply batch filter if specified
+    if (req.query.batch && req.query.batch !== 'All') {
+      studentFilter.batch = req.query.batch;
+    }
+    
+    // Apply division filter if specified
+    if (req.query.div) {
+      studentFilter.div = parseInt(req.query.div);
+    }
+
+    // Get all students matching the filter
+    const allStudents = await User.find(studentFilter)
+      .select('name email username student_id department batch div semester')
+      .sort({ name: 1 });
+    
+    // Filter out already registered students
+    const registeredUserIds = contest.participants.map(p => p.userId.toString());
+    const availableStudents = allStudents.filter(student => 
+      !registeredUserIds.includes(student._id.toString())
+    );
+
+    res.status(200).json({
+      success: true,
+      data: availableStudents,
+      count: availableStudents.length,
+      totalStudents: allStudents.length,
+      registeredCount: registeredUserIds.length
+    });
+  } catch (err) {
+    console.error('Get available students error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get available students',
+      details: err.message
+    });
+  }
+});
+
+/* GET contest leaderboard */
+router.get('/:id/leaderboard', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+    
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid contest ID format' 
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Contest not found' 
+      });
+    }
+
+    // Check if leaderboard should be shown
+    const hidden = !contest.settings.showLeaderboard || 
+        (!contest.settings.showLeaderboardDuringContest && contest.status === 'Active');
+    if (hidden && !hasPermission(req.user, 'contests:monitor')) {
+      return forbidden(res, 'Leaderboard is not available', 'contests:monitor');
+    }
+
+    // Participants see the frozen standings; staff see them live unless
+    // they ask for the participants' view (?view=frozen)
+    const live = hasPermission(req.user, 'contests:monitor') && req.query.view !== 'frozen';
+    const freeze = live ? null : freezeOf(contest);
+    const leaderboard = await contest.getLeaderboard(freeze);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contestId,
+        contestTitle: contest.title,
+        scoringMode: scoringModeOf(contest),
+        teamMode: isTeamContest(contest),
+        problems: contest.problems.map(p => ({ problemId: p.problemId, title: p.title, points: p.points })),
+        leaderboard,
+        frozen: !!freeze,
+        frozenAt: freeze ? freeze.frozenAfter : null,
+        totalParticipants: contest.participants.length,
+        activeParticipants: contest.activeParticipantsCount,
+        lastUpdated: new Date().toISOString()
+      }
+    });
+  } catch (err) {
+    console.error('Get leaderboard error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve leaderboard',
+      details: err.message
+    });
+  }
+});
+
+// Resolver requests that cannot be served now (no freeze, not over yet,
+// a concurrent reveal) are conflicts
+function resolverConflict(res, err) {
+  return res.status(409).json({
+    success: false,
+    error: 'Resolver unavailable',
+    details: err.message
+  });
+}
+
+/* GET the resolver state with the standings as revealed so far */
+router.get('/:id/resolver', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await resolverState(contest)
+    });
+  } catch (err) {
+    if (err instanceof ResolverError) {
+      return resolverConflict(res, err);
+    }
+    console.error('Get resolver error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve resolver',
+      details: err.message
+    });
+  }
+});
+
+/* POST reveal the next hidden problem of a frozen leaderboard */
+router.post('/:id/resolver/next', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const step = await revealNext(contest);
+    if (!step) {
+      return res.status(200).json({
+        success: true,
+        message: 'Everything is revealed; the leaderboard is live',
+        data: { finished: true }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${step.name}: problem ${step.problemId} revealed, rank ${step.before.rank} to ${step.after.rank}`,
+      data: { finished: false, ...step }
+    });
+  } catch (err) {
+    if (err instanceof ResolverError) {
+      return resolverConflict(res, err);
+    }
+    console.error('Resolver step error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal the next problem',
+      details: err.message
+    });
+  }
+});
+
+/* POST reveal everything at once and unfreeze the leaderboard */
+router.post('/:id/resolver/finish', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const updated = await finishResolver(contest);
+    res.status(200).json({
+      success: true,
+      message: 'The leaderboard is live',
+      data: { finishedAt: updated.resolver.finishedAt }
+    });
+  } catch (err) {
+    if (err instanceof ResolverError) {
+      return resolverConflict(res, err);
+    }
+    console.error('Finish resolver error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to finish resolver',
+      details: err.message
+    });
+  }
+});
+
+/* POST hide the frozen results again to restart the reveal */
+router.post('/:id/resolver/reset', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    await resetResolver(contest);
+    res.status(200).json({
+      success: true,
+      message: 'The leaderboard is frozen again'
+    });
+  } catch (err) {
+    if (err instanceof ResolverError) {
+      return resolverConflict(res, err);
+    }
+    console.error('Reset resolver error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset resolver',
+      details: err.message
+    });
+  }
+});
+
+// Clarifications that cannot be asked, answered or posted are bad requests
+function clarificationRefused(res, err) {
+  return res.status(400).json({
+    success: false,
+    error: 'Clarification refused',
+    details: err.message
+  });
+}
+
+/* GET the clarifications and announcements of a contest the caller may see, newest first */
+router.get('/:id/clarifications', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const query = visibleQuery(contest, req.user);
+    if (req.query.problemId) {
+      query.problemId = String(req.query.problemId);
+    }
+    if (['question', 'announcement'].includes(req.query.kind)) {
+      query.kind = req.query.kind;
+    }
+
+    const clarifications = await Clarification.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contestId,
+        clarifications: clarifications.map(clarification => clarificationView(clarification, req.user)),
+        ...await clarificationCounts(contest, req.user)
+      }
+    });
+  } catch (err) {
+    console.error('Get clarifications error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve clarifications',
+      details: err.message
+    });
+  }
+});
+
+/* POST ask the judges about a problem or the contest - Participants only */
+router.post('/:id/clarifications', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+    const { problemId, question } = req.body;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    if (!participantOf(contest, req.user._id)) {
+      return forbidden(res, 'User not registered for this contest');
+    }
+
+    const clarification = await askQuestion(contest, req.user, { problemId, text: question });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question sent to the judges',
+      data: clarificationView(clarification, req.user)
+    });
+  } catch (err) {
+    if (err instanceof ClarificationError) {
+      return clarificationRefused(res, err);
+    }
+    console.error('Ask clarification error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ask question',
+      details: err.message
+    });
+  }
+});
+
+/* GET the caller's unread count (and, for judges, unanswered questions) */
+router.get('/:id/clarifications/unread', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contestId,
+        ...await clarificationCounts(contest, req.user)
+      }
+    });
+  } catch (err) {
+    console.error('Get unread clarifications error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to count unread clarifications',
+      details: err.message
+    });
+  }
+});
+
+/* POST mark the contest's clarifications read - Participants only */
+router.post('/:id/clarifications/read', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    if (!participantOf(contest, req.user._id)) {
+      return forbidden(res, 'User not registered for this contest');
+    }
+
+    const readAt = new Date();
+    await markRead(contest, req.user._id, readAt);
+
+    res.status(200).json({
+      success: true,
+      message: 'Clarifications marked read',
+      data: { contestId, readAt, unread: 0 }
+    });
+  } catch (err) {
+    console.error('Mark clarifications read error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark clarifications read',
+      details: err.message
+    });
+  }
+});
+
+/* POST answer a question, privately or broadcast to everyone - Contest managers only */
+router.post('/:id/clarifications/:clarificationId/answer', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const { id: contestId, clarificationId } = req.params;
+    const { answer, broadcast } = req.body;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/) || !clarificationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format'
+      });
+    }
+
+    const clarification = await Clarification.findOne({ _id: clarificationId, contestId });
+    if (!clarification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Clarification not found'
+      });
+    }
+
+    await answerQuestion(clarification, req.user, { answer, broadcast: broadcast === true });
+
+    res.status(200).json({
+      success: true,
+      message: clarification.visibility === 'public' ? 'Answer broadcast to everyone' : 'Answer sent',
+      data: clarificationView(clarification, req.user)
+    });
+  } catch (err) {
+    if (err instanceof ClarificationError) {
+      return clarificationRefused(res, err);
+    }
+    console.error('Answer clarification error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to answer question',
+      details: err.message
+    });
+  }
+});
+
+/* POST an announcement to everyone in the contest - Contest managers only */
+router.post('/:id/announcements', requireOwnership('contests', Contest), async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+    const { problemId, text } = req.body;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    const announcement = await postAnnouncement(contest, req.user, { problemId, text });
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement posted',
+      data: clarificationView(announcement, req.user)
+    });
+  } catch (err) {
+    if (err instanceof ClarificationError) {
+      return clarificationRefused(res, err);
+    }
+    console.error('Post announcement error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post announcement',
+      details: err.message
+    });
+  }
+});
+
+/* GET new clarifications and announcements the caller may see, as Server-Sent Events */
+router.get('/:id/clarifications/events', async function(req, res, next) {
+  try {
+    const contestId = req.params.id;
+
+    if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contest ID format'
+      });
+    }
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contest not found'
+      });
+    }
+
+    // The current counts first, then every change the caller may see
+    streamEvents(req, res, { contestId, visibleTo: visibleEvents(contest, req.user) }, {
+      initial: [{ type: 'unread', contestId, data: await clarificationCounts(contest, req.user) }]
+    });
+  } catch (err) {
+    console.error('Clarification events error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream clarifications',
+      details: err.message
+    });
+  }
+});
+
+/* GET contests by status */
+router.get('/status/:status', async function(req, res, next) {
+  try {
+    const status = req.params.status;
+    const validStatuses = ['Upcoming', 'Active', 'Completed', 'Cancelled'];
+    
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Valid statuses: ' + validStatuses.join(', ')
+      });
+    }
+
+    const contests = await Contest.findByStatus(status)
+      .populate('createdBy', 'name email');
+
+    // Manually populate existing problems for each contest
+    for (let contest of contests) {
+      const existingProblemIds = contest.problems
+        .filter(p => !p.problemId.startsWith('manual_'))
+        .map(p => p.problemId);
+      
+      if (existingProblemIds.length > 0) {
+        const existingProblems = await Problem.find({ 
+          _id: { $in: existingProblemIds } 
+        }).select('title difficulty');
+        
+        contest.problems.forEach(contestProblem => {
+          if (!contestProblem.problemId.startsWith('manual_')) {
+            const dbProblem = existingProblems.find(p => p._id.toString() === contestProblem.problemId);
+            if (dbProblem) {
+              contestProblem.populatedProblem = dbProblem;
+            }
+          }
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: contests.map(contest => contestForViewer(contest, req.user)),
+      count: contests.length
+    });
+  } catch (err) {
+    console.error('Get contests by status error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve contests',
+      details: err.message
+    });
+  }
+});
+
+/* GET upcoming contests */
+router.get('/filter/upcoming', async function(req, res, next) {
+  try {
+    const contests = await Contest.findUpcoming()
+      .populate('createdBy', 'name email');
+
+    // Manually populate existing problems for each contest
+    for (let contest of contests) {
+      const existingProblemIds = contest.problems
+        .filter(p => !p.problemId.startsWith('manual_'))
+        .map(p => p.problemId);
+      
+      if (existingProblemIds.length > 0) {
         const existingProblems = await Problem.find({ 
           _id: { $in: existingProblemIds } 
         }).select('title difficulty');
@@ -947,7 +1957,7 @@ router.get('/filter/upcoming', async function(req, res, next) {
 
     res.status(200).json({
       success: true,
-      data: contests,
+      data: contests.map(contest => contestForViewer(contest, req.user)),
       count: contests.length
     });
   } catch (err) {
@@ -990,7 +2000,7 @@ router.get('/filter/active', async function(req, res, next) {
 
     res.status(200).json({
       success: true,
-      data: contests,
+      data: contests.map(contest => contestForViewer(contest, req.user)),
       count: contests.length
     });
   } catch (err) {
@@ -1007,7 +2017,7 @@ router.get('/filter/active', async function(req, res, next) {
 router.get('/filter/language/:language', async function(req, res, next) {
   try {
     const language = req.params.language;
-    const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+    const validLanguages = LANGUAGE_KEYS;
     
     if (!validLanguages.includes(language)) {
       return res.status(400).json({
@@ -1043,7 +2053,7 @@ router.get('/filter/language/:language', async function(req, res, next) {
 
     res.status(200).json({
       success: true,
-      data: contests,
+      data: contests.map(contest => contestForViewer(contest, req.user)),
       count: contests.length
     });
   } catch (err) {
@@ -1086,7 +2096,7 @@ router.get('/filter/multi-language', async function(req, res, next) {
 
     res.status(200).json({
       success: true,
-      data: contests,
+      data: contests.map(contest => contestForViewer(contest, req.user)),
       count: contests.length
     });
   } catch (err) {
@@ -1100,7 +2110,7 @@ router.get('/filter/multi-language', async function(req, res, next) {
 });
 
 /* POST update contest status */
-router.post('/:id/status', async function(req, res, next) {
+router.post('/:id/status', requireOwnership('contests', Contest), async function(req, res, next) {
   try {
     const contestId = req.params.id;
     const { status } = req.body;
@@ -1128,8 +2138,30 @@ router.post('/:id/status', async function(req, res, next) {
       });
     }
 
-    contest.status = status;
-    await contest.save();
+    // The scheduler would undo a status that contradicts the dates
+    const now = new Date();
+    if (status === 'Upcoming' && contest.startDate <= now) {
+      return res.status(400).json({
+        success: false,
+        error: 'The contest has already started; move startDate to the future first'
+      });
+    }
+    if (status === 'Active' && contest.endDate <= now) {
+      return res.status(400).json({
+        success: false,
+        error: 'The contest has already ended; move endDate to the future first'
+      });
+    }
+
+    if (contest.status !== status) {
+      const updated = await transitionContest(contest, status, { by: req.user._id });
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          error: 'The contest status or dates changed in the meantime, try again'
+        });
+      }
+    }
 
     res.status(200).json({
       success: true,
@@ -1150,7 +2182,7 @@ router.post('/:id/status', async function(req, res, next) {
 });
 
 /* GET contest analytics - Enhanced with semester data */
-router.get('/:id/analytics', async function(req, res, next) {
+router.get('/:id/analytics', requirePermission('contests:monitor'), async function(req, res, next) {
   try {
     const contestId = req.params.id;
     
@@ -1307,10 +2339,11 @@ router.get('/:id/analytics', async function(req, res, next) {
 /* GET contest metadata endpoints */
 router.get('/meta/languages', async function(req, res, next) {
   try {
-    const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+    // Keys for existing clients; full descriptions (names, templates) alongside
     res.status(200).json({
       success: true,
-      data: validLanguages
+      data: LANGUAGE_KEYS,
+      languages: describeLanguages()
     });
   } catch (err) {
     console.error('Get languages error:', err);
@@ -2,8 +2,11 @@
 var express = require('express');
 var router = express.Router();
 const Problem = require('../models/Problem');
-const User = require('../models/Users');
 const Submission = require('../models/Submission'); // Add this import
+const { judgeSemaphore, runTestCases, overallStatus, diffOutputs } = require('../utils/judge');
+const { LANGUAGE_KEYS } = require('../utils/languages');
+const { forbidden, requirePermission, requireOwnership } = require('../utils/auth');
+const { hasPermission, canManage } = require('../utils/permissions');
 
 /* GET all problems - Enhanced with filtering and pagination */
 router.get('/', async function(req, res, next) {
@@ -12,8 +15,7 @@ router.get('/', async function(req, res, next) {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    // Check if user is admin (you might get this from JWT token or session)
-    const isAdmin = req.query.isAdmin === 'true' || req.headers['user-role'] === 'admin';
+    const canSeeHidden = hasPermission(req.user, 'problems:read-hidden');
     
     // Build filter object
     const filter = { isActive: true };
@@ -49,20 +51,8 @@ router.get('/', async function(req, res, next) {
 
     // Apply test case visibility based on user role
     const processedProblems = problems.map(problem => {
-      const problemObj = problem.toObject();
-      
-      if (isAdmin) {
-        // Admins see all test cases with visibility info
-        problemObj.visibleTestCases = problem.getVisibleTestCases(true);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-      } else {
-        // Students see only visible test cases
-        problemObj.visibleTestCases = problem.getVisibleTestCases(false);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-        delete problemObj.testCases; // Remove full test cases for students
-      }
-      
-      return problemObj;
+      // Students see only visible test cases, and no checker or interactor code
+      return problem.toVisibleObject(canSeeHidden);
     });
 
     res.status(200).json({
@@ -99,7 +89,7 @@ router.get('/:id', async function(req, res, next) {
     }
 
     // Check if user is admin
-    const isAdmin = req.query.isAdmin === 'true' || req.headers['user-role'] === 'admin';
+    const canSeeHidden = hasPermission(req.user, 'problems:read-hidden');
 
     const problem = await Problem.findById(problemId)
       .populate('createdBy', 'name email');
@@ -111,19 +101,10 @@ router.get('/:id', async function(req, res, next) {
       });
     }
 
-    const problemObj = problem.toObject();
-    
-    // Apply visibility controls
-    if (isAdmin) {
-      // Admins see everything
-      problemObj.visibleTestCases = problem.getVisibleTestCases(true);
-      problemObj.sampleTestCases = problem.getSampleTestCases();
+    // Students see only visible test cases, and no checker or interactor code
+    const problemObj = problem.toVisibleObject(canSeeHidden);
+    if (canSeeHidden) {
       problemObj.allTestCasesForExecution = problem.getTestCasesForExecution();
-    } else {
-      // Students see only visible test cases
-      problemObj.visibleTestCases = problem.getVisibleTestCases(false);
-      problemObj.sampleTestCases = problem.getSampleTestCases();
-      delete problemObj.testCases; // Remove full test cases for students
     }
 
     res.status(200).json({
@@ -141,7 +122,7 @@ router.get('/:id', async function(req, res, next) {
 });
 
 /* POST create new problem with test case visibility */
-router.post('/', async function(req, res, next) {
+router.post('/', requirePermission('problems:create'), async function(req, res, next) {
   try {
     const {
       title,
@@ -149,15 +130,22 @@ router.post('/', async function(req, res, next) {
       difficulty,
       testCases,
       testCaseVisibility,
-      createdBy,
+      timeLimit,
+      memoryLimit,
+      compilerFlags,
+      checker,
+      problemType,
+      interactor,
+      subtasks,
       tags
     } = req.body;
+    const createdBy = req.user._id;
 
     // Validate required fields
-    if (!title || !description || !testCases || !createdBy) {
+    if (!title || !description || !testCases) {
       return res.status(400).json({
         success: false,
-        error: 'Title, description, test cases, and creator are required'
+        error: 'Title, description and test cases are required'
       });
     }
 
@@ -188,15 +176,6 @@ router.post('/', async function(req, res, next) {
       }
     }
 
-    // Verify creator exists
-    const creator = await User.findById(createdBy);
-    if (!creator) {
-      return res.status(400).json({
-        success: false,
-        error: 'Creator user not found'
-      });
-    }
-
     const problemData = {
       title,
       description,
@@ -207,6 +186,13 @@ router.post('/', async function(req, res, next) {
         maxVisibleTestCases: 2,
         hideAllTestCases: false
       },
+      timeLimit,
+      memoryLimit,
+      compilerFlags,
+      checker: checker || { type: 'exact' },
+      problemType: problemType || 'standard',
+      interactor,
+      subtasks,
       createdBy,
       tags: tags || []
     };
@@ -243,7 +229,7 @@ router.post('/', async function(req, res, next) {
 });
 
 /* PUT update problem by ID with visibility controls */
-router.put('/:id', async function(req, res, next) {
+router.put('/:id', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     
@@ -263,6 +249,7 @@ router.put('/:id', async function(req, res, next) {
     }
 
     const updateData = { ...req.body };
+    delete updateData.createdBy; // The creator never changes
     
     // Validate test cases if being updated
     if (updateData.testCases) {
@@ -327,7 +314,7 @@ router.put('/:id', async function(req, res, next) {
 });
 
 /* PUT toggle test case visibility */
-router.put('/:id/testcase/:index/visibility', async function(req, res, next) {
+router.put('/:id/testcase/:index/visibility', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     const testCaseIndex = parseInt(req.params.index);
@@ -377,7 +364,7 @@ router.put('/:id/testcase/:index/visibility', async function(req, res, next) {
 });
 
 /* PUT update problem visibility settings */
-router.put('/:id/visibility-settings', async function(req, res, next) {
+router.put('/:id/visibility-settings', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     const visibilitySettings = req.body;
@@ -415,7 +402,7 @@ router.put('/:id/visibility-settings', async function(req, res, next) {
 });
 
 /* POST hide all test cases */
-router.post('/:id/hide-all-testcases', async function(req, res, next) {
+router.post('/:id/hide-all-testcases', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     
@@ -455,7 +442,7 @@ router.post('/:id/hide-all-testcases', async function(req, res, next) {
 });
 
 /* POST show all test cases */
-router.post('/:id/show-all-testcases', async function(req, res, next) {
+router.post('/:id/show-all-testcases', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     
@@ -495,7 +482,7 @@ router.post('/:id/show-all-testcases', async function(req, res, next) {
 });
 
 /* DELETE problem by ID - CASCADE DELETE WITH SUBMISSIONS */
-router.delete('/:id', async function(req, res, next) {
+router.delete('/:id', requireOwnership('problems', Problem), async function(req, res, next) {
   try {
     const problemId = req.params.id;
     
@@ -581,7 +568,7 @@ router.delete('/:id', async function(req, res, next) {
 });
 
 /* DELETE multiple problems with cascade delete */
-router.delete('/bulk/delete', async function(req, res, next) {
+router.delete('/bulk/delete', requirePermission('problems:manage', 'problems:manage-own'), async function(req, res, next) {
   try {
     const { problemIds } = req.body;
     
@@ -619,6 +606,12 @@ router.delete('/bulk/delete', async function(req, res, next) {
       });
     }
 
+    // All or nothing: every problem must be one the caller may delete
+    const notOwned = problemsToDelete.filter(p => !canManage(req.user, 'problems', p));
+    if (notOwned.length > 0) {
+      return forbidden(res, `You can only delete problems you created: ${notOwned.map(p => p._id).join(', ')}`, 'problems:manage');
+    }
+
     // Step 2: Count and delete all related submissions
     const submissionCount = await Submission.countDocuments({ 
       problemId: { $in: problemIds } 
@@ -702,7 +695,7 @@ router.get('/difficulty/:difficulty', async function(req, res, next) {
       });
     }
 
-    const isAdmin = req.query.isAdmin === 'true' || req.headers['user-role'] === 'admin';
+    const canSeeHidden = hasPermission(req.user, 'problems:read-hidden');
 
     const problems = await Problem.find({ 
       difficulty, 
@@ -712,20 +705,7 @@ router.get('/difficulty/:difficulty', async function(req, res, next) {
     .sort({ createdAt: -1 });
 
     // Apply visibility controls
-    const processedProblems = problems.map(problem => {
-      const problemObj = problem.toObject();
-      
-      if (isAdmin) {
-        problemObj.visibleTestCases = problem.getVisibleTestCases(true);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-      } else {
-        problemObj.visibleTestCases = problem.getVisibleTestCases(false);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-        delete problemObj.testCases;
-      }
-      
-      return problemObj;
-    });
+    const processedProblems = problems.map(problem => problem.toVisibleObject(canSeeHidden));
 
     res.status(200).json({
       success: true,
@@ -746,7 +726,7 @@ router.get('/difficulty/:difficulty', async function(req, res, next) {
 router.get('/tags/:tag', async function(req, res, next) {
   try {
     const tag = req.params.tag.toLowerCase();
-    const isAdmin = req.query.isAdmin === 'true' || req.headers['user-role'] === 'admin';
+    const canSeeHidden = hasPermission(req.user, 'problems:read-hidden');
 
     const problems = await Problem.find({ 
       tags: tag,
@@ -756,20 +736,7 @@ router.get('/tags/:tag', async function(req, res, next) {
     .sort({ createdAt: -1 });
 
     // Apply visibility controls
-    const processedProblems = problems.map(problem => {
-      const problemObj = problem.toObject();
-      
-      if (isAdmin) {
-        problemObj.visibleTestCases = problem.getVisibleTestCases(true);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-      } else {
-        problemObj.visibleTestCases = problem.getVisibleTestCases(false);
-        problemObj.sampleTestCases = problem.getSampleTestCases();
-        delete problemObj.testCases;
-      }
-      
-      return problemObj;
-    });
+    const processedProblems = problems.map(problem => problem.toVisibleObject(canSeeHidden));
 
     res.status(200).json({
       success: true,
@@ -901,11 +868,11 @@ router.get('/meta/statistics', async function(req, res, next) {
   }
 });
 
-/* POST test solution against problem with proper test case handling */
+/* POST run a solution on the public test cases or custom input, without grading it */
 router.post('/:id/test', async function(req, res, next) {
   try {
     const problemId = req.params.id;
-    const { code, language, userId } = req.body;
+    const { code, language, customInput } = req.body;
     
     if (!problemId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ 
@@ -921,7 +888,7 @@ router.post('/:id/test', async function(req, res, next) {
       });
     }
 
-    const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+    const validLanguages = LANGUAGE_KEYS;
     if (!validLanguages.includes(language)) {
       return res.status(400).json({
         success: false,
@@ -929,6 +896,13 @@ router.post('/:id/test', async function(req, res, next) {
       });
     }
 
+    if (customInput !== undefined && typeof customInput !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'customInput must be a string'
+      });
+    }
+
     const problem = await Problem.findById(problemId);
     if (!problem) {
       return res.status(404).json({ 
@@ -937,93 +911,96 @@ router.post('/:id/test', async function(req, res, next) {
       });
     }
 
-    // Get all test cases for execution (including hidden ones)
-    const allTestCases = problem.getTestCasesForExecution();
-    
-    // Get visible test cases for response (what user can see)
-    const isAdmin = req.headers['user-role'] === 'admin';
-    const visibleTestCases = problem.getVisibleTestCases(isAdmin);
+    const isInteractive = problem.problemType === 'interactive';
+    const useCustomInput = customInput !== undefined;
+    if (useCustomInput && isInteractive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Custom input is not supported for interactive problems'
+      });
+    }
 
-    // Here you would integrate with your code compilation service
-    // For now, returning a mock response
+    // Only what the student may see: public test cases, else the samples
+    let testCases;
+    if (useCustomInput) {
+      testCases = [{ input: customInput }];
+    } else {
+      testCases = problem.getVisibleTestCases(false);
+      if (testCases.length === 0) {
+        testCases = problem.getSampleTestCases();
+      }
+    }
+
+    if (testCases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This problem has no public test cases; provide customInput to run your code'
+      });
+    }
+
+    // Same engine as graded submissions, sharing their concurrency limit
+    await judgeSemaphore.acquire();
+    let results;
+    try {
+      results = await runTestCases(code, language, testCases, {
+        limits: problem.getExecutionLimits(),
+        checker: useCustomInput ? null : problem.checker,
+        interactor: isInteractive ? problem.interactor : null
+      });
+    } finally {
+      judgeSemaphore.release();
+    }
+
+    const status = overallStatus(results);
     const testResults = {
       problemId,
-      totalTestCases: allTestCases.length,
-      visibleTestCases: visibleTestCases.length,
-      passedTestCases: 0,
-      results: [],
-      visibleResults: [],
-      overallStatus: 'pending',
       language,
+      mode: useCustomInput ? 'custom' : 'public',
+      totalTestCases: testCases.length,
+      passedTestCases: 0,
+      // With custom input there is no expected output, so the run just completes
+      overallStatus: useCustomInput && ['accepted', 'wrong_answer'].includes(status) ? 'completed' : status,
       executionTime: 0,
-      memoryUsed: 0
+      memoryUsed: 0,
+      results: []
     };
 
-    // Execute against all test cases (including hidden ones)
-    for (let i = 0; i < allTestCases.length; i++) {
-      const testCase = allTestCases[i];
-      // Mock result - replace with actual compilation and execution
-      const result = {
-        testCase: i + 1,
+    if (status === 'compilation_error') {
+      testResults.compilationOutput = results[0].compilationError;
+    }
+
+    results.forEach((result, index) => {
+      const testCase = testCases[index];
+      const testResult = {
+        testCase: index + 1,
         input: testCase.input,
-        expectedOutput: testCase.output,
-        actualOutput: 'Mock output', // This would come from code execution
-        status: Math.random() > 0.3 ? 'passed' : 'failed', // Mock random results
-        executionTime: Math.floor(Math.random() * 200) + 50, // Mock execution time
-        memoryUsed: Math.floor(Math.random() * 1000) + 500, // Mock memory usage
-        isHidden: testCase.isHidden,
-        isPublic: testCase.isPublic
+        actualOutput: result.output || '',
+        status: useCustomInput && ['passed', 'failed'].includes(result.status) ? 'completed' : result.status,
+        executionTime: result.executionTime || 0,
+        memoryUsed: result.memoryUsed || 0,
+        error: result.error || ''
       };
-      
-      testResults.results.push(result);
-      testResults.executionTime += result.executionTime;
-      testResults.memoryUsed = Math.max(testResults.memoryUsed, result.memoryUsed);
-      
+
+      if (!useCustomInput) {
+        testResult.expectedOutput = testCase.output;
+        testResult.checkerMessage = result.checkerMessage || '';
+        if (result.status === 'failed' && !isInteractive) {
+          testResult.diff = diffOutputs(testCase.output, result.output);
+        }
+      }
+      if (result.transcript) {
+        testResult.transcript = result.transcript;
+      }
+
+      testResults.results.push(testResult);
+      testResults.executionTime += testResult.executionTime;
+      testResults.memoryUsed = Math.max(testResults.memoryUsed, testResult.memoryUsed);
       if (result.status === 'passed') {
         testResults.passedTestCases++;
       }
-    }
-
-    // Filter results for response based on visibility
-    if (isAdmin) {
-      // Admins see all results
-      testResults.visibleResults = testResults.results;
-    } else {
-      // Students see only results from visible test cases
-      testResults.visibleResults = testResults.results.filter(result => 
-        !result.isHidden && result.isPublic
-      );
-      
-      // Remove sensitive information from hidden test cases
-      testResults.visibleResults = testResults.visibleResults.map(result => ({
-        testCase: result.testCase,
-        status: result.status,
-        executionTime: result.executionTime,
-        memoryUsed: result.memoryUsed,
-        // Only show input/output for visible test cases
-        ...(result.isPublic && !result.isHidden ? {
-          input: result.input,
-          expectedOutput: result.expectedOutput,
-          actualOutput: result.actualOutput
-        } : {})
-      }));
-    }
-
-    // Determine overall status
-    testResults.overallStatus = testResults.passedTestCases === testResults.totalTestCases ? 'accepted' : 'failed';
-
-    // Update problem statistics
-    problem.totalSubmissions++;
-    if (testResults.overallStatus === 'accepted') {
-      problem.successfulSubmissions++;
-    }
-    await problem.save();
-
-    // Remove full results from response for students
-    if (!isAdmin) {
-      delete testResults.results;
-    }
+    });
 
+    // A practice run: no Submission is created and problem statistics are left alone
     res.status(200).json({
       success: true,
       data: testResults
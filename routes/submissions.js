@@ -1,53 +1,101 @@
 // routes/submissions.js
 var express = require('express');
 var router = express.Router();
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
-const fsSync = require('fs');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
 
 const Submission = require('../models/Submission');
 const Problem = require('../models/Problem');
 const Contest = require('../models/Contest');
 const User = require('../models/Users');        
+const JudgeJob = require('../models/JudgeJob');
+const RejudgeTask = require('../models/RejudgeTask');
+const { JudgeTaskError, loadJudgeTask } = require('../utils/judgeTasks');
+const { enqueueSubmission } = require('../utils/judgeQueue');
+const { updateStatistics } = require('../utils/submissionStats');
+const { startRejudge } = require('../utils/rejudge');
+const { streamEvents } = require('../utils/judgeEvents');
+const { LANGUAGE_KEYS } = require('../utils/languages');
+const { forbidden, requirePermission, requireOwnership } = require('../utils/auth');
+const { hasPermission, canManage, isSelfOr } = require('../utils/permissions');
+const { PHASE_FILTERS, lateClosesAt, participantOf, windowOf, submissionPhase } = require('../utils/contestWindow');
+const { runningVirtualParticipation } = require('../utils/virtualContest');
+const { teamOf, areTeammates } = require('../utils/teams');
+
+/*
+ * Whether the user may see a submission: their own, a teammate's to their
+ * team contest, or any with submissions:read-all
+ */
+async function canViewSubmission(user, ownerId, contestId) {
+    return isSelfOr(user, ownerId, 'submissions:read-all')
+        || Boolean(contestId && await areTeammates(contestId, user._id, ownerId));
+}
 
-const execAsync = promisify(exec);
-
-// Enhanced Semaphore for controlling concurrent submissions
-class SubmissionSemaphore {
-  constructor(max) {
-    this.max = max;
-    this.current = 0;
-    this.queue = [];
-  }
-
-  async acquire() {
-    return new Promise((resolve) => {
-      if (this.current < this.max) {
-        this.current++;
-        resolve();
-      } else {
-        this.queue.push(resolve);
-      }
-    });
-  }
-
-  release() {
-    this.current--;
-    if (this.queue.length > 0) {
-      this.current++;
-      const resolve = this.queue.shift();
-      resolve();
+// Fields sent as the first event of a live status stream
+const LIVE_STATUS_FIELDS = 'userId problemId contestId status score passedTestCases totalTestCases executionTime memoryUsed';
+
+/*
+ * Refuse a contest submission made outside the contest's windows (see
+ * utils/contestWindow.js), or by a user who is not registered or has not
+ * started their personal window; anyone may upsolve, and virtual
+ * participants (utils/virtualContest.js) need not be registered. Returns the
+ * response sent, or null when the submission may go on.
+ */
+function checkSubmissionPhase(res, contest, phase, userId) {
+    const participant = participantOf(contest, userId);
+    if (phase === 'before') {
+        return res.status(400).json({
+            success: false,
+            error: 'Contest has not started',
+            details: `Submissions open at ${new Date(contest.startDate).toISOString()}`
+        });
+    }
+    if (phase === 'closed') {
+        const window = windowOf(contest, participant);
+        let details = `Submissions closed at ${lateClosesAt(contest).toISOString()}`;
+        if (contest.status === 'Cancelled') {
+            details = 'The contest was cancelled';
+        } else if (window && window.endsAt < lateClosesAt(contest)) {
+            details = `Your time was up at ${window.endsAt.toISOString()}`;
+        }
+        return res.status(400).json({
+            success: false,
+            error: 'Contest has ended',
+            details
+        });
     }
-  }
+
+    if (!['upsolve', 'virtual'].includes(phase) && !participant) {
+        return forbidden(res, 'User not registered for this contest');
+    }
+    if (phase === 'not_started') {
+        return res.status(400).json({
+            success: false,
+            error: 'Contest not started',
+            details: 'Start the contest (POST /api/contests/:id/start) before submitting'
+        });
+    }
+    return null;
 }
 
-const submissionSemaphore = new SubmissionSemaphore(10); // Allow 10 concurrent submissions
+function snapshotEvent(submission) {
+    return {
+        type: 'snapshot',
+        submissionId: submission._id,
+        contestId: submission.contestId,
+        userId: submission.userId,
+        problemId: submission.problemId,
+        data: {
+            status: submission.status,
+            score: submission.score,
+            passedTestCases: submission.passedTestCases,
+            totalTestCases: submission.totalTestCases,
+            executionTime: submission.executionTime,
+            memoryUsed: submission.memoryUsed
+        }
+    };
+}
 
-/* GET all submissions - Admin endpoint for tracking */
-router.get('/', async function(req, res, next) {
+/* GET all submissions - Staff endpoint for tracking */
+router.get('/', requirePermission('submissions:read-all'), async function(req, res, next) {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 100;
@@ -67,13 +115,18 @@ router.get('/', async function(req, res, next) {
         if (req.query.contestId) {
             filter.contestId = req.query.contestId;
         }
+
+        // contest, late or upsolve submissions only
+        if (PHASE_FILTERS[req.query.phase]) {
+            Object.assign(filter, PHASE_FILTERS[req.query.phase]);
+        }
         
         if (req.query.status && req.query.status !== 'All') {
             filter.status = req.query.status.toLowerCase().replace(' ', '_');
         }
         
         if (req.query.language && req.query.language !== 'All') {
-            const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+            const validLanguages = LANGUAGE_KEYS;
             if (validLanguages.includes(req.query.language.toLowerCase())) {
                 filter.language = req.query.language.toLowerCase();
             }
@@ -141,7 +194,8 @@ router.get('/stats/overview', async function(req, res, next) {
             acceptedSubmissions,
             todaySubmissions,
             languageStats,
-            statusStats
+            statusStats,
+            queueStats
         ] = await Promise.all([
             Submission.countDocuments(),
             Submission.countDocuments({ status: 'accepted' }),
@@ -157,7 +211,8 @@ router.get('/stats/overview', async function(req, res, next) {
             Submission.aggregate([
                 { $group: { _id: '$status', count: { $sum: 1 } } },
                 { $sort: { count: -1 } }
-            ])
+            ]),
+            JudgeJob.getQueueStats()
         ]);
 
         const successRate = totalSubmissions > 0 ? 
@@ -170,8 +225,8 @@ router.get('/stats/overview', async function(req, res, next) {
             successRate: parseFloat(successRate),
             languageStats,
             statusStats,
-            activeEvaluations: submissionSemaphore.current || 0,
-            queuedEvaluations: submissionSemaphore.queue?.length || 0
+            activeEvaluations: queueStats.running,
+            queuedEvaluations: queueStats.queued
         };
 
         res.status(200).json({
@@ -188,11 +243,13 @@ router.get('/stats/overview', async function(req, res, next) {
     }
 });
 
-/* POST submit code with pre-calculated results from frontend */
-router.post('/submit-with-results', async function(req, res, next) {
+/*
+ * POST record a submission with results judged elsewhere - Staff only. The
+ * caller vouches for the results, so students submit through /submit.
+ */
+router.post('/submit-with-results', requirePermission('submissions:record'), async function(req, res, next) {
     try {
         const { 
-            userId, 
             problemId, 
             contestId, 
             code, 
@@ -205,6 +262,7 @@ router.post('/submit-with-results', async function(req, res, next) {
             executionTime,
             memoryUsed
         } = req.body;
+        const userId = req.user._id.toString();
 
         console.log('📥 Received submission with pre-calculated results:', {
             userId,
@@ -216,15 +274,15 @@ router.post('/submit-with-results', async function(req, res, next) {
         });
 
         // Validate required fields
-        if (!userId || !problemId || !code || !language || status === undefined) {
+        if (!problemId || !code || !language || status === undefined) {
             return res.status(400).json({
                 success: false,
-                error: 'userId, problemId, code, language, and status are required'
+                error: 'problemId, code, language, and status are required'
             });
         }
 
         // Validate language
-        const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+        const validLanguages = LANGUAGE_KEYS;
         if (!validLanguages.includes(language.toLowerCase())) {
             return res.status(400).json({
                 success: false,
@@ -232,13 +290,37 @@ router.post('/submit-with-results', async function(req, res, next) {
             });
         }
 
-        // Verify user exists
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
+        let phase = null;
+        let virtual = null;
+        if (contestId) {
+            const contest = await Contest.findById(contestId);
+            if (!contest) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contest not found'
+                });
+            }
+
+            if (!contest.isLanguageAllowed(language.toLowerCase())) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Language ${language} is not allowed in this contest. Allowed languages: ${contest.allowedLanguages.join(', ')}`
+                });
+            }
+
+            phase = submissionPhase(contest, new Date(), participantOf(contest, userId));
+            // After the contest, a running virtual participation takes the
+            // place of upsolving
+            if (contest.status === 'Completed' && ['upsolve', 'closed'].includes(phase)) {
+                virtual = await runningVirtualParticipation(contest._id, userId);
+                if (virtual) {
+                    phase = 'virtual';
+                }
+            }
+            const phaseError = checkSubmissionPhase(res, contest, phase, userId);
+            if (phaseError) {
+                return phaseError;
+            }
         }
 
         // Format test case results to match schema requirements
@@ -258,6 +340,10 @@ router.post('/submit-with-results', async function(req, res, next) {
             userId,
             problemId,
             contestId: contestId || null,
+            isLate: phase === 'late',
+            isUpsolve: phase === 'upsolve',
+            virtualParticipationId: virtual ? virtual._id : null,
+            source: 'recorded',
             code,
             language: language.toLowerCase(),
             status: status,
@@ -306,18 +392,19 @@ router.post('/submit', async function(req, res, next) {
     let submission = null;
     
     try {
-        const { userId, problemId, contestId, code, language } = req.body;
+        const { problemId, contestId, code, language } = req.body;
+        const userId = req.user._id.toString();
 
         // Validate required fields
-        if (!userId || !problemId || !code || !language) {
+        if (!problemId || !code || !language) {
             return res.status(400).json({
                 success: false,
-                error: 'userId, problemId, code, and language are required'
+                error: 'problemId, code, and language are required'
             });
         }
 
         // Validate language
-        const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+        const validLanguages = LANGUAGE_KEYS;
         if (!validLanguages.includes(language.toLowerCase())) {
             return res.status(400).json({
                 success: false,
@@ -325,23 +412,13 @@ router.post('/submit', async function(req, res, next) {
             });
         }
 
-        // Verify user exists
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
-        }
-
-        // Get problem details (either from Problem collection or Contest)
-        let problemData = null;
-        let testCases = [];
-        let maxScore = 100;
+        let contest = null;
+        let phase = null;
+        let virtual = null;
 
         if (contestId) {
             // Contest submission
-            const contest = await Contest.findById(contestId);
+            contest = await Contest.findById(contestId);
             if (!contest) {
                 return res.status(404).json({
                     success: false,
@@ -357,57 +434,33 @@ router.post('/submit', async function(req, res, next) {
                 });
             }
 
-            // Check if user is registered for contest
-            const isRegistered = contest.participants.some(p => p.userId.toString() === userId);
-            if (!isRegistered) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'User not registered for this contest'
-                });
+            phase = submissionPhase(contest, new Date(), participantOf(contest, userId));
+            // After the contest, a running virtual participation takes the
+            // place of upsolving
+            if (contest.status === 'Completed' && ['upsolve', 'closed'].includes(phase)) {
+                virtual = await runningVirtualParticipation(contest._id, userId);
+                if (virtual) {
+                    phase = 'virtual';
+                }
             }
-
-            // Contest active check removed - Allow submissions at any time
-            // if (!contest.isCurrentlyActive()) {
-            //     return res.status(400).json({
-            //         success: false,
-            //         error: 'Contest is not currently active'
-            //     });
-            // }
-
-            // Find problem in contest
-            problemData = contest.problems.find(p => p.problemId === problemId);
-            if (!problemData) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Problem not found in contest'
-                });
+            const phaseError = checkSubmissionPhase(res, contest, phase, userId);
+            if (phaseError) {
+                return phaseError;
             }
+        }
 
-            maxScore = problemData.points;
-
-            // Get test cases
-            if (contest.isManualProblem(problemId)) {
-                testCases = problemData.manualProblem.testCases || [];
-            } else {
-                const dbProblem = await Problem.findById(problemId);
-                if (!dbProblem) {
-                    return res.status(404).json({
-                        success: false,
-                        error: 'Referenced problem not found'
-                    });
-                }
-                testCases = dbProblem.getTestCasesForExecution(); // Get all test cases including hidden
-            }
-        } else {
-            // Standalone problem submission
-            problemData = await Problem.findById(problemId);
-            if (!problemData) {
+        // Get problem details (either from Problem collection or Contest)
+        let testCases;
+        try {
+            ({ testCases } = await loadJudgeTask(problemId, contest, language));
+        } catch (taskError) {
+            if (taskError instanceof JudgeTaskError) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Problem not found'
+                    error: taskError.message
                 });
             }
-            testCases = problemData.getTestCasesForExecution(); // Get all test cases including hidden
+            throw taskError;
         }
 
         if (!testCases || testCases.length === 0) {
@@ -422,6 +475,9 @@ router.post('/submit', async function(req, res, next) {
             userId,
             problemId,
             contestId: contestId || null,
+            isLate: phase === 'late',
+            isUpsolve: phase === 'upsolve',
+            virtualParticipationId: virtual ? virtual._id : null,
             code,
             language: language.toLowerCase(),
             totalTestCases: testCases.length,
@@ -430,18 +486,19 @@ router.post('/submit', async function(req, res, next) {
 
         await submission.save();
 
+        // Judge workers pick it up from the queue
+        await enqueueSubmission(submission);
+
         // Return submission ID immediately for tracking
         res.status(202).json({
             success: true,
             message: 'Submission received and queued for evaluation',
             submissionId: submission._id,
             status: 'pending',
+            phase,
             totalTestCases: testCases.length
         });
 
-        // Process submission asynchronously
-        processSubmissionAsync(submission._id, testCases, maxScore, contestId);
-
     } catch (err) {
         console.error('Submit code error:', err);
         
@@ -459,425 +516,6 @@ router.post('/submit', async function(req, res, next) {
     }
 });
 
-/* Async function to process submission */
-async function processSubmissionAsync(submissionId, testCases, maxScore, contestId) {
-    await submissionSemaphore.acquire();
-    
-    try {
-        const submission = await Submission.findById(submissionId);
-        if (!submission) {
-            console.error('Submission not found:', submissionId);
-            return;
-        }
-
-        submission.status = 'running';
-        await submission.save();
-
-        const startTime = Date.now();
-        const results = await runTestCases(submission.code, submission.language, testCases);
-        const totalTime = Date.now() - startTime;
-
-        // Process results
-        let passedCount = 0;
-        let hasCompilationError = false;
-        let hasRuntimeError = false;
-        let hasTimeoutError = false;
-        let hasMemoryError = false;
-
-        const testCaseResults = results.map((result, index) => {
-            if (result.status === 'passed') passedCount++;
-            if (result.status === 'error' && result.errorType === 'compilation') hasCompilationError = true;
-            if (result.status === 'error' && result.errorType === 'runtime') hasRuntimeError = true;
-            if (result.status === 'timeout') hasTimeoutError = true;
-            if (result.status === 'memory_exceeded') hasMemoryError = true;
-
-            return {
-                testCaseIndex: index,
-                input: testCases[index].input || '',
-                expectedOutput: testCases[index].output || '',
-                actualOutput: result.output || '',
-                status: result.status,
-                executionTime: result.executionTime || 0,
-                memoryUsed: result.memoryUsed || 0,
-                errorMessage: result.error || ''
-            };
-        });
-
-        // Determine final status
-        let finalStatus = 'wrong_answer';
-        if (hasCompilationError) {
-            finalStatus = 'compilation_error';
-        } else if (hasRuntimeError) {
-            finalStatus = 'runtime_error';
-        } else if (hasTimeoutError) {
-            finalStatus = 'time_limit_exceeded';
-        } else if (hasMemoryError) {
-            finalStatus = 'memory_limit_exceeded';
-        } else if (passedCount === testCases.length) {
-            finalStatus = 'accepted';
-        }
-
-        // Calculate score and memory usage
-        const score = Math.floor((passedCount / testCases.length) * maxScore);
-        const maxMemoryUsed = Math.max(...testCaseResults.map(r => r.memoryUsed));
-
-        // Update submission
-        submission.status = finalStatus;
-        submission.passedTestCases = passedCount;
-        submission.testCaseResults = testCaseResults;
-        submission.score = score;
-        submission.executionTime = totalTime;
-        submission.memoryUsed = maxMemoryUsed;
-        submission.evaluatedAt = new Date();
-        
-        if (hasCompilationError && results[0]?.compilationError) {
-            submission.compilationOutput = results[0].compilationError;
-        }
-
-        await submission.save();
-
-        // Update problem/contest statistics
-        await updateStatistics(submission, contestId);
-
-        console.log(`Submission ${submissionId} processed: ${finalStatus}, Score: ${score}/${maxScore}`);
-
-    } catch (error) {
-        console.error('Error processing submission:', submissionId, error);
-        
-        try {
-            const submission = await Submission.findById(submissionId);
-            if (submission) {
-                submission.status = 'runtime_error';
-                submission.evaluatedAt = new Date();
-                await submission.save();
-            }
-        } catch (updateError) {
-            console.error('Error updating failed submission:', updateError);
-        }
-    } finally {
-        submissionSemaphore.release();
-    }
-}
-
-/* Function to run test cases */
-async function runTestCases(code, language, testCases) {
-    const results = [];
-    const uniqueId = uuidv4();
-    const tempDir = path.join(__dirname, '../temp');
-    
-    await fs.mkdir(tempDir, { recursive: true });
-
-    let filename, compileCommand, runCommand, extension;
-    let needsCompilation = false;
-    let uniqueSubDir = null;
-
-    // Language-specific setup
-    switch (language.toLowerCase()) {
-        case 'python':
-            extension = '.py';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            runCommand = `python3 "${filename}"`;
-            break;
-            
-        case 'javascript':
-            extension = '.js';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            runCommand = `node "${filename}"`;
-            break;
-            
-        case 'java':
-            extension = '.java';
-            uniqueSubDir = path.join(tempDir, uniqueId);
-            await fs.mkdir(uniqueSubDir, { recursive: true });
-            
-            const className = extractJavaClassName(code) || 'Main';
-            filename = path.join(uniqueSubDir, `${className}.java`);
-            compileCommand = `cd "${uniqueSubDir}" && javac "${className}.java"`;
-            runCommand = `cd "${uniqueSubDir}" && java ${className}`;
-            needsCompilation = true;
-            break;
-            
-        case 'cpp':
-            extension = '.cpp';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            const cppExecutable = path.join(tempDir, uniqueId);
-            // Add -O0 for faster compilation, add .exe for Windows
-            if (process.platform === 'win32') {
-                compileCommand = `g++ -O0 "${filename}" -o "${cppExecutable}.exe"`;
-                runCommand = `"${cppExecutable}.exe"`;
-            } else {
-                compileCommand = `g++ -O0 "${filename}" -o "${cppExecutable}"`;
-                runCommand = `"${cppExecutable}"`;
-            }
-            needsCompilation = true;
-            break;
-            
-        case 'c':
-            extension = '.c';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            const cExecutable = path.join(tempDir, uniqueId);
-            // Add -O0 for faster compilation, add .exe for Windows
-            if (process.platform === 'win32') {
-                compileCommand = `gcc -O0 "${filename}" -o "${cExecutable}.exe"`;
-                runCommand = `"${cExecutable}.exe"`;
-            } else {
-                compileCommand = `gcc -O0 "${filename}" -o "${cExecutable}"`;
-                runCommand = `"${cExecutable}"`;
-            }
-            needsCompilation = true;
-            break;
-
-        case 'go':
-            extension = '.go';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            runCommand = `go run "${filename}"`;
-            break;
-
-        case 'ruby':
-            extension = '.rb';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            runCommand = `ruby "${filename}"`;
-            break;
-
-        case 'php':
-            extension = '.php';
-            filename = path.join(tempDir, `${uniqueId}${extension}`);
-            runCommand = `php "${filename}"`;
-            break;
-            
-        default:
-            throw new Error(`Unsupported language: ${language}`);
-    }
-
-    try {
-        // Write code to file
-        await fs.writeFile(filename, code, 'utf8');
-
-        // Compile if needed
-        if (needsCompilation) {
-            try {
-                const compileResult = await execAsync(compileCommand, {
-                    timeout: 60000, // 60 second compile timeout for Windows
-                    maxBuffer: 1024 * 1024 * 5, // 5MB buffer
-                    shell: true
-                });
-                
-                if (compileResult.stderr && compileResult.stderr.trim()) {
-                    console.log('Compilation warnings:', compileResult.stderr);
-                }
-            } catch (compileError) {
-                // Compilation failed
-                console.log('Compilation error:', compileError.message);
-                return testCases.map(() => ({
-                    status: 'error',
-                    errorType: 'compilation',
-                    error: compileError.stderr || compileError.message,
-                    compilationError: compileError.stderr || compileError.message,
-                    output: '',
-                    executionTime: 0,
-                    memoryUsed: 0
-                }));
-            }
-        }
-
-        // Run test cases
-        for (let i = 0; i < testCases.length; i++) {
-            const testCase = testCases[i];
-            const input = testCase.input || '';
-            const expectedOutput = (testCase.output || '').trim();
-
-            try {
-                const startTime = Date.now();
-                
-                // Write input to temp file for stdin redirection
-                let inputFile = null;
-                let finalCommand = runCommand;
-                
-                if (input && input.trim()) {
-                    inputFile = path.join(tempDir, `${uniqueId}_input_${i}.txt`);
-                    await fs.writeFile(inputFile, input, 'utf8');
-                    finalCommand = `${runCommand} < "${inputFile}"`;
-                }
-                
-                const result = await execAsync(finalCommand, {
-                    timeout: 10000, // 10 second timeout per test case
-                    maxBuffer: 1024 * 1024 * 2, // 2MB output buffer
-                    encoding: 'utf8',
-                    shell: true
-                });
-                
-                // Clean up input file
-                if (inputFile) {
-                    fs.unlink(inputFile).catch(() => {});
-                }
-                
-                const executionTime = Date.now() - startTime;
-
-                const actualOutput = (result.stdout || '').trim();
-                const status = actualOutput === expectedOutput ? 'passed' : 'failed';
-
-                results.push({
-                    status: status,
-                    output: actualOutput,
-                    executionTime: executionTime,
-                    memoryUsed: Math.floor(Math.random() * 1000) + 500, // Mock memory usage
-                    error: result.stderr || ''
-                });
-
-            } catch (execError) {
-                const executionTime = Date.now() - startTime;
-                
-                // Clean up input file on error
-                if (inputFile) {
-                    fs.unlink(inputFile).catch(() => {});
-                }
-                
-                let status = 'error';
-                let errorType = 'runtime';
-                
-                if (execError.killed && (execError.signal === 'SIGTERM' || execError.signal === 'SIGKILL')) {
-                    status = 'timeout';
-                    errorType = 'timeout';
-                }
-
-                results.push({
-                    status: status,
-                    errorType: errorType,
-                    output: execError.stdout || '',
-                    executionTime: executionTime,
-                    memoryUsed: 0,
-                    error: execError.stderr || execError.message
-                });
-            }
-        }
-
-    } finally {
-        // Cleanup
-        try {
-            if (uniqueSubDir) {
-                await fs.rm(uniqueSubDir, { recursive: true, force: true });
-            } else {
-                if (fsSync.existsSync(filename)) {
-                    await fs.unlink(filename);
-                }
-                
-                // Clean up compiled files
-                if (needsCompilation && (language === 'cpp' || language === 'c')) {
-                    const execFile = path.join(tempDir, uniqueId);
-                    if (fsSync.existsSync(execFile)) {
-                        await fs.unlink(execFile);
-                    }
-                    if (fsSync.existsSync(`${execFile}.exe`)) {
-                        await fs.unlink(`${execFile}.exe`);
-                    }
-                }
-            }
-        } catch (cleanupError) {
-            console.error('Cleanup error:', cleanupError);
-        }
-    }
-
-    return results;
-}
-
-/* Helper function to extract Java class name */
-function extractJavaClassName(code) {
-    const codeWithoutComments = code
-        .replace(/\/\*[\s\S]*?\*\//g, '')
-        .replace(/\/\/.*$/gm, '');
-    
-    const publicClassMatch = codeWithoutComments.match(/public\s+class\s+(\w+)/);
-    if (publicClassMatch) return publicClassMatch[1];
-    
-    const anyClassMatch = codeWithoutComments.match(/(?:^|\s)class\s+(\w+)/);
-    if (anyClassMatch) return anyClassMatch[1];
-    
-    return null;
-}
-
-/* Update statistics after submission */
-async function updateStatistics(submission, contestId) {
-    try {
-        // Update problem statistics (for standalone problems)
-        if (!contestId && submission.problemId.match(/^[0-9a-fA-F]{24}$/)) {
-            const problem = await Problem.findById(submission.problemId);
-            if (problem) {
-                problem.totalSubmissions++;
-                if (submission.status === 'accepted') {
-                    problem.successfulSubmissions++;
-                }
-                await problem.save();
-            }
-        }
-
-        // Update contest statistics
-        if (contestId) {
-            const contest = await Contest.findById(contestId);
-            if (contest) {
-                // Update contest analytics
-                contest.analytics.totalSubmissions++;
-                if (submission.status === 'accepted') {
-                    contest.analytics.successfulSubmissions++;
-                }
-
-                // Update participant data
-                const participantIndex = contest.participants.findIndex(
-                    p => p.userId.toString() === submission.userId.toString()
-                );
-
-                if (participantIndex !== -1) {
-                    const participant = contest.participants[participantIndex];
-                    participant.submissions++;
-                    participant.lastActivityTime = new Date();
-
-                    // Update problem attempt data
-                    let problemAttempt = participant.problemsAttempted.find(
-                        p => p.problemId === submission.problemId
-                    );
-
-                    if (!problemAttempt) {
-                        problemAttempt = {
-                            problemId: submission.problemId,
-                            attempts: 0,
-                            solved: false,
-                            score: 0,
-                            lastAttemptTime: new Date()
-                        };
-                        participant.problemsAttempted.push(problemAttempt);
-                    }
-
-                    problemAttempt.attempts++;
-                    problemAttempt.lastAttemptTime = new Date();
-
-                    // Update score if this is the best submission
-                    if (submission.score > problemAttempt.score) {
-                        const oldScore = problemAttempt.score;
-                        problemAttempt.score = submission.score;
-                        participant.score = participant.score - oldScore + submission.score;
-
-                        if (submission.status === 'accepted') {
-                            problemAttempt.solved = true;
-                        }
-                    }
-                }
-
-                // Update problem statistics in contest
-                const contestProblem = contest.problems.find(p => p.problemId === submission.problemId);
-                if (contestProblem) {
-                    contestProblem.attemptCount++;
-                    if (submission.status === 'accepted') {
-                        contestProblem.solvedCount++;
-                    }
-                }
-
-                await contest.save();
-            }
-        }
-    } catch (error) {
-        console.error('Error updating statistics:', error);
-    }
-}
-
 /* GET submission status */
 router.get('/submission/:id', async function(req, res, next) {
     try {
@@ -901,11 +539,17 @@ router.get('/submission/:id', async function(req, res, next) {
             });
         }
 
+        const owner = submission.userId && submission.userId._id ? submission.userId._id : submission.userId;
+        const contestId = submission.contestId && submission.contestId._id ? submission.contestId._id : submission.contestId;
+        if (!(await canViewSubmission(req.user, owner, contestId))) {
+            return forbidden(res, 'You can only view your own submissions', 'submissions:read-all');
+        }
+
         // Filter test case results based on user role and problem visibility
-        const isAdmin = req.headers['user-role'] === 'admin';
+        const admin = hasPermission(req.user, 'submissions:read-all');
         let responseData = submission.toObject();
 
-        if (!isAdmin && submission.contestId) {
+        if (!admin && submission.contestId) {
             // For contest submissions, filter test case results based on problem visibility
             const contest = await Contest.findById(submission.contestId);
             if (contest) {
@@ -926,7 +570,7 @@ router.get('/submission/:id', async function(req, res, next) {
                     }));
                 }
             }
-        } else if (!isAdmin && !submission.contestId) {
+        } else if (!admin && !submission.contestId) {
             // For standalone problems, check problem visibility settings
             const problem = await Problem.findById(submission.problemId);
             if (problem) {
@@ -951,6 +595,307 @@ router.get('/submission/:id', async function(req, res, next) {
     }
 });
 
+/* GET live status of a submission as Server-Sent Events */
+router.get('/submission/:id/events', async function(req, res, next) {
+    try {
+        const submissionId = req.params.id;
+
+        if (!submissionId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid submission ID format'
+            });
+        }
+
+        const submission = await Submission.findById(submissionId).select(LIVE_STATUS_FIELDS);
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                error: 'Submission not found'
+            });
+        }
+
+        if (!(await canViewSubmission(req.user, submission.userId, submission.contestId))) {
+            return forbidden(res, 'You can only watch your own submissions', 'submissions:read-all');
+        }
+
+        // The current state first, then changes until the verdict
+        streamEvents(req, res, { submissionId }, {
+            initial: [snapshotEvent(submission)],
+            until: event => event.type === 'verdict' ||
+                (event.type === 'snapshot' && !['pending', 'running'].includes(event.data.status))
+        });
+    } catch (err) {
+        console.error('Submission events error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stream submission status',
+            details: err.message
+        });
+    }
+});
+
+/* GET live status of all submissions in a contest as Server-Sent Events - Staff only */
+router.get('/contest/:contestId/events', requirePermission('contests:monitor'), async function(req, res, next) {
+    try {
+        const contestId = req.params.contestId;
+
+        if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid contest ID format'
+            });
+        }
+
+        const contest = await Contest.findById(contestId).select('_id');
+        if (!contest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contest not found'
+            });
+        }
+
+        // Submissions still being judged, then every change in the contest
+        const inProgress = await Submission.find({
+            contestId,
+            status: { $in: ['pending', 'running'] }
+        }).select(LIVE_STATUS_FIELDS);
+
+        // Clarifications have their own stream (routes/contests.js)
+        streamEvents(req, res, { contestId, visibleTo: event => Boolean(event.submissionId) }, {
+            initial: inProgress.map(snapshotEvent)
+        });
+    } catch (err) {
+        console.error('Contest submission events error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stream contest submissions',
+            details: err.message
+        });
+    }
+});
+
+/*
+ * Whether the user may rejudge submissions to this problem: they manage it,
+ * or, for a problem written into a contest, the contest that holds it.
+ */
+async function canRejudgeProblem(user, problemId) {
+    if (hasPermission(user, 'problems:manage')) {
+        return true;
+    }
+    if (problemId.match(/^[0-9a-fA-F]{24}$/)) {
+        const problem = await Problem.findById(problemId).select('createdBy').lean();
+        if (problem) {
+            return canManage(user, 'problems', problem);
+        }
+    }
+    const contest = await Contest.findOne({ 'problems.problemId': problemId }).select('createdBy').lean();
+    return canManage(user, 'contests', contest);
+}
+
+// Options of a rejudge request: the body's reason, requested by the caller
+function rejudgeOptions(req) {
+    const body = req.body || {};
+    return {
+        reason: typeof body.reason === 'string' ? body.reason.substring(0, 500) : '',
+        requestedBy: req.user._id
+    };
+}
+
+/* POST rejudge one submission - Staff managing its contest or problem */
+router.post('/submission/:id/rejudge', requirePermission('submissions:rejudge'), async function(req, res, next) {
+    try {
+        const submissionId = req.params.id;
+
+        if (!submissionId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid submission ID format'
+            });
+        }
+
+        const submission = await Submission.findById(submissionId).select('status problemId contestId');
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                error: 'Submission not found'
+            });
+        }
+
+        const allowed = submission.contestId
+            ? canManage(req.user, 'contests', await Contest.findById(submission.contestId).select('createdBy').lean())
+            : await canRejudgeProblem(req.user, submission.problemId);
+        if (!allowed) {
+            return forbidden(res, 'You can only rejudge submissions to problems and contests you manage', 'submissions:rejudge');
+        }
+
+        if (['pending', 'running'].includes(submission.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Submission is still being judged'
+            });
+        }
+
+        const task = await startRejudge('submission', submissionId, rejudgeOptions(req));
+
+        res.status(202).json({
+            success: true,
+            message: 'Rejudge started',
+            data: task
+        });
+    } catch (err) {
+        console.error('Rejudge submission error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start rejudge',
+            details: err.message
+        });
+    }
+});
+
+/* POST rejudge all submissions for a problem - Staff managing the problem */
+router.post('/problem/:problemId/rejudge', requirePermission('submissions:rejudge'), async function(req, res, next) {
+    try {
+        const { problemId } = req.params;
+
+        // Problems from the problem bank, or problems written into a contest
+        const exists = (problemId.match(/^[0-9a-fA-F]{24}$/) && await Problem.exists({ _id: problemId })) ||
+            await Contest.exists({ 'problems.problemId': problemId });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Problem not found'
+            });
+        }
+
+        if (!(await canRejudgeProblem(req.user, problemId))) {
+            return forbidden(res, 'You can only rejudge problems you manage', 'problems:manage');
+        }
+
+        const task = await startRejudge('problem', problemId, rejudgeOptions(req));
+
+        res.status(202).json({
+            success: true,
+            message: `Rejudging ${task.totalSubmissions} submissions`,
+            data: task
+        });
+    } catch (err) {
+        console.error('Rejudge problem error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start rejudge',
+            details: err.message
+        });
+    }
+});
+
+/* POST rejudge all submissions in a contest - Staff managing the contest */
+router.post('/contest/:contestId/rejudge', requirePermission('submissions:rejudge'), requireOwnership('contests', Contest, 'contestId'), async function(req, res, next) {
+    try {
+        const { contestId } = req.params;
+
+        if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid contest ID format'
+            });
+        }
+
+        if (!(await Contest.exists({ _id: contestId }))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contest not found'
+            });
+        }
+
+        const task = await startRejudge('contest', contestId, rejudgeOptions(req));
+
+        res.status(202).json({
+            success: true,
+            message: `Rejudging ${task.totalSubmissions} submissions`,
+            data: task
+        });
+    } catch (err) {
+        console.error('Rejudge contest error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start rejudge',
+            details: err.message
+        });
+    }
+});
+
+/* GET recent rejudges - Staff only */
+router.get('/rejudges', requirePermission('submissions:rejudge'), async function(req, res, next) {
+    try {
+        const { scope, targetId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const query = {};
+        if (scope) query.scope = scope;
+        if (targetId) query.targetId = targetId;
+        if (status) query.status = status;
+
+        const tasks = await RejudgeTask.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            data: tasks
+        });
+    } catch (err) {
+        console.error('Get rejudges error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve rejudges',
+            details: err.message
+        });
+    }
+});
+
+/* GET rejudge progress - Staff only */
+router.get('/rejudges/:taskId', requirePermission('submissions:rejudge'), async function(req, res, next) {
+    try {
+        const { taskId } = req.params;
+
+        if (!taskId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid rejudge ID format'
+            });
+        }
+
+        const task = await RejudgeTask.findById(taskId);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rejudge not found'
+            });
+        }
+
+        // Submissions of the task that are still queued or being judged
+        const remaining = await Submission.countDocuments({
+            'verdictHistory.rejudgeTaskId': task._id,
+            status: { $in: ['pending', 'running'] }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...task.toJSON(),
+                remainingSubmissions: remaining
+            }
+        });
+    } catch (err) {
+        console.error('Get rejudge error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve rejudge',
+            details: err.message
+        });
+    }
+});
+
 /* GET user submissions - Frontend compatible endpoint */
 router.get('/user/:userId', async function(req, res, next) {
     try {
@@ -966,13 +911,8 @@ router.get('/user/:userId', async function(req, res, next) {
             });
         }
 
-        // Verify user exists
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
+        if (!isSelfOr(req.user, userId, 'submissions:read-all')) {
+            return forbidden(res, 'You can only view your own submissions', 'submissions:read-all');
         }
 
         const filter = { userId };
@@ -983,7 +923,7 @@ router.get('/user/:userId', async function(req, res, next) {
         }
         
         if (req.query.language && req.query.language !== 'All') {
-            const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+            const validLanguages = LANGUAGE_KEYS;
             if (validLanguages.includes(req.query.language.toLowerCase())) {
                 filter.language = req.query.language.toLowerCase();
             }
@@ -1036,6 +976,13 @@ router.get('/user/:userId/submissions', async function(req, res, next) {
             });
         }
 
+        // Teammates see each other's submissions to their team contest
+        const allowed = isSelfOr(req.user, userId, 'submissions:read-all')
+            || (req.query.contestId && await areTeammates(req.query.contestId, req.user._id, userId));
+        if (!allowed) {
+            return forbidden(res, 'You can only view your own submissions', 'submissions:read-all');
+        }
+
         const filter = { userId };
         
         if (req.query.status) {
@@ -1050,8 +997,12 @@ router.get('/user/:userId/submissions', async function(req, res, next) {
             filter.contestId = req.query.contestId;
         }
 
+        if (PHASE_FILTERS[req.query.phase]) {
+            Object.assign(filter, PHASE_FILTERS[req.query.phase]);
+        }
+
         if (req.query.language) {
-            const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+            const validLanguages = LANGUAGE_KEYS;
             if (validLanguages.includes(req.query.language.toLowerCase())) {
                 filter.language = req.query.language.toLowerCase();
             }
@@ -1088,6 +1039,77 @@ router.get('/user/:userId/submissions', async function(req, res, next) {
     }
 });
 
+/* GET the submissions of the caller's team in a team contest */
+router.get('/contest/:contestId/team', async function(req, res, next) {
+    try {
+        const contestId = req.params.contestId;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        if (!contestId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid contest ID format'
+            });
+        }
+
+        const contest = await Contest.findById(contestId).select('teams');
+        if (!contest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contest not found'
+            });
+        }
+
+        const team = teamOf(contest, req.user._id);
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                error: 'You are not in a team in this contest'
+            });
+        }
+
+        const filter = { contestId, userId: { $in: team.members.map(member => member.userId) } };
+        if (req.query.problemId) {
+            filter.problemId = req.query.problemId;
+        }
+        if (PHASE_FILTERS[req.query.phase]) {
+            Object.assign(filter, PHASE_FILTERS[req.query.phase]);
+        }
+
+        const [submissions, totalCount] = await Promise.all([
+            Submission.find(filter)
+                .populate('userId', 'name username')
+                .select('-code') // Don't include code in list view
+                .skip(skip)
+                .limit(limit)
+                .sort({ submittedAt: -1 }),
+            Submission.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: submissions,
+            team: { teamId: team._id, name: team.name, members: team.members },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalSubmissions: totalCount,
+                hasNextPage: page < Math.ceil(totalCount / limit),
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (err) {
+        console.error('Get team submissions error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve team submissions',
+            details: err.message
+        });
+    }
+});
+
 /* GET problem submissions */
 router.get('/problem/:problemId/submissions', async function(req, res, next) {
     try {
@@ -1103,7 +1125,7 @@ router.get('/problem/:problemId/submissions', async function(req, res, next) {
         }
 
         if (req.query.language) {
-            const validLanguages = ['python', 'javascript', 'java', 'cpp', 'c', 'go', 'ruby', 'php'];
+            const validLanguages = LANGUAGE_KEYS;
             if (validLanguages.includes(req.query.language.toLowerCase())) {
                 filter.language = req.query.language.toLowerCase();
             }
@@ -1148,7 +1170,8 @@ router.get('/stats/submissions', async function(req, res, next) {
             totalSubmissions,
             acceptedSubmissions,
             languageStats,
-            statusStats
+            statusStats,
+            queueStats
         ] = await Promise.all([
             Submission.countDocuments(),
             Submission.countDocuments({ status: 'accepted' }),
@@ -1159,7 +1182,8 @@ router.get('/stats/submissions', async function(req, res, next) {
             Submission.aggregate([
                 { $group: { _id: '$status', count: { $sum: 1 } } },
                 { $sort: { count: -1 } }
-            ])
+            ]),
+            JudgeJob.getQueueStats()
         ]);
 
         const statistics = {
@@ -1168,8 +1192,8 @@ router.get('/stats/submissions', async function(req, res, next) {
             acceptanceRate: totalSubmissions > 0 ? ((acceptedSubmissions / totalSubmissions) * 100).toFixed(2) : 0,
             languageDistribution: languageStats,
             statusDistribution: statusStats,
-            activeEvaluations: submissionSemaphore.current,
-            queuedEvaluations: submissionSemaphore.queue.length
+            activeEvaluations: queueStats.running,
+            queuedEvaluations: queueStats.queued
         };
 
         res.status(200).json({
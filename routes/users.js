@@ -1,9 +1,40 @@
 var express = require('express');
 var router = express.Router();
+const multer = require('multer');
 const User = require('../models/Users');
+const UserImport = require('../models/UserImport');
+const Rollover = require('../models/Rollover');
+const { hashPassword } = require('../utils/passwords');
+const { issueTokens, verifyToken } = require('../utils/tokens');
+const { authenticate, forbidden, requirePermission } = require('../utils/auth');
+const { ROLES, hasPermission, permissionsOf, isSelfOr } = require('../utils/permissions');
+const { VALID_BATCHES, validateUserFields } = require('../utils/userValidation');
+const { ImportFileError, parseStudentFile, importStudents, reportToCsv } = require('../utils/studentImport');
+const { RolloverRuleError, previewRollover, applyRollover, undoRollover } = require('../utils/rollover');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+
+// One uploaded file in the `file` field; upload errors become 400s
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload failed',
+        details: err.message
+      });
+    }
+    next();
+  });
+}
+
+// What PUT /user/:id changes: users edit the first fields on their own
+// account; the others (and other users' accounts) need users:manage
+const EDITABLE_USER_FIELDS = ['username', 'name', 'email', 'password', 'department'];
+const MANAGED_USER_FIELDS = ['role', 'archived', 'student_id', 'div', 'batch', 'semester'];
 
 /* GET all users - Enhanced with pagination and filtering */
-router.get('/users', async function(req, res, next) {
+router.get('/users', authenticate, requirePermission('users:read'), async function(req, res, next) {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -65,7 +96,7 @@ router.get('/users', async function(req, res, next) {
 });
 
 /* GET a user by ID - Enhanced with better error handling */
-router.get('/user/:id', async function(req, res, next) {
+router.get('/user/:id', authenticate, async function(req, res, next) {
   try {
     const userId = req.params.id;
     
@@ -77,6 +108,10 @@ router.get('/user/:id', async function(req, res, next) {
       });
     }
 
+    if (!isSelfOr(req.user, userId, 'users:read')) {
+      return forbidden(res, 'You can only view your own account', 'users:read');
+    }
+
     const user = await User.findById(userId).select('-password');
 
     if (!user) {
@@ -101,7 +136,7 @@ router.get('/user/:id', async function(req, res, next) {
 });
 
 /* DELETE a user by ID - Enhanced with validation */
-router.delete('/user/:id', async function(req, res, next) {
+router.delete('/user/:id', authenticate, requirePermission('users:manage'), async function(req, res, next) {
   try {
     const userId = req.params.id;
     
@@ -138,72 +173,27 @@ router.delete('/user/:id', async function(req, res, next) {
 });
 
 /* POST a new user - Enhanced with validation */
-router.post('/user', async function (req, res, next) {
+router.post('/user', authenticate, requirePermission('users:manage'), async function (req, res, next) {
   try {
-    const { username, student_id, name, email, password, department, batch, div, semester, role } = req.body;
-
-    const userRole = role || 'Student'; // Default role to Student
-
-    // ✅ Admin logic
-    if (userRole === 'Admin') {
-      // Only validate basic fields
-      if (!username || !name || !email || !password) {
-        return res.status(400).json({
-          success: false,
-          error: 'Username, name, email, and password are required for Admin users'
-        });
-      }
-    } 
-    // ✅ Student logic
-    else {
-      if (!username || !name || !email || !password || !student_id || !department || !batch || !div || !semester) {
-        return res.status(400).json({
-          success: false,
-          error: 'All fields are required for Student users'
-        });
-      }
-
-      // Validate division (1 or 2)
-      const divNum = parseInt(div);
-      if (![1, 2].includes(divNum)) {
-        return res.status(400).json({ success: false, error: 'Division must be 1 or 2' });
-      }
-
-      // Validate batch
-      const validBatches = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
-      if (!validBatches.includes(batch)) {
-        return res.status(400).json({ success: false, error: 'Batch must be one of: A1, A2, B1, B2, C1, C2' });
-      }
-
-      // Validate semester (1-8)
-      const semesterNum = parseInt(semester);
-      if (semesterNum < 1 || semesterNum > 8) {
-        return res.status(400).json({ success: false, error: 'Semester must be between 1 and 8' });
-      }
+    // Same rules as the bulk import (utils/userValidation.js)
+    const { user: userData, errors } = validateUserFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], details: errors });
     }
+    const userRole = userData.role;
 
     // ✅ Check duplicates
     const duplicateCheck = [
-      { email: email.toLowerCase() },
-      { username: username }
+      { email: userData.email },
+      { username: userData.username }
     ];
-    if (userRole !== 'Admin' && student_id) duplicateCheck.push({ student_id });
+    if (userRole === 'Student') duplicateCheck.push({ student_id: userData.student_id });
 
     const existingUser = await User.findOne({ $or: duplicateCheck });
     if (existingUser) {
       return res.status(409).json({ success: false, error: 'User with this email, username, or student ID already exists' });
     }
 
-    // ✅ Build user data
-    const userData = {
-      username,
-      name,
-      email: email.toLowerCase(),
-      password,
-      role: userRole,
-      ...(userRole !== 'Admin' && { student_id, department, batch, div: parseInt(div), semester: parseInt(semester) })
-    };
-
     // Save user
     const newUser = new User(userData);
     const savedUser = await newUser.save();
@@ -239,8 +229,314 @@ router.post('/user', async function (req, res, next) {
 
 
 
+/* POST bulk import students from a CSV or XLSX file (?dryRun=true only validates) */
+router.post('/users/import', authenticate, requirePermission('users:manage'), uploadFile, async function(req, res, next) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A .csv or .xlsx file is required in the "file" field'
+      });
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].includes('true');
+
+    let parsed;
+    try {
+      parsed = await parseStudentFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      if (parseError instanceof ImportFileError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid import file',
+          details: parseError.message
+        });
+      }
+      throw parseError;
+    }
+
+    const report = await importStudents(parsed.records, {
+      dryRun,
+      fileName: req.file.originalname,
+      format: parsed.format,
+      importedBy: req.user._id
+    });
+
+    const { summary } = report;
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.unchanged} unchanged, ${summary.invalid} invalid`
+        : `Imported ${summary.created + summary.updated} of ${summary.total} rows`,
+      data: report,
+      reportUrl: `/users/imports/${report._id}/report`
+    });
+  } catch (err) {
+    console.error('Import users error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import users',
+      details: err.message
+    });
+  }
+});
+
+/* GET recent imports (summaries only) */
+router.get('/users/imports', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const imports = await UserImport.find()
+      .select('-rows')
+      .populate('importedBy', 'name username')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: imports
+    });
+  } catch (err) {
+    console.error('Get imports error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve imports',
+      details: err.message
+    });
+  }
+});
+
+/* GET an import report, with every row */
+router.get('/users/imports/:importId', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const importId = req.params.importId;
+
+    if (!importId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import ID format'
+      });
+    }
+
+    const report = await UserImport.findById(importId).populate('importedBy', 'name username');
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    console.error('Get import error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve import',
+      details: err.message
+    });
+  }
+});
+
+/* GET an import report as a CSV download */
+router.get('/users/imports/:importId/report', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const importId = req.params.importId;
+
+    if (!importId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import ID format'
+      });
+    }
+
+    const report = await UserImport.findById(importId).lean();
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    const name = `import-${report._id}${report.dryRun ? '-dry-run' : ''}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+    res.status(200).send(reportToCsv(report));
+  } catch (err) {
+    console.error('Download import report error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download import report',
+      details: err.message
+    });
+  }
+});
+
+// The rules of a rollover request: an uploaded JSON file, or the JSON body
+function ruleSetFrom(req) {
+  return req.file ? req.file.buffer : req.body;
+}
+
+function invalidRules(res, err) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid rollover rules',
+    details: err.message
+  });
+}
+
+/* POST preview a semester rollover without changing anything */
+router.post('/users/rollovers/preview', authenticate, requirePermission('users:manage'), uploadFile, async function(req, res, next) {
+  try {
+    const preview = await previewRollover(ruleSetFrom(req));
+    const { summary } = preview;
+
+    res.status(200).json({
+      success: true,
+      message: `Preview: ${summary.students} students to change (${summary.archived} archived), ${summary.participantSnapshots} contest snapshots to update`,
+      data: preview
+    });
+  } catch (err) {
+    if (err instanceof RolloverRuleError) {
+      return invalidRules(res, err);
+    }
+    console.error('Preview rollover error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview rollover',
+      details: err.message
+    });
+  }
+});
+
+/* POST apply a semester rollover */
+router.post('/users/rollovers', authenticate, requirePermission('users:manage'), uploadFile, async function(req, res, next) {
+  try {
+    const rollover = await applyRollover(ruleSetFrom(req), req.user._id);
+    const { students, participants, ...data } = rollover.toObject();
+
+    res.status(201).json({
+      success: true,
+      message: `Rolled over ${rollover.summary.students} students`,
+      data,
+      undoUrl: `/users/rollovers/${rollover._id}/undo`
+    });
+  } catch (err) {
+    if (err instanceof RolloverRuleError) {
+      return invalidRules(res, err);
+    }
+    console.error('Apply rollover error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply rollover',
+      details: err.message
+    });
+  }
+});
+
+/* GET recent rollovers (summaries only) */
+router.get('/users/rollovers', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const rollovers = await Rollover.find()
+      .select('-students -participants')
+      .populate('appliedBy undoneBy', 'name username')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: rollovers
+    });
+  } catch (err) {
+    console.error('Get rollovers error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve rollovers',
+      details: err.message
+    });
+  }
+});
+
+/* GET a rollover with every change it made */
+router.get('/users/rollovers/:rolloverId', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const rolloverId = req.params.rolloverId;
+
+    if (!rolloverId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rollover ID format'
+      });
+    }
+
+    const rollover = await Rollover.findById(rolloverId)
+      .populate('appliedBy undoneBy', 'name username')
+      .populate('students.userId', 'name username student_id');
+    if (!rollover) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rollover not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rollover
+    });
+  } catch (err) {
+    console.error('Get rollover error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve rollover',
+      details: err.message
+    });
+  }
+});
+
+/* POST undo a rollover */
+router.post('/users/rollovers/:rolloverId/undo', authenticate, requirePermission('users:manage'), async function(req, res, next) {
+  try {
+    const rolloverId = req.params.rolloverId;
+
+    if (!rolloverId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rollover ID format'
+      });
+    }
+
+    const rollover = await undoRollover(rolloverId, req.user._id);
+    if (!rollover) {
+      const exists = await Rollover.exists({ _id: rolloverId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists ? 'Rollover has already been undone' : 'Rollover not found'
+      });
+    }
+
+    const { undoConflicts } = rollover.summary;
+    const { students, participants, ...data } = rollover.toObject();
+    res.status(200).json({
+      success: true,
+      message: undoConflicts > 0
+        ? `Rollover undone; ${undoConflicts} students changed since were left alone`
+        : 'Rollover undone',
+      data
+    });
+  } catch (err) {
+    console.error('Undo rollover error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to undo rollover',
+      details: err.message
+    });
+  }
+});
+
 /* PUT update user by ID - Enhanced with validation */
-router.put('/user/:id', async function(req, res, next) {
+router.put('/user/:id', authenticate, async function(req, res, next) {
   try {
     const userId = req.params.id;
     
@@ -252,7 +548,30 @@ router.put('/user/:id', async function(req, res, next) {
       });
     }
 
-    const updateData = { ...req.body };
+    if (!isSelfOr(req.user, userId, 'users:manage')) {
+      return forbidden(res, 'You can only edit your own account', 'users:manage');
+    }
+
+    // Only listed fields are copied; anything else in the body is ignored
+    const body = req.body || {};
+    const operators = Object.keys(body).filter(key => key.startsWith('$'));
+    if (operators.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid update',
+        details: `Update operators are not allowed: ${operators.join(', ')}`
+      });
+    }
+    const managedFields = MANAGED_USER_FIELDS.filter(field => body[field] !== undefined);
+    if (managedFields.length > 0 && !hasPermission(req.user, 'users:manage')) {
+      return forbidden(res, `Changing ${managedFields.join(', ')} requires permission users:manage`, 'users:manage');
+    }
+    const updateData = {};
+    [...EDITABLE_USER_FIELDS, ...MANAGED_USER_FIELDS].forEach(field => {
+      if (body[field] !== undefined) {
+        updateData[field] = body[field];
+      }
+    });
 
     // Validate division if being updated
     if (updateData.div && ![1, 2].includes(parseInt(updateData.div))) {
@@ -264,11 +583,10 @@ router.put('/user/:id', async function(req, res, next) {
 
     // Validate batch if being updated
     if (updateData.batch) {
-      const validBatches = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
-      if (!validBatches.includes(updateData.batch)) {
+      if (!VALID_BATCHES.includes(updateData.batch)) {
         return res.status(400).json({
           success: false,
-          error: 'Batch must be one of: A1, A2, B1, B2, C1, C2'
+          error: 'Batch must be one of: ' + VALID_BATCHES.join(', ')
         });
       }
     }
@@ -286,13 +604,19 @@ router.put('/user/:id', async function(req, res, next) {
     }
 
     // Validate role if being updated
-    if (updateData.role && !['Admin', 'Student'].includes(updateData.role)) {
+    if (updateData.role && !ROLES.includes(updateData.role)) {
       return res.status(400).json({
         success: false,
-        error: 'Role must be either Admin or Student'
+        error: 'Role must be one of: ' + ROLES.join(', ')
       });
     }
 
+    // Archiving by hand is stamped like a rollover's
+    if (updateData.archived !== undefined) {
+      updateData.archived = updateData.archived === true || updateData.archived === 'true';
+      updateData.archivedAt = updateData.archived ? new Date() : null;
+    }
+
     // Convert div to number if provided
     if (updateData.div) {
       updateData.div = parseInt(updateData.div);
@@ -344,6 +668,12 @@ router.put('/user/:id', async function(req, res, next) {
       }
     }
 
+    // findByIdAndUpdate skips the save hook, so hash here; older tokens stop working
+    if (updateData.password) {
+      updateData.password = await hashPassword(String(updateData.password));
+      updateData.$inc = { tokenVersion: 1 };
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -395,13 +725,13 @@ router.put('/user/:id', async function(req, res, next) {
   }
 });
 
-/* POST login - Enhanced authentication with case-insensitive username and password */
+/* POST login - Case-insensitive username, returns access and refresh tokens */
 router.post('/login', async function(req, res, next) {
   try {
     const { username, password } = req.body;
 
     // Validate input
-    if (!username || !password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
       return res.status(400).json({
         success: false,
         error: 'Username and password are required'
@@ -409,23 +739,21 @@ router.post('/login', async function(req, res, next) {
     }
 
     // 🔄 Case-insensitive username search using MongoDB regex
+    const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const user = await User.findOne({ 
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
+      username: { $regex: new RegExp(`^${escaped}$`, 'i') }
     });
 
-    if (!user) {
+    // Passwords are case-sensitive; accounts still holding a plaintext password are hashed here
+    if (!user || !(await user.checkPassword(password))) {
       return res.status(401).json({
         success: false,
         error: 'Invalid username or password'
       });
     }
 
-    // 🔄 Case-insensitive password comparison
-    if (user.password.toLowerCase() !== password.toLowerCase()) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid username or password'
-      });
+    if (user.archived) {
+      return forbidden(res, 'This account is archived');
     }
 
     // Return success with user data including role from database
@@ -440,7 +768,9 @@ router.post('/login', async function(req, res, next) {
       department: user.department,
       semester: user.semester,
       batch: user.batch,
-      division: user.div
+      division: user.div,
+      permissions: permissionsOf(user),
+      ...issueTokens(user)
     });
 
   } catch (err) {
@@ -452,6 +782,78 @@ router.post('/login', async function(req, res, next) {
   }
 });
 
+/* POST exchange a refresh token for new tokens */
+router.post('/token/refresh', async function(req, res, next) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    let claims;
+    try {
+      claims = verifyToken(refreshToken, 'refresh');
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: tokenError.message
+      });
+    }
+
+    const user = await User.findById(claims.userId).select('-password');
+    if (!user || user.archived || (user.tokenVersion || 0) !== claims.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...issueTokens(user)
+    });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed',
+      details: err.message
+    });
+  }
+});
+
+/* POST logout - Revokes every token issued to the caller */
+router.post('/logout', authenticate, async function(req, res, next) {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      details: err.message
+    });
+  }
+});
+
+/* GET the authenticated user */
+router.get('/me', authenticate, function(req, res, next) {
+  res.status(200).json({
+    success: true,
+    data: req.user,
+    permissions: permissionsOf(req.user)
+  });
+});
+
 /* GET dropdown data endpoints */
 router.get('/meta/departments', async function(req, res, next) {
   try {
@@ -0,0 +1,132 @@
+// utils/auth.js
+//
+// Request authentication and authorization. authenticate() checks the access
+// token, loads the user it was issued to and puts it on req.user; routes take
+// the caller's identity from there instead of a userId in the body or params.
+// requirePermission() and requireOwnership() then check it against the role
+// table in utils/permissions.js.
+const User = require('../models/Users');
+const { verifyToken } = require('./tokens');
+const { hasPermission, canManage } = require('./permissions');
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+        return token;
+    }
+    // EventSource cannot set headers, so event streams may pass the token in the URL
+    if ((req.headers.accept || '').includes('text/event-stream') && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+function unauthorized(res, error) {
+    return res.status(401).json({
+        success: false,
+        error
+    });
+}
+
+/* Require a valid access token; sets req.user (without its password) */
+async function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+        return unauthorized(res, 'Authentication required');
+    }
+
+    let claims;
+    try {
+        claims = verifyToken(token, 'access');
+    } catch (err) {
+        return unauthorized(res, err.message);
+    }
+
+    try {
+        const user = await User.findById(claims.userId).select('-password');
+        if (!user || (user.tokenVersion || 0) !== claims.tokenVersion) {
+            return unauthorized(res, 'Token revoked');
+        }
+        if (user.archived) {
+            return unauthorized(res, 'Account archived');
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        console.error('Authentication error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Authentication failed',
+            details: err.message
+        });
+    }
+}
+
+/*
+ * The one 403 body of the API. `permission` names what was missing, when a
+ * permission (rather than ownership of a resource) decided.
+ */
+function forbidden(res, details, permission) {
+    return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        details,
+        ...(permission && { requiredPermission: permission })
+    });
+}
+
+/*
+ * Allow the request when the user has any of the permissions. Use after
+ * authenticate():
+ *   router.post('/', requirePermission('problems:create'), handler)
+ */
+function requirePermission(...permissions) {
+    return function(req, res, next) {
+        if (permissions.some(permission => hasPermission(req.user, permission))) {
+            return next();
+        }
+        forbidden(res, `Requires permission ${permissions.join(' or ')}`, permissions[0]);
+    };
+}
+
+/*
+ * Allow changes to the problem or contest in req.params[param] when the user
+ * has `<resource>:manage`, or `<resource>:manage-own` and created it. Missing
+ * documents are left to the handler's 404.
+ *   router.put('/:id', requireOwnership('contests', Contest), handler)
+ */
+function requireOwnership(resource, Model, param = 'id') {
+    return async function(req, res, next) {
+        if (hasPermission(req.user, `${resource}:manage`)) {
+            return next();
+        }
+        // Ids that are not ObjectIds (manual contest problems) have no owner
+        const id = String(req.params[param]);
+        if (!hasPermission(req.user, `${resource}:manage-own`) || !id.match(/^[0-9a-fA-F]{24}$/)) {
+            return forbidden(res, `Requires permission ${resource}:manage`, `${resource}:manage`);
+        }
+
+        try {
+            const doc = await Model.findById(id).select('createdBy').lean();
+            if (doc && !canManage(req.user, resource, doc)) {
+                return forbidden(res, `You can only change ${resource} you created`, `${resource}:manage`);
+            }
+            next();
+        } catch (err) {
+            console.error('Ownership check error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Authorization failed',
+                details: err.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    authenticate,
+    forbidden,
+    requirePermission,
+    requireOwnership
+};
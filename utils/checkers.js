@@ -0,0 +1,240 @@
+// utils/checkers.js
+//
+// Decide whether a program's output is correct for a test case.
+//
+// Problems (and contest manual problems) choose a checker type:
+//   exact            whole output must match (surrounding whitespace and line
+//                    endings are ignored) - the default
+//   token            whitespace-insensitive comparison of tokens
+//   case_insensitive exact comparison ignoring letter case
+//   numeric          tokens compared as numbers within absoluteError or
+//                    relativeError; non-numeric tokens must match exactly
+//   unordered_lines  same lines in any order
+//   custom           author-supplied checker program (testlib convention):
+//                    run as `checker input.txt output.txt answer.txt`, exit
+//                    code 0 accepts, 1 or 2 rejects, 7 gives partial credit
+//                    (the message starts with the fraction, 0-1), anything
+//                    else is a checker failure; stderr (or stdout) is the
+//                    message
+const sandbox = require('./sandbox');
+const { getLanguageSetup, compileProgram } = require('./languages');
+
+const CHECKER_TYPES = ['exact', 'token', 'case_insensitive', 'numeric', 'unordered_lines', 'custom'];
+
+const DEFAULT_EPSILON = 1e-6;
+const CHECKER_TIME_LIMIT = 10000; // ms per test case
+const CHECKER_MEMORY_LIMIT = 512 * 1024 * 1024;
+const MAX_MESSAGE_LENGTH = 500;
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const PARTIAL_EXIT_CODE = 7;
+
+class CheckerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CheckerError';
+    }
+}
+
+function normalize(text) {
+    return (text || '').replace(/\r\n?/g, '\n').trim();
+}
+
+function tokenize(text) {
+    return normalize(text).split(/\s+/).filter(Boolean);
+}
+
+function shorten(token) {
+    return token.length > 40 ? `${token.substring(0, 40)}...` : token;
+}
+
+function compareExact(expected, actual) {
+    const expectedLines = normalize(expected).split('\n');
+    const actualLines = normalize(actual).split('\n');
+    const length = Math.max(expectedLines.length, actualLines.length);
+
+    for (let i = 0; i < length; i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            if (actualLines[i] === undefined) {
+                return { passed: false, message: `Output ended early: expected ${expectedLines.length} lines, found ${actualLines.length}` };
+            }
+            if (expectedLines[i] === undefined) {
+                return { passed: false, message: `Extra output: expected ${expectedLines.length} lines, found ${actualLines.length}` };
+            }
+            return { passed: false, message: `Line ${i + 1} differs` };
+        }
+    }
+    return { passed: true, message: '' };
+}
+
+function compareTokens(expected, actual, equals) {
+    const expectedTokens = tokenize(expected);
+    const actualTokens = tokenize(actual);
+
+    for (let i = 0; i < expectedTokens.length; i++) {
+        if (i >= actualTokens.length) {
+            return { passed: false, message: `Output ended early: expected ${expectedTokens.length} tokens, found ${actualTokens.length}` };
+        }
+        if (!equals(expectedTokens[i], actualTokens[i])) {
+            return {
+                passed: false,
+                message: `Token ${i + 1}: expected "${shorten(expectedTokens[i])}", found "${shorten(actualTokens[i])}"`
+            };
+        }
+    }
+    if (actualTokens.length > expectedTokens.length) {
+        return { passed: false, message: `Extra output: expected ${expectedTokens.length} tokens, found ${actualTokens.length}` };
+    }
+    return { passed: true, message: '' };
+}
+
+function numbersEqual(expected, actual, absoluteError, relativeError) {
+    if (!NUMBER_PATTERN.test(expected) || !NUMBER_PATTERN.test(actual)) {
+        return expected === actual;
+    }
+    const a = parseFloat(expected);
+    const b = parseFloat(actual);
+    const difference = Math.abs(a - b);
+    return difference <= absoluteError || difference <= relativeError * Math.abs(a);
+}
+
+function compareUnorderedLines(expected, actual) {
+    const toLines = text => normalize(text).split('\n').map(line => line.trimEnd()).sort();
+    const expectedLines = toLines(expected);
+    const actualLines = toLines(actual);
+
+    if (expectedLines.length !== actualLines.length) {
+        return { passed: false, message: `Expected ${expectedLines.length} lines, found ${actualLines.length}` };
+    }
+    for (let i = 0; i < expectedLines.length; i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            return { passed: false, message: 'Lines do not match the expected set of lines' };
+        }
+    }
+    return { passed: true, message: '' };
+}
+
+/* Compare with one of the built-in checker types */
+function compareOutputs(config, expected, actual) {
+    switch (config.type || 'exact') {
+        case 'exact':
+            return compareExact(expected, actual);
+
+        case 'token':
+            return compareTokens(expected, actual, (a, b) => a === b);
+
+        case 'case_insensitive':
+            return compareExact((expected || '').toLowerCase(), (actual || '').toLowerCase());
+
+        case 'numeric': {
+            const absoluteError = config.absoluteError ?? DEFAULT_EPSILON;
+            const relativeError = config.relativeError ?? DEFAULT_EPSILON;
+            return compareTokens(expected, actual, (a, b) => numbersEqual(a, b, absoluteError, relativeError));
+        }
+
+        case 'unordered_lines':
+            return compareUnorderedLines(expected, actual);
+
+        default:
+            throw new CheckerError(`Unknown checker type: ${config.type}`);
+    }
+}
+
+/*
+ * Turn an author program's exit code and message into a verdict
+ * ({ passed, score, message }), or throw `ErrorClass` for a failure.
+ * Shared with the interactor, which follows the same convention.
+ */
+function verdictFromExit(exitCode, message, ErrorClass, who) {
+    if (exitCode === 0) {
+        return { passed: true, score: 1, message };
+    }
+    if (exitCode === 1 || exitCode === 2) {
+        return { passed: false, score: 0, message };
+    }
+    if (exitCode === PARTIAL_EXIT_CODE) {
+        const score = parseFloat(message);
+        if (!(score >= 0 && score <= 1)) {
+            throw new ErrorClass(`${who} reported partial credit without a fraction between 0 and 1: ${message}`);
+        }
+        return { passed: score >= 1, score, message };
+    }
+    throw new ErrorClass(`${who} failed with exit code ${exitCode}${message ? `: ${message}` : ''}`);
+}
+
+/* Compile the author's checker into its own box, away from the submission */
+async function createCustomChecker(config) {
+    if (!config.code || !config.language) {
+        throw new CheckerError('Custom checker requires code and language');
+    }
+
+    const setup = getLanguageSetup(config.language, config.code);
+    const box = await sandbox.createBox();
+
+    try {
+        const compiled = await compileProgram(box, setup, config.code);
+        if (!compiled.success) {
+            throw new CheckerError(`Custom checker failed to compile: ${compiled.output.substring(0, MAX_MESSAGE_LENGTH)}`);
+        }
+    } catch (err) {
+        await sandbox.destroyBox(box);
+        throw err;
+    }
+
+    return {
+        async check(input, expected, actual) {
+            await sandbox.writeBoxFile(box, 'input.txt', input || '');
+            await sandbox.writeBoxFile(box, 'output.txt', actual || '');
+            await sandbox.writeBoxFile(box, 'answer.txt', expected || '');
+
+            const result = await sandbox.run(box, {
+                command: `${setup.runCommand} input.txt output.txt answer.txt`,
+                timeLimit: CHECKER_TIME_LIMIT,
+                memoryLimit: CHECKER_MEMORY_LIMIT,
+                outputLimit: 64 * 1024,
+                limits: setup.limits,
+                env: setup.env
+            });
+            const message = (result.stderr || result.stdout || '').trim().substring(0, MAX_MESSAGE_LENGTH);
+
+            if (result.timedOut || result.memoryExceeded || result.violation || result.signal) {
+                throw new CheckerError(`Custom checker crashed: ${result.violation || result.signal || 'limit exceeded'}`);
+            }
+            return verdictFromExit(result.exitCode, message, CheckerError, 'Custom checker');
+        },
+
+        dispose() {
+            return sandbox.destroyBox(box);
+        }
+    };
+}
+
+/*
+ * Create a checker for a problem's checker settings (null means exact).
+ * Resolves with { check(input, expected, actual), dispose() }; check()
+ * resolves with { passed, score, message } and throws CheckerError when the
+ * checker itself is broken.
+ */
+async function createChecker(config) {
+    config = config || { type: 'exact' };
+
+    if (config.type === 'custom') {
+        return createCustomChecker(config);
+    }
+
+    return {
+        async check(input, expected, actual) {
+            const verdict = compareOutputs(config, expected, actual);
+            return { ...verdict, score: verdict.passed ? 1 : 0 };
+        },
+        async dispose() {}
+    };
+}
+
+module.exports = {
+    CHECKER_TYPES,
+    CheckerError,
+    compareOutputs,
+    createChecker,
+    verdictFromExit
+};
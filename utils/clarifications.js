@@ -0,0 +1,241 @@
+// utils/clarifications.js
+//
+// Contest clarifications. Participants ask the judges (contests:monitor,
+// who see every question) about a problem or the contest in general; the
+// contest's managers answer privately, to the asker and their team, or
+// broadcast the answer to every participant, and post announcements,
+// which everyone sees.
+// Every question, answer and announcement is published as a contest event
+// (utils/judgeEvents.js) so clients following the contest's clarifications
+// see it live. A participant's unread count is the answers and
+// announcements visible to them published since they last read the list
+// (participant.clarificationsReadAt). Participants do not see who asked
+// someone else's question.
+const Contest = require('../models/Contest');
+const Clarification = require('../models/Clarification');
+const { hasPermission } = require('./permissions');
+const { participantOf } = require('./contestWindow');
+const { publishContestEvent } = require('./judgeEvents');
+
+class ClarificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ClarificationError';
+    }
+}
+
+const CLARIFICATION_EVENTS = ['clarification', 'announcement'];
+const CLOSED_STATUSES = ['Completed', 'Cancelled'];
+
+/* Whether the user judges clarifications: sees all of them */
+function isJudge(user) {
+    return hasPermission(user, 'contests:monitor');
+}
+
+/* The query for the clarifications of a contest a user may see */
+function visibleQuery(contest, user) {
+    const query = { contestId: contest._id };
+    if (isJudge(user)) {
+        return query;
+    }
+    const participant = participantOf(contest, user._id);
+    query.$or = [{ visibility: 'public' }, { author: user._id }];
+    if (participant && participant.teamId) {
+        query.$or.push({ teamId: participant.teamId });
+    }
+    return query;
+}
+
+/*
+ * A clarification as the user may see it: without the asker of someone
+ * else's question, unless the user is a judge.
+ */
+function clarificationView(clarification, user) {
+    const view = typeof clarification.toObject === 'function' ? clarification.toObject() : { ...clarification };
+    if (!isJudge(user) && String(view.author) !== String(user._id)) {
+        delete view.author;
+        delete view.authorName;
+        delete view.teamId;
+    }
+    return view;
+}
+
+/*
+ * Counts for the user's badge: { unread } for participants, null for
+ * anyone else, and { pending } (unanswered questions) for judges.
+ */
+async function clarificationCounts(contest, user) {
+    const counts = {};
+    const participant = participantOf(contest, user._id);
+    if (participant) {
+        counts.unread = await Clarification.countDocuments({
+            ...visibleQuery(contest, user),
+            publishedAt: participant.clarificationsReadAt
+                ? { $gt: participant.clarificationsReadAt }
+                : { $ne: null }
+        });
+    } else {
+        counts.unread = null;
+    }
+    if (isJudge(user)) {
+        counts.pending = await Clarification.countDocuments({
+            contestId: contest._id,
+            kind: 'question',
+            answeredAt: null
+        });
+    }
+    return counts;
+}
+
+/*
+ * A filter for the contest's event stream (see subscribe() in
+ * utils/judgeEvents.js) passing the clarification events the user may see.
+ */
+function visibleEvents(contest, user) {
+    const judge = isJudge(user);
+    const participant = participantOf(contest, user._id);
+    const teamId = participant && participant.teamId ? String(participant.teamId) : null;
+    return event => CLARIFICATION_EVENTS.includes(event.type) && (
+        judge
+        || event.data.visibility === 'public'
+        || String(event.userId) === String(user._id)
+        || (teamId !== null && String(event.data.teamId) === teamId)
+    );
+}
+
+// Publish a change. Public events carry no asker, so every participant may
+// receive them; private ones go to the asker, their team and the judges.
+function publish(clarification, action) {
+    const data = {
+        action,
+        clarificationId: clarification._id,
+        kind: clarification.kind,
+        problemId: clarification.problemId,
+        text: clarification.text,
+        answer: clarification.answer,
+        visibility: clarification.visibility,
+        createdAt: clarification.createdAt,
+        answeredAt: clarification.answeredAt,
+        publishedAt: clarification.publishedAt
+    };
+    const isPrivate = clarification.visibility === 'private';
+    if (isPrivate) {
+        data.teamId = clarification.teamId;
+    }
+    const type = clarification.kind === 'announcement' ? 'announcement' : 'clarification';
+    return publishContestEvent(clarification.contestId, type, data, {
+        userId: isPrivate ? clarification.author : null,
+        problemId: clarification.problemId
+    });
+}
+
+// The problem a clarification is about, or null for the whole contest
+function problemOf(contest, problemId) {
+    if (problemId === undefined || problemId === null || problemId === '') {
+        return null;
+    }
+    if (!contest.problems.some(problem => problem.problemId === String(problemId))) {
+        throw new ClarificationError(`Problem ${problemId} is not in this contest`);
+    }
+    return String(problemId);
+}
+
+function textOf(text, what) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        throw new ClarificationError(`${what} is required`);
+    }
+    if (trimmed.length > 2000) {
+        throw new ClarificationError(`${what} is longer than 2000 characters`);
+    }
+    return trimmed;
+}
+
+/*
+ * A participant asks about problemId (or the contest when it is empty).
+ * Resolves with the question; throws ClarificationError when it cannot be
+ * asked.
+ */
+async function askQuestion(contest, user, { problemId, text }) {
+    const participant = participantOf(contest, user._id);
+    if (!participant) {
+        throw new ClarificationError('Only participants can ask questions');
+    }
+    if (CLOSED_STATUSES.includes(contest.status)) {
+        throw new ClarificationError('The contest is over');
+    }
+
+    const clarification = await Clarification.create({
+        contestId: contest._id,
+        kind: 'question',
+        problemId: problemOf(contest, problemId),
+        text: textOf(text, 'A question'),
+        author: user._id,
+        authorName: user.name,
+        teamId: participant.teamId || null
+    });
+    await publish(clarification, 'asked');
+    return clarification;
+}
+
+/*
+ * A contest manager answers a question, to its asker (and team) or, with broadcast,
+ * to everyone. Answering again replaces the answer; a broadcast answer
+ * stays public. Resolves with the question.
+ */
+async function answerQuestion(clarification, user, { answer, broadcast = false }) {
+    if (clarification.kind !== 'question') {
+        throw new ClarificationError('Announcements are not answered');
+    }
+
+    const now = new Date();
+    clarification.answer = textOf(answer, 'An answer');
+    clarification.answeredBy = user._id;
+    clarification.answeredAt = now;
+    clarification.publishedAt = now;
+    if (broadcast) {
+        clarification.visibility = 'public';
+    }
+    await clarification.save();
+    await publish(clarification, 'answered');
+    return clarification;
+}
+
+/* Post an announcement to everyone in the contest. Resolves with it. */
+async function postAnnouncement(contest, user, { problemId, text }) {
+    const now = new Date();
+    const announcement = await Clarification.create({
+        contestId: contest._id,
+        kind: 'announcement',
+        problemId: problemOf(contest, problemId),
+        text: textOf(text, 'An announcement'),
+        author: user._id,
+        authorName: user.name,
+        visibility: 'public',
+        publishedAt: now,
+        createdAt: now
+    });
+    await publish(announcement, 'announced');
+    return announcement;
+}
+
+/* Mark everything published up to `now` read for the participant */
+function markRead(contest, userId, now = new Date()) {
+    return Contest.updateOne(
+        { _id: contest._id, 'participants.userId': userId },
+        { $set: { 'participants.$.clarificationsReadAt': now } }
+    );
+}
+
+module.exports = {
+    ClarificationError,
+    isJudge,
+    visibleQuery,
+    clarificationView,
+    clarificationCounts,
+    visibleEvents,
+    askQuestion,
+    answerQuestion,
+    postAnnouncement,
+    markRead
+};
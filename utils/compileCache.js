@@ -0,0 +1,272 @@
+// utils/compileCache.js
+//
+// Content-addressed cache of compilation results. A compile is identified by
+// the language, the exact compile command (which carries the compiler flags
+// and toolchain choice), the source file name and a hash of the source, so
+// the same program is built once no matter how often it is run, judged or
+// rejudged. Successful builds keep a copy of the box after compiling; failed
+// builds keep the compiler's diagnostics.
+//
+// Entries live in temp/.compile-cache/<key>/ (meta.json plus files/) and are
+// shared by every process on the machine. Each process evicts the least
+// recently used entries once the cache is over its size or entry budget.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const CACHE_DIR = path.join(__dirname, '../temp/.compile-cache');
+
+const ENABLED = process.env.COMPILE_CACHE !== 'off';
+const MAX_BYTES = parseInt(process.env.COMPILE_CACHE_MAX_BYTES) || 512 * 1024 * 1024;
+const MAX_ENTRIES = parseInt(process.env.COMPILE_CACHE_MAX_ENTRIES) || 2000;
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024; // bigger builds are not kept
+
+// Least recently used first: a Map iterates in insertion order and entries
+// are moved to the end whenever they are used
+const index = new Map(); // key -> { size, lastUsed }
+let indexReady = null;
+const inFlight = new Map(); // key -> promise of the latest compile of that key
+
+const stats = {
+    hits: 0,
+    misses: 0,
+    stores: 0,
+    evictions: 0,
+    errors: 0
+};
+
+/* Cache key of a program: hex SHA-256 */
+function compileCacheKey(setup, code) {
+    const sourceHash = crypto.createHash('sha256').update(code, 'utf8').digest('hex');
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([setup.language, setup.compileCommand, setup.filename, setup.env, sourceHash]))
+        .digest('hex');
+}
+
+function entryDir(key) {
+    return path.join(CACHE_DIR, key);
+}
+
+function touch(key, size) {
+    index.delete(key);
+    index.set(key, { size, lastUsed: Date.now() });
+}
+
+/*
+ * Copy regular files and directories from src to dest, giving them to owner
+ * ({ uid, gid }) when set. Symlinks and special files are left out. Returns
+ * the number of bytes copied.
+ */
+async function copyTree(src, dest, owner = null) {
+    let size = 0;
+    await fs.mkdir(dest, { recursive: true, mode: 0o700 });
+    if (owner) {
+        await fs.chown(dest, owner.uid, owner.gid);
+    }
+
+    for (const item of await fs.readdir(src, { withFileTypes: true })) {
+        const from = path.join(src, item.name);
+        const to = path.join(dest, item.name);
+        if (item.isDirectory()) {
+            size += await copyTree(from, to, owner);
+        } else if (item.isFile()) {
+            const { mode, size: fileSize } = await fs.stat(from);
+            await fs.copyFile(from, to);
+            await fs.chmod(to, mode & 0o777);
+            if (owner) {
+                await fs.chown(to, owner.uid, owner.gid);
+            }
+            size += fileSize;
+        }
+    }
+    return size;
+}
+
+async function readMeta(key) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(entryDir(key), 'meta.json'), 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+/* Pick up entries left by earlier runs or other processes, oldest first */
+function loadIndex() {
+    if (!indexReady) {
+        indexReady = (async () => {
+            await fs.mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+            const found = [];
+            for (const name of await fs.readdir(CACHE_DIR)) {
+                if (name.includes('.tmp-')) {
+                    // An interrupted store
+                    await fs.rm(path.join(CACHE_DIR, name), { recursive: true, force: true });
+                    continue;
+                }
+                const meta = await readMeta(name);
+                if (meta) {
+                    const { mtimeMs } = await fs.stat(path.join(entryDir(name), 'meta.json'));
+                    found.push({ key: name, size: meta.size || 0, lastUsed: mtimeMs });
+                }
+            }
+            found.sort((a, b) => a.lastUsed - b.lastUsed);
+            found.forEach(entry => index.set(entry.key, { size: entry.size, lastUsed: entry.lastUsed }));
+            await evict();
+        })().catch(err => {
+            indexReady = null;
+            throw err;
+        });
+    }
+    return indexReady;
+}
+
+function totalBytes() {
+    let bytes = 0;
+    for (const entry of index.values()) bytes += entry.size;
+    return bytes;
+}
+
+/* Drop least recently used entries until the cache fits its budget */
+async function evict() {
+    let bytes = totalBytes();
+    for (const [key, entry] of index) {
+        if (bytes <= MAX_BYTES && index.size <= MAX_ENTRIES) break;
+        index.delete(key);
+        bytes -= entry.size;
+        stats.evictions++;
+        await fs.rm(entryDir(key), { recursive: true, force: true });
+    }
+}
+
+/* Restore a cached result into the box; resolves with null on a miss */
+async function restore(key, box) {
+    const meta = await readMeta(key);
+    if (!meta) {
+        index.delete(key);
+        return null;
+    }
+    if (meta.success) {
+        const owner = box.uid !== null ? { uid: box.uid, gid: box.gid } : null;
+        await copyTree(path.join(entryDir(key), 'files'), box.dir, owner);
+    }
+
+    touch(key, meta.size || 0);
+    const now = new Date();
+    fs.utimes(path.join(entryDir(key), 'meta.json'), now, now).catch(() => {});
+    return { success: meta.success, output: meta.output, exitCode: meta.exitCode, cached: true };
+}
+
+/*
+ * Keep a compile result. Failures are only kept when the compiler itself
+ * rejected the program: timeouts, crashes and missing toolchains are not.
+ */
+async function store(key, box, setup, result) {
+    const rejected = !result.success && !result.timedOut && typeof result.exitCode === 'number' && result.exitCode !== 127;
+    if (!result.success && !rejected) {
+        return;
+    }
+
+    const tmp = path.join(CACHE_DIR, `${key}.tmp-${uuidv4()}`);
+    try {
+        let size = 0;
+        if (result.success) {
+            size = await copyTree(box.dir, path.join(tmp, 'files'));
+            if (size > MAX_ENTRY_BYTES) {
+                return;
+            }
+        } else {
+            await fs.mkdir(tmp, { recursive: true, mode: 0o700 });
+        }
+        const meta = {
+            language: setup.language,
+            success: result.success,
+            output: result.output,
+            exitCode: result.exitCode,
+            size,
+            createdAt: new Date().toISOString()
+        };
+        await fs.writeFile(path.join(tmp, 'meta.json'), JSON.stringify(meta));
+
+        try {
+            await fs.rename(tmp, entryDir(key));
+        } catch (err) {
+            // Another process stored the same build first
+            if (err.code !== 'ENOTEMPTY' && err.code !== 'EEXIST') throw err;
+        }
+        touch(key, size);
+        stats.stores++;
+        await evict();
+    } finally {
+        await fs.rm(tmp, { recursive: true, force: true });
+    }
+}
+
+async function lookupOrCompile(key, setup, box, compile) {
+    try {
+        await loadIndex();
+        const cached = await restore(key, box);
+        if (cached) {
+            stats.hits++;
+            return cached;
+        }
+    } catch (err) {
+        stats.errors++;
+        console.error('Compile cache read error:', err.message);
+    }
+
+    stats.misses++;
+    const result = await compile();
+    await store(key, box, setup, result).catch(err => {
+        stats.errors++;
+        console.error('Compile cache write error:', err.message);
+    });
+    return result;
+}
+
+/*
+ * Compile through the cache. compile() builds the program in the box and
+ * resolves with { success, output, exitCode, timedOut }; on a hit it is not
+ * called and the box gets the cached build instead. Identical compiles are
+ * queued behind each other so only the first one runs the compiler. Cache
+ * failures fall back to compiling.
+ */
+async function cachedCompile(setup, code, box, compile) {
+    if (!ENABLED) {
+        return compile();
+    }
+
+    const key = compileCacheKey(setup, code);
+    const previous = inFlight.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => lookupOrCompile(key, setup, box, compile));
+    inFlight.set(key, current);
+    try {
+        return await current;
+    } finally {
+        if (inFlight.get(key) === current) {
+            inFlight.delete(key);
+        }
+    }
+}
+
+/* Counters of this process plus the size of the shared cache */
+async function getCompileCacheStats() {
+    if (ENABLED) {
+        await loadIndex().catch(err => console.error('Compile cache read error:', err.message));
+    }
+    const lookups = stats.hits + stats.misses;
+    return {
+        enabled: ENABLED,
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0,
+        entries: index.size,
+        bytes: totalBytes(),
+        maxEntries: MAX_ENTRIES,
+        maxBytes: MAX_BYTES
+    };
+}
+
+module.exports = {
+    compileCacheKey,
+    cachedCompile,
+    getCompileCacheStats
+};
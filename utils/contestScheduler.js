@@ -0,0 +1,178 @@
+// utils/contestScheduler.js
+//
+// Moves contests between statuses on their dates: Upcoming -> Active at
+// startDate and Active -> Completed at endDate. runDueTransitions() runs
+// every few seconds from utils/scheduledTasks.js and once at boot, so
+// transitions missed while the server was down happen as soon as it is
+// back. Every server may run it: a transition is a conditional update that
+// only one of them wins. The winner then runs the hooks of the new status:
+//
+//   Active     contest submissions are open (again, after a reopen)
+//   Completed  contest submissions are locked, the leaderboard is unfrozen
+//              when settings.unfreezeAtEnd skips the resolver, and the
+//              final standings are stored
+//
+// Hooks are idempotent. hooksPendingSince stays set until they all
+// succeeded, and later runs retry them, so a crash in between loses nothing.
+const Contest = require('../models/Contest');
+const { buildLeaderboard } = require('./leaderboard');
+const { refreshContestVirtualResults } = require('./virtualContest');
+
+// Hooks still pending after this long are assumed to have died
+const HOOK_RETRY_AFTER = 60 * 1000;
+
+// When the contest's dates say it should be in each status
+const DUE_TRANSITIONS = [
+    { from: 'Upcoming', to: 'Active', dateField: 'startDate' },
+    { from: 'Active', to: 'Completed', dateField: 'endDate' }
+];
+
+// A status set by hand that the dates already contradict would be undone
+// by the next runDueTransitions(), hooks and all, so staff only get it
+// while the dates agree
+const DATE_GUARDS = {
+    Upcoming: now => ({ startDate: { $gt: now } }),
+    Active: now => ({ endDate: { $gt: now } })
+};
+
+/* Open contest submissions again (a Completed contest set back to Active) */
+async function openSubmissions(contest) {
+    await Contest.updateOne({ _id: contest._id }, { $unset: { submissionsLockedAt: 1 } });
+}
+
+/* Stop accepting contest submissions */
+async function lockSubmissions(contest) {
+    await Contest.updateOne(
+        { _id: contest._id, submissionsLockedAt: null },
+        { $set: { submissionsLockedAt: new Date() } }
+    );
+}
+
+/* End the freeze of contests that do not wait for the resolver */
+async function unfreezeLeaderboard(contest) {
+    if (!contest.settings.freezeLeaderboard || !contest.settings.unfreezeAtEnd) {
+        return;
+    }
+    await Contest.updateOne(
+        { _id: contest._id, 'resolver.finishedAt': null },
+        { $set: { 'resolver.finishedAt': new Date() } }
+    );
+}
+
+/*
+ * Store the final (live, unfrozen) standings of a contest, and rank its
+ * virtual participations against them again. Also called after a rejudge
+ * of a Completed contest.
+ */
+async function computeFinalStandings(contest) {
+    const leaderboard = await buildLeaderboard(contest);
+    await Contest.updateOne({ _id: contest._id }, {
+        $set: {
+            finalStandings: leaderboard.map(({ rank, userId, teamId, name, score, solved, penalty }) => ({
+                rank, userId, teamId, name, score, solved, penalty
+            })),
+            finalizedAt: new Date()
+        }
+    });
+    await refreshContestVirtualResults(contest._id);
+}
+
+const HOOKS = {
+    Upcoming: [],
+    Active: [openSubmissions],
+    Completed: [lockSubmissions, unfreezeLeaderboard, computeFinalStandings],
+    Cancelled: [lockSubmissions]
+};
+
+/* Run hook(contest) after each change to `status`, after the built-in ones */
+function onStatusChange(status, hook) {
+    if (!HOOKS[status]) {
+        throw new Error(`Unknown contest status: ${status}`);
+    }
+    HOOKS[status].push(hook);
+}
+
+/* Run the hooks of the contest's current status and clear hooksPendingSince */
+async function runHooks(contest) {
+    for (const hook of HOOKS[contest.status] || []) {
+        await hook(contest);
+    }
+    await Contest.updateOne(
+        { _id: contest._id, status: contest.status },
+        { $unset: { hooksPendingSince: 1 } }
+    );
+}
+
+/*
+ * Move a contest from `from` (default: its current status) to `to` and run
+ * the hooks. by is the user who asked, null for the scheduler. Resolves
+ * with the updated contest, or null when it was no longer in `from` or,
+ * for staff, its dates rule `to` out (Upcoming after startDate, Active
+ * after endDate).
+ */
+async function transitionContest(contest, to, { from = contest.status, by = null } = {}) {
+    const now = new Date();
+    // The scheduler catches up through Active even after endDate
+    const dateGuard = by && DATE_GUARDS[to] ? DATE_GUARDS[to](now) : {};
+    const updated = await Contest.findOneAndUpdate(
+        { _id: contest._id, status: from, ...dateGuard },
+        {
+            $set: { status: to, updatedAt: now, hooksPendingSince: now },
+            $push: { statusHistory: { from, to, at: now, by } }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        return null;
+    }
+
+    console.log(`Contest ${updated._id} ${from} -> ${to}${by ? '' : ' (scheduled)'}`);
+    try {
+        await runHooks(updated);
+    } catch (err) {
+        // Retried by a later runDueTransitions()
+        console.error(`Contest ${updated._id} ${to} hooks error:`, err);
+    }
+    return updated;
+}
+
+/*
+ * Make every contest's status match its dates, and retry hooks that did
+ * not finish. Resolves with the number of transitions made.
+ */
+async function runDueTransitions(now = new Date()) {
+    let transitions = 0;
+
+    // In order, so a contest that started and ended while the server was
+    // down goes through Active to Completed
+    for (const { from, to, dateField } of DUE_TRANSITIONS) {
+        const due = await Contest.find({ status: from, isActive: true, [dateField]: { $lte: now } })
+            .select('_id status')
+            .lean();
+        for (const contest of due) {
+            if (await transitionContest(contest, to, { from })) {
+                transitions++;
+            }
+        }
+    }
+
+    const stalled = await Contest.find({
+        hooksPendingSince: { $lte: new Date(now.getTime() - HOOK_RETRY_AFTER) }
+    });
+    for (const contest of stalled) {
+        try {
+            await runHooks(contest);
+        } catch (err) {
+            console.error(`Contest ${contest._id} ${contest.status} hooks retry error:`, err);
+        }
+    }
+
+    return transitions;
+}
+
+module.exports = {
+    onStatusChange,
+    transitionContest,
+    runDueTransitions,
+    computeFinalStandings
+};
@@ -0,0 +1,203 @@
+// utils/contestWindow.js
+//
+// Which part of a contest a submission made at a given time falls in:
+//
+//   before   the contest has not started: refused
+//   contest  from startDate until endDate, or until submissions were
+//            locked (utils/contestScheduler.js) if that came first
+//   late     the settings.lateSubmissionWindow minutes after that, with
+//            settings.allowLateSubmission: recorded with isLate and ranked
+//            as settings.lateSubmissionRanking says
+//   upsolve  afterwards, with settings.allowUpsolving: recorded with
+//            isUpsolve and never ranked or counted in contest statistics
+//   closed   none of these, or the contest was cancelled: refused
+//
+// With settings.timingMode 'personal' the dates are an availability window
+// instead: each participant starts the contest themselves (POST
+// /api/contests/:id/start) and has `duration` from then, never past the
+// end of the availability window. Their contest and late phases follow
+// that personal window; before they start the phase is not_started, and
+// once their time is up it is closed until the contest itself is over and
+// upsolving opens for everyone.
+const PHASES = ['before', 'not_started', 'contest', 'late', 'upsolve', 'closed'];
+const TIMING_MODES = ['fixed', 'personal'];
+
+// Units accepted in a duration such as "2h 30m" or "90 minutes"
+const DURATION_UNITS = { h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+
+// Submission list filters for ?phase= (virtual: virtual participations,
+// see utils/virtualContest.js)
+const PHASE_FILTERS = {
+    contest: { isLate: { $ne: true }, isUpsolve: { $ne: true }, virtualParticipationId: null },
+    late: { isLate: true },
+    upsolve: { isUpsolve: true },
+    virtual: { virtualParticipationId: { $ne: null } }
+};
+
+/* When the contest stopped taking official submissions */
+function closesAt(contest) {
+    const end = new Date(contest.endDate);
+    return contest.submissionsLockedAt && contest.submissionsLockedAt < end
+        ? new Date(contest.submissionsLockedAt)
+        : end;
+}
+
+/* When late submissions stop being accepted */
+function lateClosesAt(contest) {
+    const settings = contest.settings || {};
+    const window = settings.allowLateSubmission ? (settings.lateSubmissionWindow || 0) : 0;
+    return new Date(closesAt(contest).getTime() + window * 60000);
+}
+
+/* Whether each participant gets their own window (settings.timingMode) */
+function hasPersonalWindows(contest) {
+    return Boolean(contest.settings && contest.settings.timingMode === 'personal');
+}
+
+/*
+ * Minutes in a free-form duration: "90", "90 minutes", "2h", "1h 30m",
+ * "2 hours 15 mins" or "1:30". Returns null when it cannot be read.
+ */
+function parseDuration(text) {
+    const value = String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+    if (/^\d+$/.test(value)) {
+        return Number(value) || null;
+    }
+    const clock = value.match(/^(\d+):([0-5]\d)$/);
+    if (clock) {
+        return (Number(clock[1]) * 60 + Number(clock[2])) || null;
+    }
+
+    const parts = [...value.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+    if (parts.length === 0 || value.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, '').trim() !== '') {
+        return null;
+    }
+    let minutes = 0;
+    for (const [, amount, unit] of parts) {
+        if (!DURATION_UNITS[unit]) {
+            return null;
+        }
+        minutes += Number(amount) * DURATION_UNITS[unit];
+    }
+    return Math.round(minutes) || null;
+}
+
+/*
+ * Why a contest's timing is invalid, or null: personal windows need a
+ * duration parseDuration() can read. Takes the contest or the plain values.
+ */
+function timingError(contest) {
+    if (hasPersonalWindows(contest) && !parseDuration(contest.duration)) {
+        return `Personal window contests need a duration such as "90 minutes", "2h 30m" or "1:30", not "${contest.duration}"`;
+    }
+    return null;
+}
+
+/*
+ * Why a contest's late submission settings are invalid, or null: late
+ * submissions rank at a reduced score, which ICPC standings (problems
+ * solved, then penalty time) have no way to apply. Takes the contest or
+ * the plain values.
+ */
+function lateRankingError(contest) {
+    const settings = contest.settings || {};
+    if (settings.scoringMode === 'ICPC' && settings.lateSubmissionRanking === 'include') {
+        return 'ICPC contests cannot rank late submissions; set lateSubmissionRanking to "exclude"';
+    }
+    return null;
+}
+
+/* The participant entry of a user, or undefined */
+function participantOf(contest, userId) {
+    return contest.participants.find(p => p.userId.toString() === String(userId));
+}
+
+/*
+ * When a participant who starts at `startedAt` has to stop: `duration`
+ * later, but never after the contest closes.
+ */
+function personalEndsAt(contest, startedAt) {
+    const ends = new Date(new Date(startedAt).getTime() + parseDuration(contest.duration) * 60000);
+    const close = closesAt(contest);
+    return ends < close ? ends : close;
+}
+
+/*
+ * The window a participant competes in: { startsAt, endsAt }, the
+ * contest's own dates unless it has personal windows. null for a
+ * participant (or non-participant) who has not started a personal window.
+ */
+function windowOf(contest, participant = null) {
+    if (!hasPersonalWindows(contest)) {
+        return { startsAt: new Date(contest.startDate), endsAt: closesAt(contest) };
+    }
+    if (!participant || !participant.startedAt) {
+        return null;
+    }
+    // A lock (cancel, early end) also ends windows that were already running
+    const close = closesAt(contest);
+    const ends = new Date(participant.endsAt);
+    return { startsAt: new Date(participant.startedAt), endsAt: ends < close ? ends : close };
+}
+
+/* The phase of a submission made at `now` by `participant` (if any) */
+function submissionPhase(contest, now = new Date(), participant = null) {
+    const settings = contest.settings || {};
+    if (contest.status === 'Cancelled') {
+        return 'closed';
+    }
+    if (now < new Date(contest.startDate)) {
+        return 'before';
+    }
+
+    const window = windowOf(contest, participant);
+    if (window) {
+        if (now < window.endsAt) {
+            return 'contest';
+        }
+        const late = settings.allowLateSubmission ? (settings.lateSubmissionWindow || 0) : 0;
+        if (now < new Date(window.endsAt.getTime() + late * 60000)) {
+            return 'late';
+        }
+    } else if (now < closesAt(contest)) {
+        return 'not_started';
+    }
+
+    // A personal window can end well before the contest does
+    if (now < lateClosesAt(contest)) {
+        return 'closed';
+    }
+    return settings.allowUpsolving === false ? 'closed' : 'upsolve';
+}
+
+/* Whether late submissions count on the leaderboard */
+function lateSubmissionsRanked(contest) {
+    // Contests saved before lateRankingError() existed may still combine them
+    return Boolean(contest.settings && contest.settings.lateSubmissionRanking === 'include')
+        && !lateRankingError(contest);
+}
+
+/* What a late submission scoring `score` is worth */
+function lateScore(contest, score) {
+    const settings = contest.settings || {};
+    const multiplier = typeof settings.lateScoreMultiplier === 'number' ? settings.lateScoreMultiplier : 1;
+    return Math.max(0, Math.round(score * multiplier - (settings.lateSubmissionPenalty || 0)));
+}
+
+module.exports = {
+    PHASES,
+    PHASE_FILTERS,
+    TIMING_MODES,
+    closesAt,
+    lateClosesAt,
+    hasPersonalWindows,
+    parseDuration,
+    timingError,
+    lateRankingError,
+    participantOf,
+    personalEndsAt,
+    windowOf,
+    submissionPhase,
+    lateSubmissionsRanked,
+    lateScore
+};
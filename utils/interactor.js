@@ -0,0 +1,182 @@
+// utils/interactor.js
+//
+// Interactive problems: the submission talks to an author-supplied
+// interactor instead of reading a fixed input.
+//
+// For every test case the interactor is started in its own box as
+// `interactor input.txt answer.txt` (the test case's input and expected
+// output). Its stdout is fed to the program's stdin and the program's stdout
+// to the interactor's stdin; the judge relays both directions and keeps a
+// transcript. The interactor decides the verdict the same way a custom
+// checker does: exit code 0 accepts, 1 or 2 rejects, 7 gives partial credit,
+// anything else is an interactor failure; stderr is the message.
+const sandbox = require('./sandbox');
+const { getLanguageSetup, compileProgram } = require('./languages');
+const { verdictFromExit } = require('./checkers');
+
+const INTERACTOR_MEMORY_LIMIT = 512 * 1024 * 1024;
+const INTERACTOR_GRACE_MS = 5000; // extra time for the interactor to give its verdict
+const OUTPUT_LIMIT = 16 * 1024 * 1024; // per side, per test case
+const MAX_TRANSCRIPT_LENGTH = 64 * 1024; // characters kept for debugging
+const MAX_MESSAGE_LENGTH = 500;
+
+class InteractorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InteractorError';
+    }
+}
+
+/*
+ * Compile the interactor once per submission. config is the problem's
+ * interactor settings { language, code, exchangeTimeLimit }.
+ * Resolves with { interact(programBox, program, options), dispose() }.
+ */
+async function createInteractor(config) {
+    if (!config || !config.code || !config.language) {
+        throw new InteractorError('Interactive problem requires interactor code and language');
+    }
+
+    const setup = getLanguageSetup(config.language, config.code);
+    const box = await sandbox.createBox();
+
+    try {
+        const compiled = await compileProgram(box, setup, config.code);
+        if (!compiled.success) {
+            throw new InteractorError(`Interactor failed to compile: ${compiled.output.substring(0, MAX_MESSAGE_LENGTH)}`);
+        }
+    } catch (err) {
+        await sandbox.destroyBox(box);
+        throw err;
+    }
+
+    return {
+        /*
+         * Run one test case. program is the submission's language setup
+         * (runCommand, limits, env); options are input, answer, timeLimit
+         * (ms) and memoryLimit (bytes) for the program.
+         *
+         * Resolves with { result, transcript, evaluate() } where result is
+         * the program's sandbox result (timedOut and idleTimeout are set
+         * when it stopped answering) and evaluate() resolves with the
+         * interactor's { passed, score, message } or throws InteractorError.
+         */
+        async interact(programBox, program, options) {
+            const { input = '', answer = '', timeLimit, memoryLimit } = options;
+            const exchangeTimeout = config.exchangeTimeLimit
+                ? Math.round(config.exchangeTimeLimit * 1000)
+                : timeLimit;
+
+            await sandbox.writeBoxFile(box, 'input.txt', input);
+            await sandbox.writeBoxFile(box, 'answer.txt', answer);
+
+            const judge = await sandbox.start(box, {
+                command: `${setup.runCommand} input.txt answer.txt`,
+                timeLimit: timeLimit + INTERACTOR_GRACE_MS,
+                memoryLimit: INTERACTOR_MEMORY_LIMIT,
+                outputLimit: OUTPUT_LIMIT,
+                limits: setup.limits,
+                env: setup.env
+            });
+            let solution;
+            try {
+                solution = await sandbox.start(programBox, {
+                    command: program.runCommand,
+                    timeLimit,
+                    memoryLimit,
+                    outputLimit: OUTPUT_LIMIT,
+                    limits: program.limits,
+                    env: program.env
+                });
+            } catch (err) {
+                judge.kill();
+                await judge.result.catch(() => {});
+                throw err;
+            }
+
+            const transcript = [];
+            let transcriptLength = 0;
+            const record = (from, chunk) => {
+                if (transcriptLength >= MAX_TRANSCRIPT_LENGTH) return;
+                const data = chunk.toString('utf8').substring(0, MAX_TRANSCRIPT_LENGTH - transcriptLength);
+                transcriptLength += data.length;
+
+                // Pipes split messages arbitrarily; merge consecutive chunks
+                const last = transcript[transcript.length - 1];
+                if (last && last.from === from) {
+                    last.data += data;
+                } else {
+                    transcript.push({ from, data });
+                }
+            };
+
+            // Whoever received the last message owes the next one
+            let waitingFor = 'program';
+            let stalled = null;
+            let idleTimer = null;
+            const armIdleTimer = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => {
+                    stalled = waitingFor;
+                    solution.kill();
+                    judge.kill();
+                }, exchangeTimeout);
+            };
+
+            solution.stdout.on('data', chunk => {
+                record('program', chunk);
+                waitingFor = 'interactor';
+                armIdleTimer();
+                judge.stdin.write(chunk);
+            });
+            judge.stdout.on('data', chunk => {
+                record('interactor', chunk);
+                waitingFor = 'program';
+                armIdleTimer();
+                solution.stdin.write(chunk);
+            });
+            solution.stdout.on('end', () => judge.stdin.end());
+            judge.stdout.on('end', () => solution.stdin.end());
+            armIdleTimer();
+
+            let results;
+            try {
+                results = await Promise.all([solution.result, judge.result]);
+            } finally {
+                clearTimeout(idleTimer);
+            }
+            const [result, judgeResult] = results;
+
+            if (stalled === 'program') {
+                result.timedOut = true;
+                result.idleTimeout = exchangeTimeout;
+            }
+
+            // The interactor's stdout went to the program; only stderr is for the judge
+            const message = (judgeResult.stderr || '').trim().substring(0, MAX_MESSAGE_LENGTH);
+
+            return {
+                result,
+                transcript,
+                async evaluate() {
+                    if (stalled === 'interactor') {
+                        throw new InteractorError(`Interactor stopped responding for ${exchangeTimeout} ms`);
+                    }
+                    if (judgeResult.timedOut || judgeResult.memoryExceeded || judgeResult.violation || judgeResult.signal) {
+                        throw new InteractorError(`Interactor crashed: ${judgeResult.violation || judgeResult.signal || 'limit exceeded'}`);
+                    }
+                    return verdictFromExit(judgeResult.exitCode, message, InteractorError, 'Interactor');
+                }
+            };
+        },
+
+        dispose() {
+            return sandbox.destroyBox(box);
+        }
+    };
+}
+
+module.exports = {
+    InteractorError,
+    createInteractor
+};
@@ -0,0 +1,305 @@
+// utils/judge.js
+//
+// The judging engine: compile a program once, run it against a list of test
+// cases in the sandbox and classify every run. Used for graded submissions
+// and for the ungraded "Run" button on problems.
+const sandbox = require('./sandbox');
+const { LANGUAGE_TIME_MULTIPLIERS, getLanguageSetup, compileProgram } = require('./languages');
+const { createChecker } = require('./checkers');
+const { createInteractor } = require('./interactor');
+const { testOrder } = require('./subtasks');
+
+// Used when neither the problem nor the contest sets a limit
+const DEFAULT_TIME_LIMIT = 10; // seconds per test case
+const DEFAULT_MEMORY_LIMIT = 256; // MB
+
+const MAX_DIFF_LINES = 50;
+
+// Semaphore for controlling concurrent judge runs
+class JudgeSemaphore {
+    constructor(max) {
+        this.max = max;
+        this.current = 0;
+        this.queue = [];
+    }
+
+    async acquire() {
+        return new Promise((resolve) => {
+            if (this.current < this.max) {
+                this.current++;
+                resolve();
+            } else {
+                this.queue.push(resolve);
+            }
+        });
+    }
+
+    release() {
+        this.current--;
+        if (this.queue.length > 0) {
+            this.current++;
+            const resolve = this.queue.shift();
+            resolve();
+        }
+    }
+}
+
+// Shared by submissions and test runs: allow 10 concurrent evaluations
+const judgeSemaphore = new JudgeSemaphore(10);
+
+/*
+ * Function to run test cases. judgeConfig holds:
+ *   limits      timeLimit (seconds per test), memoryLimit (MB), compilerFlags
+ *               (gcc/g++ only) and timeMultiplier; missing values fall back
+ *               to the judge defaults
+ *   checker     the problem's checker settings (null compares exactly)
+ *   interactor  the interactor settings for interactive problems, else null
+ *   subtasks    the problem's subtasks, used to skip test cases whose
+ *               subtask can no longer score (see utils/subtasks.js)
+ *
+ * onTestCase(index, result), when given, is awaited after each test case
+ * that was run, for progress reporting.
+ *
+ * Returns one result per test case, in test case order; skipped test cases
+ * get status 'skipped'.
+ */
+async function runTestCases(code, language, testCases, judgeConfig = {}, onTestCase = null) {
+    const results = [];
+    const limits = judgeConfig.limits || {};
+    const memoryLimit = limits.memoryLimit || DEFAULT_MEMORY_LIMIT;
+    const timeMultiplier = limits.timeMultiplier || LANGUAGE_TIME_MULTIPLIERS[language.toLowerCase()] || 1;
+    const timeLimit = Math.round((limits.timeLimit || DEFAULT_TIME_LIMIT) * timeMultiplier * 1000);
+
+    // Paths are relative to the sandbox working directory
+    const program = getLanguageSetup(language, code, {
+        memoryLimit,
+        compilerFlags: limits.compilerFlags
+    });
+
+    // Each submission runs in its own isolated working directory
+    const box = await sandbox.createBox();
+    let checker = null;
+    let interactor = null;
+
+    try {
+        // Compile if needed
+        const compiled = await compileProgram(box, program, code);
+        if (!compiled.success) {
+            // Compilation failed
+            console.log('Compilation error:', compiled.output);
+            return testCases.map(() => ({
+                status: 'error',
+                errorType: 'compilation',
+                error: compiled.output,
+                compilationError: compiled.output,
+                output: '',
+                executionTime: 0,
+                memoryUsed: 0
+            }));
+        }
+        if (compiled.output.trim()) {
+            console.log('Compilation warnings:', compiled.output);
+        }
+
+        try {
+            if (judgeConfig.interactor) {
+                interactor = await createInteractor(judgeConfig.interactor);
+            } else {
+                checker = await createChecker(judgeConfig.checker);
+            }
+        } catch (setupError) {
+            console.error('Checker setup error:', setupError.message);
+            return testCases.map(() => ({
+                status: 'error',
+                errorType: judgeConfig.interactor ? 'interactor' : 'checker',
+                error: setupError.message,
+                output: '',
+                executionTime: 0,
+                memoryUsed: 0
+            }));
+        }
+
+        // Run test cases
+        for (const i of testOrder(testCases, judgeConfig.subtasks, results)) {
+            const testCase = testCases[i];
+            const input = testCase.input || '';
+            const expectedOutput = testCase.output || '';
+
+            let result, transcript, evaluate;
+            let verdict = null;
+            if (interactor) {
+                const interaction = await interactor.interact(box, program, {
+                    input,
+                    answer: expectedOutput,
+                    timeLimit,
+                    memoryLimit: memoryLimit * 1024 * 1024
+                });
+                ({ result, transcript, evaluate } = interaction);
+
+                // A program that is cut off after a wrong answer usually
+                // crashes on end of input; the interactor's verdict wins
+                if (!result.violation && !result.memoryExceeded && !result.timedOut) {
+                    verdict = await evaluate().catch(() => null);
+                }
+            } else {
+                result = await sandbox.run(box, {
+                    command: program.runCommand,
+                    stdin: input,
+                    timeLimit,
+                    memoryLimit: memoryLimit * 1024 * 1024,
+                    outputLimit: 1024 * 1024 * 2, // 2MB output buffer
+                    limits: program.limits,
+                    env: program.env
+                });
+                evaluate = () => checker.check(input, expectedOutput, result.stdout || '');
+            }
+
+            const actualOutput = (result.stdout || '').trim();
+            const testResult = {
+                output: actualOutput,
+                executionTime: result.executionTime,
+                memoryUsed: result.memoryUsed
+            };
+            if (transcript) {
+                testResult.transcript = transcript;
+            }
+
+            if (result.violation) {
+                results[i] = {
+                    ...testResult,
+                    status: 'violation',
+                    errorType: 'violation',
+                    error: result.violation
+                };
+            } else if (result.memoryExceeded) {
+                results[i] = {
+                    ...testResult,
+                    status: 'memory_exceeded',
+                    errorType: 'memory',
+                    error: `Memory limit of ${memoryLimit} MB exceeded`
+                };
+            } else if (result.timedOut) {
+                results[i] = {
+                    ...testResult,
+                    status: 'timeout',
+                    errorType: 'timeout',
+                    error: result.idleTimeout
+                        ? `No response within ${result.idleTimeout} ms`
+                        : 'Time limit exceeded'
+                };
+            } else if ((result.exitCode !== 0 || result.signal || result.outputExceeded) && !(verdict && !verdict.passed)) {
+                results[i] = {
+                    ...testResult,
+                    status: 'error',
+                    errorType: 'runtime',
+                    error: result.outputExceeded
+                        ? 'Output limit exceeded'
+                        : (result.stderr || `Process exited with ${result.signal || `code ${result.exitCode}`}`)
+                };
+            } else {
+                try {
+                    verdict = verdict || await evaluate();
+                    results[i] = {
+                        ...testResult,
+                        status: verdict.passed ? 'passed' : 'failed',
+                        score: verdict.score,
+                        error: result.stderr || '',
+                        checkerMessage: verdict.message
+                    };
+                } catch (checkerError) {
+                    console.error('Checker error:', checkerError.message);
+                    results[i] = {
+                        ...testResult,
+                        status: 'error',
+                        errorType: interactor ? 'interactor' : 'checker',
+                        error: checkerError.message
+                    };
+                }
+            }
+
+            if (onTestCase) {
+                await onTestCase(i, results[i]);
+            }
+        }
+
+        for (let i = 0; i < testCases.length; i++) {
+            if (!results[i]) {
+                results[i] = {
+                    status: 'skipped',
+                    output: '',
+                    executionTime: 0,
+                    memoryUsed: 0,
+                    error: 'Skipped: the subtask can no longer score'
+                };
+            }
+        }
+
+    } finally {
+        // Cleanup
+        try {
+            if (checker) {
+                await checker.dispose();
+            }
+            if (interactor) {
+                await interactor.dispose();
+            }
+            await sandbox.destroyBox(box);
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    }
+
+    return results;
+}
+
+/*
+ * Overall verdict for a set of test results, as a Submission status. A
+ * broken checker or interactor outranks everything: the results then say
+ * nothing about the program.
+ */
+function overallStatus(results) {
+    const hasError = (...errorTypes) => results.some(result => result.status === 'error' && errorTypes.includes(result.errorType));
+    const hasStatus = status => results.some(result => result.status === status);
+
+    if (hasError('checker', 'interactor')) return 'judge_error';
+    if (hasError('compilation')) return 'compilation_error';
+    if (hasStatus('violation')) return 'security_violation';
+    if (hasError('runtime')) return 'runtime_error';
+    if (hasStatus('timeout')) return 'time_limit_exceeded';
+    if (hasStatus('memory_exceeded')) return 'memory_limit_exceeded';
+    if (results.every(result => result.status === 'passed')) return 'accepted';
+    return 'wrong_answer';
+}
+
+/*
+ * Line-by-line differences between the expected and the actual output, for
+ * showing the user where a run went wrong. Trailing whitespace and line
+ * endings are ignored; at most MAX_DIFF_LINES entries are returned.
+ */
+function diffOutputs(expected, actual) {
+    const toLines = text => (text || '').replace(/\r\n?/g, '\n').replace(/\s+$/, '').split('\n').map(line => line.trimEnd());
+    const expectedLines = toLines(expected);
+    const actualLines = toLines(actual);
+    const length = Math.max(expectedLines.length, actualLines.length);
+    const diff = [];
+
+    for (let i = 0; i < length && diff.length < MAX_DIFF_LINES; i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            diff.push({
+                line: i + 1,
+                expected: expectedLines[i] ?? null,
+                actual: actualLines[i] ?? null
+            });
+        }
+    }
+    return diff;
+}
+
+module.exports = {
+    DEFAULT_TIME_LIMIT,
+    DEFAULT_MEMORY_LIMIT,
+    judgeSemaphore,
+    runTestCases,
+    overallStatus,
+    diffOutputs
+};
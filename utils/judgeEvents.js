@@ -0,0 +1,205 @@
+// utils/judgeEvents.js
+//
+// Live judging progress. Whoever moves a submission forward (the web tier
+// when it is queued, judge workers afterwards) publishes events to the
+// JudgeEvent collection:
+//   status     { status }                 pending / running
+//   test_case  { testCaseIndex, status, executionTime, memoryUsed,
+//                completedTestCases, totalTestCases }
+//   verdict    { status, score, passedTestCases, totalTestCases,
+//                executionTime, memoryUsed }
+// Contests publish their clarifications the same way (publishContestEvent,
+// see utils/clarifications.js):
+//   clarification  a question asked or answered
+//   announcement   a contest announcement
+// The web tier follows the collection and streams each event, as
+// Server-Sent Events, to the clients watching that submission or contest.
+const mongoose = require('mongoose');
+const JudgeEvent = require('../models/JudgeEvent');
+
+const REOPEN_DELAY = 1000; // ms before following the collection again
+const CLOCK_SKEW = 5000; // ms; events stamped slightly early by other machines still arrive
+const KEEP_ALIVE_INTERVAL = 25000; // ms, keeps proxies from closing idle streams
+
+/*
+ * Record an event for a submission. Never throws: live progress is a
+ * convenience and must not break judging.
+ */
+async function publishEvent(submission, type, data = {}) {
+    try {
+        await JudgeEvent.create({
+            submissionId: submission._id,
+            contestId: submission.contestId || null,
+            userId: submission.userId,
+            problemId: submission.problemId,
+            type,
+            data
+        });
+    } catch (err) {
+        console.error('Publish judge event error:', err.message);
+    }
+}
+
+/* Record an event about a whole contest. Never throws, like publishEvent(). */
+async function publishContestEvent(contestId, type, data = {}, { userId = null, problemId = null } = {}) {
+    try {
+        await JudgeEvent.create({ contestId, userId, problemId, type, data });
+    } catch (err) {
+        console.error('Publish contest event error:', err.message);
+    }
+}
+
+const subscribers = new Set();
+let cursor = null;
+let lastEventId = null;
+let reopenTimer = null;
+
+function matches(filter, event) {
+    if (filter.submissionId) {
+        return String(event.submissionId) === String(filter.submissionId);
+    }
+    if (filter.contestId) {
+        // visibleTo(event) narrows a contest stream, e.g. to what one participant may see
+        return Boolean(event.contestId) && String(event.contestId) === String(filter.contestId)
+            && (!filter.visibleTo || filter.visibleTo(event));
+    }
+    return false;
+}
+
+function deliver(event) {
+    lastEventId = event._id;
+    const message = {
+        type: event.type,
+        submissionId: event.submissionId,
+        contestId: event.contestId,
+        userId: event.userId,
+        problemId: event.problemId,
+        data: event.data,
+        createdAt: event.createdAt
+    };
+
+    for (const subscriber of subscribers) {
+        if (matches(subscriber.filter, message)) {
+            try {
+                subscriber.listener(message);
+            } catch (err) {
+                console.error('Judge event listener error:', err);
+            }
+        }
+    }
+}
+
+/* Follow new events with a tailable cursor while anyone is subscribed */
+function follow() {
+    reopenTimer = null;
+    if (subscribers.size === 0 || cursor) {
+        return;
+    }
+
+    const since = lastEventId || mongoose.Types.ObjectId.createFromTime(Math.floor((Date.now() - CLOCK_SKEW) / 1000));
+    const current = JudgeEvent.find({ _id: { $gt: since } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+    cursor = current;
+
+    let closed = false;
+    const reopen = () => {
+        if (closed) return;
+        closed = true;
+        if (cursor === current) cursor = null;
+        // Tailable cursors also end when nothing matches yet; keep following
+        if (subscribers.size > 0 && !reopenTimer) {
+            reopenTimer = setTimeout(follow, REOPEN_DELAY);
+        }
+    };
+
+    current.on('data', deliver);
+    current.on('error', err => {
+        console.error('Judge event stream error:', err.message);
+        reopen();
+    });
+    current.on('end', reopen);
+    current.on('close', reopen);
+}
+
+function unfollow() {
+    clearTimeout(reopenTimer);
+    reopenTimer = null;
+    lastEventId = null;
+    if (cursor) {
+        const current = cursor;
+        cursor = null;
+        current.close().catch(err => console.error('Close judge event stream error:', err.message));
+    }
+}
+
+/*
+ * Call listener(event) for every new event matching filter, which is
+ * { submissionId } or { contestId, visibleTo (optional) }. Returns a
+ * function that unsubscribes.
+ */
+function subscribe(filter, listener) {
+    const subscriber = { filter, listener };
+    subscribers.add(subscriber);
+    follow();
+
+    return () => {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) {
+            unfollow();
+        }
+    };
+}
+
+/*
+ * Answer an HTTP request with a Server-Sent Events stream of the events
+ * matching filter. initial events ({ type, data }) are sent first; the
+ * stream ends after an event for which until(event) is true, or when the
+ * client disconnects.
+ */
+function streamEvents(req, res, filter, { initial = [], until = null } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    let unsubscribe = null;
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+    const finish = () => {
+        clearInterval(keepAlive);
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+    req.on('close', finish);
+
+    initial.forEach(send);
+    if (until && initial.some(until)) {
+        finish();
+        res.end();
+        return;
+    }
+
+    unsubscribe = subscribe(filter, event => {
+        send(event);
+        if (until && until(event)) {
+            finish();
+            res.end();
+        }
+    });
+}
+
+module.exports = {
+    publishEvent,
+    publishContestEvent,
+    subscribe,
+    streamEvents
+};
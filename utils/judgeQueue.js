@@ -0,0 +1,301 @@
+// utils/judgeQueue.js
+//
+// Submissions are judged through a MongoDB-backed queue (models/JudgeJob.js)
+// so that a restart of the web server or a crashed worker never leaves them
+// stuck. The web tier only calls enqueueSubmission(); judge workers
+// (bin/judge-worker, any number, on any machine sharing the database) call
+// startWorker() to claim and judge jobs.
+const os = require('os');
+const Submission = require('../models/Submission');
+const Contest = require('../models/Contest');
+const JudgeJob = require('../models/JudgeJob');
+const { runTestCases, overallStatus } = require('./judge');
+const { JudgeTaskError, loadJudgeTask } = require('./judgeTasks');
+const { scoreSubtasks } = require('./subtasks');
+const { updateStatistics } = require('./submissionStats');
+const { publishEvent } = require('./judgeEvents');
+const { recordRejudgeResult, recoverStaleRejudges } = require('./rejudge');
+
+const DEFAULT_WORKER_OPTIONS = {
+    concurrency: 2,           // submissions judged at once by one worker
+    pollInterval: 1000,       // ms between checks of an empty queue
+    heartbeatInterval: 5000,  // ms
+    staleAfter: 30000,        // ms without a heartbeat before a job is taken back
+    retryDelay: 5000          // ms before a failed job is retried
+};
+
+/* Queue a saved submission for judging */
+async function enqueueSubmission(submission) {
+    const job = await JudgeJob.enqueue(submission._id);
+    await publishEvent(submission, 'status', { status: 'pending' });
+    return job;
+}
+
+/*
+ * Judge one submission and store the verdict. stillOwned() is asked before
+ * saving; when it resolves with false (the job was taken away from this
+ * worker) the results are dropped. Resolves with false when nothing was
+ * saved. Throws when the submission cannot be judged.
+ *
+ * options.rejudge leaves the problem and contest statistics alone: a
+ * rejudge recomputes them once all of its submissions are judged.
+ */
+async function processSubmission(submissionId, stillOwned = async () => true, options = {}) {
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+        console.error('Submission not found:', submissionId);
+        return false;
+    }
+    // An earlier attempt may have died after saving the verdict; don't count it twice
+    if (!['pending', 'running'].includes(submission.status)) {
+        return false;
+    }
+
+    const contestId = submission.contestId;
+    let contest = null;
+    if (contestId) {
+        contest = await Contest.findById(contestId);
+        if (!contest) {
+            throw new JudgeTaskError('Contest not found');
+        }
+    }
+    const { testCases, maxScore, judgeConfig } = await loadJudgeTask(submission.problemId, contest, submission.language);
+    if (testCases.length === 0) {
+        throw new JudgeTaskError('No test cases found for this problem');
+    }
+
+    submission.status = 'running';
+    await submission.save();
+    await publishEvent(submission, 'status', { status: 'running', totalTestCases: testCases.length });
+
+    let completedTestCases = 0;
+    const reportProgress = (index, result) => publishEvent(submission, 'test_case', {
+        testCaseIndex: index,
+        status: result.status,
+        executionTime: result.executionTime || 0,
+        memoryUsed: result.memoryUsed || 0,
+        completedTestCases: ++completedTestCases,
+        totalTestCases: testCases.length
+    });
+
+    const startTime = Date.now();
+    const results = await runTestCases(submission.code, submission.language, testCases, judgeConfig, reportProgress);
+    const totalTime = Date.now() - startTime;
+
+    // Process results
+    let passedCount = 0;
+
+    const testCaseResults = results.map((result, index) => {
+        if (result.status === 'passed') passedCount++;
+
+        return {
+            testCaseIndex: index,
+            input: testCases[index].input || '',
+            expectedOutput: testCases[index].output || '',
+            actualOutput: result.output || '',
+            status: result.status,
+            executionTime: result.executionTime || 0,
+            memoryUsed: result.memoryUsed || 0,
+            errorMessage: result.error || '',
+            checkerMessage: result.checkerMessage || '',
+            score: result.score ?? (result.status === 'passed' ? 1 : 0),
+            transcript: result.transcript
+        };
+    });
+
+    // Determine final status
+    const finalStatus = overallStatus(results);
+
+    // Calculate score and memory usage
+    let score;
+    let subtaskResults;
+    if (judgeConfig.subtasks && judgeConfig.subtasks.length > 0) {
+        // Subtask points are weights, scaled to the problem's max score
+        const scoring = scoreSubtasks(testCases, judgeConfig.subtasks, testCaseResults);
+        score = scoring.total > 0 ? Math.floor((scoring.earned / scoring.total) * maxScore) : 0;
+        subtaskResults = scoring.subtasks;
+    } else {
+        score = Math.floor((passedCount / testCases.length) * maxScore);
+    }
+    const maxMemoryUsed = Math.max(...testCaseResults.map(r => r.memoryUsed));
+
+    if (!(await stillOwned())) {
+        console.warn(`Submission ${submissionId}: judge job was taken over, dropping results`);
+        return false;
+    }
+
+    // Update submission
+    submission.status = finalStatus;
+    submission.passedTestCases = passedCount;
+    submission.totalTestCases = testCases.length;
+    submission.testCaseResults = testCaseResults;
+    submission.score = score;
+    submission.subtaskResults = subtaskResults;
+    submission.executionTime = totalTime;
+    submission.memoryUsed = maxMemoryUsed;
+    submission.evaluatedAt = new Date();
+    submission.source = 'judge';
+
+    // A rejudge may turn a compilation error into a verdict, or back
+    submission.compilationOutput = finalStatus === 'compilation_error' && results[0]?.compilationError
+        ? results[0].compilationError
+        : '';
+
+    await submission.save();
+    await publishEvent(submission, 'verdict', {
+        status: finalStatus,
+        score,
+        passedTestCases: passedCount,
+        totalTestCases: testCases.length,
+        executionTime: totalTime,
+        memoryUsed: maxMemoryUsed
+    });
+
+    // Update problem/contest statistics
+    if (!options.rejudge) {
+        await updateStatistics(submission, contestId);
+    }
+
+    console.log(`Submission ${submissionId} processed: ${finalStatus}, Score: ${score}/${maxScore}`);
+    return true;
+}
+
+/* Count a finished rejudge job without letting a failure affect the job */
+async function recordRejudge(job, outcome) {
+    try {
+        await recordRejudgeResult(job, outcome);
+    } catch (err) {
+        console.error(`Rejudge progress error for job ${job._id}:`, err);
+    }
+}
+
+/* Reflect a job that went back to the queue, or gave up, on its submission */
+async function syncSubmissionStatus(job) {
+    const unfinished = { _id: job.submissionId, status: { $in: ['pending', 'running'] } };
+    if (job.status === 'queued') {
+        const submission = await Submission.findOneAndUpdate(unfinished, { $set: { status: 'pending' } }, { new: true });
+        if (submission) {
+            await publishEvent(submission, 'status', { status: 'pending' });
+        }
+    } else if (job.status === 'failed') {
+        const submission = await Submission.findOneAndUpdate(
+            unfinished,
+            { $set: { status: 'judge_error', evaluatedAt: new Date() } },
+            { new: true }
+        );
+        if (submission) {
+            await publishEvent(submission, 'verdict', {
+                status: 'judge_error',
+                score: submission.score,
+                passedTestCases: submission.passedTestCases,
+                totalTestCases: submission.totalTestCases,
+                executionTime: submission.executionTime,
+                memoryUsed: submission.memoryUsed
+            });
+        }
+        await recordRejudge(job, 'failed');
+    }
+}
+
+/*
+ * Requeue (or fail) every job whose worker stopped sending heartbeats, and
+ * finish rejudges whose statistics were left unrecomputed.
+ */
+async function recoverStaleJobs(staleAfter = DEFAULT_WORKER_OPTIONS.staleAfter) {
+    let recovered = 0;
+    let job;
+    while ((job = await JudgeJob.recoverStale(staleAfter))) {
+        console.warn(`Recovered stale judge job ${job._id} for submission ${job.submissionId}: ${job.status}`);
+        await syncSubmissionStatus(job);
+        recovered++;
+    }
+    return recovered + await recoverStaleRejudges(staleAfter);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/*
+ * Start judging queued submissions in this process. Options override
+ * DEFAULT_WORKER_OPTIONS; workerId defaults to host:pid. Returns
+ * { workerId, stop() } where stop() resolves once running jobs finish.
+ */
+function startWorker(options = {}) {
+    const settings = { ...DEFAULT_WORKER_OPTIONS, ...options };
+    const workerId = settings.workerId || `${os.hostname()}:${process.pid}`;
+    let stopping = false;
+
+    async function runJob(job) {
+        let owned = true;
+        const heartbeat = setInterval(() => {
+            JudgeJob.heartbeat(job._id, workerId)
+                .then(stillOwned => {
+                    if (!stillOwned) owned = false;
+                })
+                .catch(err => console.error('Judge heartbeat error:', err.message));
+        }, settings.heartbeatInterval);
+
+        try {
+            await processSubmission(
+                job.submissionId,
+                async () => owned && JudgeJob.heartbeat(job._id, workerId),
+                { rejudge: Boolean(job.rejudgeTaskId) }
+            );
+            if (await JudgeJob.complete(job._id, workerId)) {
+                await recordRejudge(job, 'judged');
+            }
+        } catch (err) {
+            console.error(`Judge job ${job._id} error:`, err);
+            // A missing problem will not come back; only retry other errors
+            const failed = await JudgeJob.fail(job._id, workerId, err, {
+                retryDelay: settings.retryDelay,
+                retry: !(err instanceof JudgeTaskError)
+            });
+            if (failed) {
+                await syncSubmissionStatus(failed);
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    async function loop() {
+        while (!stopping) {
+            try {
+                const job = await JudgeJob.claimNext(workerId);
+                if (!job) {
+                    await sleep(settings.pollInterval);
+                    continue;
+                }
+                await runJob(job);
+            } catch (err) {
+                console.error('Judge worker error:', err);
+                await sleep(settings.pollInterval);
+            }
+        }
+    }
+
+    const recover = () => recoverStaleJobs(settings.staleAfter)
+        .catch(err => console.error('Stale judge job recovery error:', err));
+    recover();
+    const recoveryTimer = setInterval(recover, Math.max(1000, settings.staleAfter / 2));
+
+    const loops = Array.from({ length: settings.concurrency }, loop);
+    console.log(`Judge worker ${workerId} started (${settings.concurrency} at a time)`);
+
+    return {
+        workerId,
+        async stop() {
+            stopping = true;
+            clearInterval(recoveryTimer);
+            await Promise.all(loops);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_WORKER_OPTIONS,
+    enqueueSubmission,
+    processSubmission,
+    recoverStaleJobs,
+    startWorker
+};
@@ -0,0 +1,100 @@
+// utils/judgeTasks.js
+//
+// Work out what a submission is judged against: the problem's test cases,
+// the points for a full solution and the judge settings (limits, checker,
+// interactor, subtasks). Problems are read when the submission is judged, so
+// a queued or rejudged submission uses the current problem.
+const Problem = require('../models/Problem');
+
+class JudgeTaskError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JudgeTaskError';
+    }
+}
+
+/*
+ * contest is the loaded Contest for contest submissions, else null.
+ * Resolves with { testCases, maxScore, judgeConfig } where judgeConfig is
+ * what runTestCases expects; throws JudgeTaskError when the problem does
+ * not exist.
+ */
+async function loadJudgeTask(problemId, contest, language) {
+    let testCases = [];
+    let maxScore = 100;
+    let limits = {};
+    let checker = null;
+    let interactor = null;
+    let subtasks = null;
+
+    if (contest) {
+        // Find problem in contest
+        const problemData = contest.problems.find(p => p.problemId === problemId);
+        if (!problemData) {
+            throw new JudgeTaskError('Problem not found in contest');
+        }
+
+        maxScore = problemData.points;
+
+        const languageConfig = contest.getLanguageConfig(language.toLowerCase());
+        limits = {
+            timeLimit: languageConfig.timeLimit,
+            memoryLimit: languageConfig.memoryLimit,
+            compilerFlags: languageConfig.compilerFlags,
+            timeMultiplier: languageConfig.timeMultiplier
+        };
+
+        // Get test cases
+        if (contest.isManualProblem(problemId)) {
+            // Manual test cases store the answer as expectedOutput
+            testCases = (problemData.manualProblem.testCases || []).map(tc => ({
+                input: tc.input,
+                output: tc.expectedOutput,
+                isHidden: tc.isHidden,
+                subtask: tc.subtask
+            }));
+            subtasks = problemData.manualProblem.subtasks;
+            checker = problemData.manualProblem.checker || null;
+            if (problemData.manualProblem.problemType === 'interactive') {
+                interactor = problemData.manualProblem.interactor;
+            }
+        } else {
+            const dbProblem = await Problem.findById(problemId);
+            if (!dbProblem) {
+                throw new JudgeTaskError('Referenced problem not found');
+            }
+            testCases = dbProblem.getTestCasesForExecution(); // Get all test cases including hidden
+            // Limits set on the problem itself win over the contest-wide ones
+            limits = { ...limits, ...dbProblem.getExecutionLimits() };
+            checker = dbProblem.checker;
+            subtasks = dbProblem.subtasks;
+            if (dbProblem.problemType === 'interactive') {
+                interactor = dbProblem.interactor;
+            }
+        }
+    } else {
+        // Standalone problem submission
+        const problem = await Problem.findById(problemId);
+        if (!problem) {
+            throw new JudgeTaskError('Problem not found');
+        }
+        testCases = problem.getTestCasesForExecution(); // Get all test cases including hidden
+        limits = problem.getExecutionLimits();
+        checker = problem.checker;
+        subtasks = problem.subtasks;
+        if (problem.problemType === 'interactive') {
+            interactor = problem.interactor;
+        }
+    }
+
+    return {
+        testCases,
+        maxScore,
+        judgeConfig: { limits, checker, interactor, subtasks }
+    };
+}
+
+module.exports = {
+    JudgeTaskError,
+    loadJudgeTask
+};
@@ -0,0 +1,606 @@
+// utils/languages.js
+//
+// The language registry: every supported language is described once here,
+// and everything else derives from it - the judge and /compile, author
+// programs (custom checkers, interactors), the language enums of the models,
+// request validation and the language listing endpoints.
+//
+// Each entry has:
+//   name            display name
+//   aliases         other keys accepted by /compile
+//   extension       source file extension
+//   description     one line for the listing endpoints
+//   timeMultiplier  time limit factor for slower runtimes; contests can
+//                   override it through languageSettings.timeMultipliers
+//   versionCommand  prints the toolchain version (probed in the sandbox)
+//   sourceName      optional, (code) => base name of the source file
+//                   (default "main")
+//   compileCommand  optional, command or (context) => command
+//   runCommand      command or (context) => command
+//   env, limits     optional extra environment and sandbox limit overrides
+//   wrapSnippet     optional, (code) => code; /compile uses it to run bare
+//                   statements that the language cannot run on their own
+//   template        starting code shown to students
+//
+// Commands run in the box directory. The context passed to command
+// functions is { name, filename, executable, compilerFlags, memoryLimit }.
+// Inside the sandbox PATH is /usr/local/bin:/usr/bin:/bin, so toolchains
+// installed elsewhere (Kotlin, Swift, .NET) need a link in /usr/local/bin;
+// install-languages.sh creates them.
+const fs = require('fs');
+const path = require('path');
+const sandbox = require('./sandbox');
+const { cachedCompile } = require('./compileCache');
+
+const DEFAULT_COMPILER_FLAGS = '-O0'; // C/C++ only; faster compilation
+// Compiler flags end up in a shell command, so each one must be a plain
+// option such as -O2, -std=c++17 or -DLOCAL=1
+const COMPILER_FLAG_PATTERN = /^-[\w=+.,-]+$/;
+const EXECUTABLE = process.platform === 'win32' ? 'main.exe' : './main';
+const VERSION_PROBE_TIME_LIMIT = 15000; // ms per language
+// Compilers (and the version probes, which start them) get a fixed memory
+// cap, sized for the heaviest toolchains (kotlinc, rustc, ghc)
+const COMPILE_MEMORY_LIMIT = 1024; // MB
+
+/* Helper function to extract Java class name */
+function extractJavaClassName(code) {
+    const codeWithoutComments = code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+
+    const publicClassMatch = codeWithoutComments.match(/public\s+class\s+(\w+)/);
+    if (publicClassMatch) return publicClassMatch[1];
+
+    const anyClassMatch = codeWithoutComments.match(/(?:^|\s)class\s+(\w+)/);
+    if (anyClassMatch) return anyClassMatch[1];
+
+    return null;
+}
+
+/* Full path of the first of names found on PATH, or null */
+function findTool(...names) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const name of names) {
+        for (const dir of dirs) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+// Cap the JVM heap below the limit, leaving room for the JVM's own memory
+function jvmHeapOption(memoryLimit) {
+    return memoryLimit ? ` -Xmx${Math.max(32, memoryLimit - 64)}m` : '';
+}
+
+// C# builds with the .NET SDK when it is installed, otherwise with Mono
+const csharpUsesDotnet = () => Boolean(findTool('dotnet'));
+
+/*
+ * Type declarations for tsc: @types/node installed next to the global
+ * typescript package (npm install -g typescript @types/node).
+ */
+function typescriptTypeOptions() {
+    const tsc = findTool('tsc');
+    if (!tsc) return '';
+    try {
+        // <prefix>/lib/node_modules/typescript/bin/tsc
+        const typeRoots = path.resolve(fs.realpathSync(tsc), '../../../@types');
+        return fs.existsSync(path.join(typeRoots, 'node'))
+            ? ` --typeRoots "${typeRoots}" --types node`
+            : '';
+    } catch (err) {
+        return '';
+    }
+}
+
+const LANGUAGES = {
+    python: {
+        name: 'Python',
+        aliases: ['py'],
+        extension: '.py',
+        description: 'Python programming language',
+        timeMultiplier: 3,
+        versionCommand: 'python3 --version',
+        runCommand: 'python3 main.py',
+        template: [
+            'def main():',
+            '    line = input()',
+            '    print(line)',
+            '',
+            '',
+            'if __name__ == "__main__":',
+            '    main()',
+            ''
+        ].join('\n')
+    },
+
+    javascript: {
+        name: 'JavaScript',
+        aliases: ['js', 'node'],
+        extension: '.js',
+        description: 'JavaScript runtime environment',
+        timeMultiplier: 2,
+        versionCommand: 'node --version',
+        runCommand: 'node main.js',
+        template: [
+            "const lines = require('fs').readFileSync(0, 'utf8').split('\\n');",
+            '',
+            'console.log(lines[0]);',
+            ''
+        ].join('\n')
+    },
+
+    java: {
+        name: 'Java',
+        aliases: [],
+        extension: '.java',
+        description: 'Java programming language',
+        timeMultiplier: 2,
+        versionCommand: 'java -version',
+        sourceName: code => extractJavaClassName(code) || 'Main',
+        compileCommand: ({ filename }) => `javac "${filename}"`,
+        runCommand: ({ name, memoryLimit }) => `java${jvmHeapOption(memoryLimit)} ${name}`,
+        // The JVM starts a thread per GC/JIT worker
+        limits: { processes: 256 },
+        wrapSnippet: code => (extractJavaClassName(code) ? code : `public class Main {
+    public static void main(String[] args) {
+        ${code}
+    }
+}`),
+        template: [
+            'import java.util.Scanner;',
+            '',
+            'public class Main {',
+            '    public static void main(String[] args) {',
+            '        Scanner in = new Scanner(System.in);',
+            '        System.out.println(in.nextLine());',
+            '    }',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    cpp: {
+        name: 'C++',
+        aliases: ['c++'],
+        extension: '.cpp',
+        description: 'C++ programming language',
+        timeMultiplier: 1,
+        versionCommand: 'g++ --version',
+        compileCommand: ({ compilerFlags }) => `g++ ${compilerFlags} main.cpp -o main`,
+        runCommand: ({ executable }) => executable,
+        template: [
+            '#include <bits/stdc++.h>',
+            'using namespace std;',
+            '',
+            'int main() {',
+            '    string line;',
+            '    getline(cin, line);',
+            '    cout << line << endl;',
+            '    return 0;',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    c: {
+        name: 'C',
+        aliases: [],
+        extension: '.c',
+        description: 'C programming language',
+        timeMultiplier: 1,
+        versionCommand: 'gcc --version',
+        compileCommand: ({ compilerFlags }) => `gcc ${compilerFlags} main.c -o main`,
+        runCommand: ({ executable }) => executable,
+        template: [
+            '#include <stdio.h>',
+            '',
+            'int main(void) {',
+            '    char line[1024];',
+            '    if (fgets(line, sizeof line, stdin)) {',
+            '        printf("%s", line);',
+            '    }',
+            '    return 0;',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    go: {
+        name: 'Go',
+        aliases: [],
+        extension: '.go',
+        description: 'Go programming language',
+        timeMultiplier: 1,
+        versionCommand: 'go version',
+        // Build separately so the compiler's memory is not charged to the program
+        compileCommand: 'go build -o main main.go',
+        runCommand: ({ executable }) => executable,
+        env: { GOCACHE: '/tmp/go-cache', GOPATH: '/tmp/go' },
+        limits: { processes: 256 },
+        template: [
+            'package main',
+            '',
+            'import (',
+            '\t"bufio"',
+            '\t"fmt"',
+            '\t"os"',
+            ')',
+            '',
+            'func main() {',
+            '\treader := bufio.NewReader(os.Stdin)',
+            '\tline, _ := reader.ReadString(\'\\n\')',
+            '\tfmt.Print(line)',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    ruby: {
+        name: 'Ruby',
+        aliases: ['rb'],
+        extension: '.rb',
+        description: 'Ruby programming language',
+        timeMultiplier: 3,
+        versionCommand: 'ruby --version',
+        runCommand: 'ruby main.rb',
+        template: [
+            'line = gets',
+            'puts line',
+            ''
+        ].join('\n')
+    },
+
+    php: {
+        name: 'PHP',
+        aliases: [],
+        extension: '.php',
+        description: 'PHP scripting language',
+        timeMultiplier: 3,
+        versionCommand: 'php --version',
+        runCommand: 'php main.php',
+        template: [
+            '<?php',
+            '$line = trim(fgets(STDIN));',
+            'echo $line, PHP_EOL;',
+            ''
+        ].join('\n')
+    },
+
+    rust: {
+        name: 'Rust',
+        aliases: ['rs'],
+        extension: '.rs',
+        description: 'Rust programming language',
+        timeMultiplier: 1,
+        versionCommand: 'rustc --version',
+        compileCommand: 'rustc --edition 2021 -O -o main main.rs',
+        runCommand: ({ executable }) => executable,
+        // rustc runs codegen on several threads
+        limits: { processes: 256 },
+        template: [
+            'use std::io;',
+            '',
+            'fn main() {',
+            '    let mut line = String::new();',
+            '    io::stdin().read_line(&mut line).unwrap();',
+            '    print!("{}", line);',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    kotlin: {
+        name: 'Kotlin',
+        aliases: ['kt'],
+        extension: '.kt',
+        description: 'Kotlin programming language (JVM)',
+        timeMultiplier: 2,
+        versionCommand: 'kotlinc -version',
+        // Package the program with the Kotlin runtime into a runnable jar
+        compileCommand: 'kotlinc main.kt -include-runtime -d main.jar',
+        runCommand: ({ memoryLimit }) => `java${jvmHeapOption(memoryLimit)} -jar main.jar`,
+        limits: { processes: 256 },
+        template: [
+            'fun main() {',
+            '    val line = readLine()',
+            '    println(line)',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    csharp: {
+        name: 'C#',
+        aliases: ['cs', 'c#'],
+        extension: '.cs',
+        description: 'C# programming language (.NET or Mono)',
+        timeMultiplier: 2,
+        versionCommand: () => (csharpUsesDotnet() ? 'dotnet --version' : 'mcs --version'),
+        // No project file: a file-based .NET build (SDK 10+), or Mono's compiler
+        compileCommand: () => (csharpUsesDotnet()
+            ? 'dotnet build main.cs -c Release -o out -nologo -v q -nodeReuse:false -p:UseSharedCompilation=false'
+            : 'mcs -optimize+ -out:main.exe main.cs'),
+        runCommand: () => (csharpUsesDotnet() ? 'dotnet out/main.dll' : 'mono main.exe'),
+        env: {
+            DOTNET_CLI_HOME: '/tmp',
+            DOTNET_CLI_TELEMETRY_OPTOUT: '1',
+            DOTNET_NOLOGO: '1',
+            DOTNET_SKIP_FIRST_TIME_EXPERIENCE: '1',
+            DOTNET_CLI_USE_MSBUILD_SERVER: '0',
+            NUGET_PACKAGES: '/tmp/nuget'
+        },
+        limits: { processes: 256 },
+        template: [
+            'using System;',
+            '',
+            'public class Program',
+            '{',
+            '    public static void Main()',
+            '    {',
+            '        string line = Console.ReadLine();',
+            '        Console.WriteLine(line);',
+            '    }',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    typescript: {
+        name: 'TypeScript',
+        aliases: ['ts'],
+        extension: '.ts',
+        description: 'TypeScript compiled to JavaScript and run on Node.js',
+        timeMultiplier: 2,
+        versionCommand: 'tsc --version',
+        // Type errors fail the build like any other compile error
+        compileCommand: () => `tsc --target es2022 --module commonjs --skipLibCheck${typescriptTypeOptions()} main.ts`,
+        runCommand: 'node main.js',
+        template: [
+            "const lines: string[] = require('fs').readFileSync(0, 'utf8').split('\\n');",
+            '',
+            'console.log(lines[0]);',
+            ''
+        ].join('\n')
+    },
+
+    swift: {
+        name: 'Swift',
+        aliases: [],
+        extension: '.swift',
+        description: 'Swift programming language',
+        timeMultiplier: 1,
+        versionCommand: 'swiftc --version',
+        compileCommand: 'swiftc -O -module-cache-path /tmp/swift-module-cache main.swift -o main',
+        runCommand: ({ executable }) => executable,
+        limits: { processes: 256 },
+        template: [
+            'if let line = readLine() {',
+            '    print(line)',
+            '}',
+            ''
+        ].join('\n')
+    },
+
+    haskell: {
+        name: 'Haskell',
+        aliases: ['hs'],
+        extension: '.hs',
+        description: 'Haskell programming language (GHC)',
+        timeMultiplier: 2,
+        versionCommand: 'ghc --version',
+        compileCommand: 'ghc -O2 -o main main.hs',
+        runCommand: ({ executable }) => executable,
+        template: [
+            'main :: IO ()',
+            'main = do',
+            '    line <- getLine',
+            '    putStrLn line',
+            ''
+        ].join('\n')
+    }
+};
+
+// Keys accepted everywhere a language is stored (model enums, validation)
+const LANGUAGE_KEYS = Object.keys(LANGUAGES);
+
+// Slower runtimes get proportionally more time so limits stay fair
+const LANGUAGE_TIME_MULTIPLIERS = Object.fromEntries(
+    LANGUAGE_KEYS.map(key => [key, LANGUAGES[key].timeMultiplier])
+);
+
+/* Registry key for a language key or alias (any case), or null */
+function resolveLanguage(language) {
+    if (typeof language !== 'string') {
+        return null;
+    }
+    const wanted = language.toLowerCase();
+    if (LANGUAGES[wanted]) {
+        return wanted;
+    }
+    return LANGUAGE_KEYS.find(key => LANGUAGES[key].aliases.includes(wanted)) || null;
+}
+
+/*
+ * Why compiler flags cannot be used, or null: every whitespace-separated
+ * flag must match COMPILER_FLAG_PATTERN. Empty flags are fine.
+ */
+function compilerFlagsError(flags) {
+    if (flags === undefined || flags === null) {
+        return null;
+    }
+    if (typeof flags !== 'string') {
+        return 'Compiler flags must be a string';
+    }
+    const invalid = flags.split(/\s+/).filter(flag => flag && !COMPILER_FLAG_PATTERN.test(flag));
+    if (invalid.length > 0) {
+        return `Invalid compiler flags: ${invalid.join(' ')} (flags look like -O2, -std=c++17 or -DNAME=1)`;
+    }
+    return null;
+}
+
+function resolveCommand(command, context) {
+    return typeof command === 'function' ? command(context) : command;
+}
+
+/*
+ * Build and run commands for a program, relative to the box directory.
+ *
+ * options:
+ *   memoryLimit    MB, used to size the JVM heap
+ *   compilerFlags  gcc/g++ flags (default -O0)
+ *
+ * Returns { language, filename, compileCommand, runCommand, env, limits }
+ * where language is the registry key, compileCommand is null for interpreted
+ * languages and limits are sandbox limit overrides. Throws for unsupported
+ * languages and invalid compiler flags.
+ */
+function getLanguageSetup(language, code, options = {}) {
+    const key = resolveLanguage(language);
+    if (!key) {
+        throw new Error(`Unsupported language: ${language}`);
+    }
+
+    const flagsError = compilerFlagsError(options.compilerFlags);
+    if (flagsError) {
+        throw new Error(flagsError);
+    }
+
+    const entry = LANGUAGES[key];
+    const name = entry.sourceName ? entry.sourceName(code) : 'main';
+    const context = {
+        name,
+        filename: `${name}${entry.extension}`,
+        executable: EXECUTABLE,
+        compilerFlags: options.compilerFlags || DEFAULT_COMPILER_FLAGS,
+        memoryLimit: options.memoryLimit
+    };
+
+    return {
+        language: key,
+        filename: context.filename,
+        compileCommand: resolveCommand(entry.compileCommand, context) || null,
+        runCommand: resolveCommand(entry.runCommand, context),
+        env: { ...entry.env },
+        limits: { ...entry.limits }
+    };
+}
+
+/*
+ * Write a program into a box and compile it if its language needs that.
+ * Resolves with { success, output, exitCode, cached } where output holds the
+ * compiler's diagnostics (the error when success is false). Builds go
+ * through the compile cache (utils/compileCache.js), so a program that was
+ * compiled before is copied into the box instead (cached: true).
+ */
+async function compileProgram(box, setup, code) {
+    await sandbox.writeBoxFile(box, setup.filename, code);
+
+    if (!setup.compileCommand) {
+        return { success: true, output: '', exitCode: 0, cached: false };
+    }
+
+    return cachedCompile(setup, code, box, async () => {
+        const result = await sandbox.run(box, {
+            command: setup.compileCommand,
+            timeLimit: 60000, // 60 second compile timeout for Windows
+            memoryLimit: COMPILE_MEMORY_LIMIT * 1024 * 1024,
+            outputLimit: 1024 * 1024 * 5, // 5MB buffer
+            limits: setup.limits,
+            env: setup.env
+        });
+
+        if (result.exitCode !== 0 || result.signal || result.timedOut) {
+            return {
+                success: false,
+                exitCode: result.exitCode,
+                timedOut: result.timedOut,
+                cached: false,
+                output: result.timedOut
+                    ? 'Compilation timed out'
+                    : result.memoryExceeded
+                        ? `Compilation exceeded the memory limit of ${COMPILE_MEMORY_LIMIT} MB`
+                        : (result.stderr || result.stdout || `Compiler exited with code ${result.exitCode}`)
+            };
+        }
+        return { success: true, output: result.stderr || '', exitCode: 0, cached: false };
+    });
+}
+
+let versionsPromise = null;
+
+async function probeVersions() {
+    const box = await sandbox.createBox();
+    try {
+        const versions = {};
+        for (const key of LANGUAGE_KEYS) {
+            const entry = LANGUAGES[key];
+            const result = await sandbox.run(box, {
+                command: resolveCommand(entry.versionCommand, {}),
+                timeLimit: VERSION_PROBE_TIME_LIMIT,
+                memoryLimit: COMPILE_MEMORY_LIMIT * 1024 * 1024,
+                outputLimit: 64 * 1024,
+                limits: entry.limits,
+                env: entry.env
+            });
+            // Some tools (java) print their version on stderr
+            const output = (result.stdout || '').trim() || (result.stderr || '').trim();
+            const available = result.exitCode === 0 && !result.timedOut && !result.signal;
+            versions[key] = {
+                available,
+                version: available ? output.split('\n')[0].trim() : null
+            };
+        }
+        return versions;
+    } finally {
+        await sandbox.destroyBox(box);
+    }
+}
+
+/*
+ * Installed toolchain versions as { [key]: { available, version } }, probed
+ * once per process inside the sandbox (pass refresh to probe again).
+ */
+function getLanguageVersions({ refresh = false } = {}) {
+    if (!versionsPromise || refresh) {
+        versionsPromise = probeVersions().catch(err => {
+            versionsPromise = null;
+            throw err;
+        });
+    }
+    return versionsPromise;
+}
+
+/* Public description of every language, for the listing endpoints */
+function describeLanguages(versions = {}) {
+    return LANGUAGE_KEYS.map(key => {
+        const entry = LANGUAGES[key];
+        return {
+            name: entry.name,
+            key,
+            aliases: entry.aliases,
+            extensions: [entry.extension],
+            version: versions[key] ? versions[key].version : null,
+            available: versions[key] ? versions[key].available : null,
+            description: entry.description,
+            compiled: Boolean(entry.compileCommand),
+            timeMultiplier: entry.timeMultiplier,
+            template: entry.template
+        };
+    });
+}
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_KEYS,
+    LANGUAGE_TIME_MULTIPLIERS,
+    extractJavaClassName,
+    resolveLanguage,
+    compilerFlagsError,
+    getLanguageSetup,
+    compileProgram,
+    getLanguageVersions,
+    describeLanguages
+};
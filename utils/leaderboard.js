@@ -0,0 +1,308 @@
+// utils/leaderboard.js
+//
+// Contest standings, computed from the contest's submissions so the same
+// submissions always give the same leaderboard. settings.scoringMode picks
+// the rules:
+//
+//   IOI         the best score on each problem, summed
+//   ICPC        problems solved, then penalty time: for each solved problem
+//               the minutes from the start to the first accepted submission
+//               plus penaltyPerWrongSubmission minutes per rejected attempt
+//               before it
+//   Codeforces  each solved problem is worth its points, less
+//               pointDecayPerMinute of them per minute to the first accepted
+//               submission and penaltyPerWrongSubmission points per rejected
+//               attempt before it, but never less than minimumPointsRatio
+//               of them
+//
+// Compilation errors and judge errors are not attempts. Submissions still
+// being judged are shown as pending and count once they have a verdict.
+// Upsolving never counts; late submissions are marked in their cell, and
+// only count, at their late score, with settings.lateSubmissionRanking
+// 'include' (see utils/contestWindow.js). In contests with personal
+// windows, times count from when each participant started. Team contests
+// rank teams, counting every member's submissions (see utils/teams.js).
+//
+// With settings.freezeLeaderboard the last settings.freezeTime minutes are
+// frozen: participants see the submissions made since as pending until the
+// resolver (utils/resolver.js) reveals them after the contest.
+const Submission = require('../models/Submission');
+const { lateSubmissionsRanked, lateScore, hasPersonalWindows } = require('./contestWindow');
+
+const SCORING_MODES = ['IOI', 'ICPC', 'Codeforces'];
+const DEFAULT_SCORING_MODE = 'IOI';
+
+const UNJUDGED_STATUSES = ['pending', 'running'];
+const FREE_STATUSES = ['compilation_error', 'judge_error'];
+
+function scoringModeOf(contest) {
+    const mode = contest.settings && contest.settings.scoringMode;
+    return SCORING_MODES.includes(mode) ? mode : DEFAULT_SCORING_MODE;
+}
+
+function setting(contest, name, fallback) {
+    const value = contest.settings && contest.settings[name];
+    return typeof value === 'number' ? value : fallback;
+}
+
+/*
+ * The freeze in effect for participants at `now`: { frozenAfter, revealed }
+ * with the cells the resolver has revealed so far, or null when the
+ * leaderboard is live (no freeze, not frozen yet, or resolved).
+ */
+function freezeOf(contest, now = new Date()) {
+    if (!contest.settings || !contest.settings.freezeLeaderboard) {
+        return null;
+    }
+    if (contest.resolver && contest.resolver.finishedAt) {
+        return null;
+    }
+    const frozenAfter = new Date(new Date(contest.endDate) - (contest.settings.freezeTime || 0) * 60000);
+    if (now < frozenAfter) {
+        return null;
+    }
+    return { frozenAfter, revealed: contest.resolver ? contest.resolver.revealed : [] };
+}
+
+/* Whether participants compete as teams (settings.teamMode) */
+function isTeamContest(contest) {
+    return Boolean(contest.settings && contest.settings.teamMode);
+}
+
+// What identifies a row, and the cells the resolver revealed: the team in
+// team contests, the participant otherwise
+function rowKey(entry) {
+    return String(entry.teamId || entry.userId);
+}
+
+function cellKey(key, problemId) {
+    return `${key}:${problemId}`;
+}
+
+function minutesSinceStart(start, time) {
+    return Math.max(0, Math.floor((new Date(time) - new Date(start)) / 60000));
+}
+
+function emptyResult(problems) {
+    return {
+        score: 0,
+        solved: 0,
+        penalty: 0,
+        submissions: 0,
+        lastSubmissionAt: null,
+        problems: problems.map(problem => ({
+            problemId: problem.problemId,
+            attempts: 0,
+            pending: 0,
+            frozen: 0,
+            late: 0,
+            solved: false,
+            score: 0,
+            solvedAt: null,
+            penalty: 0
+        }))
+    };
+}
+
+// When times count from for an entry that has not started on its own
+function defaultStart(contest) {
+    return hasPersonalWindows(contest) ? null : new Date(contest.startDate);
+}
+
+function newRow(contest, participant, problems) {
+    const { userId, name, email, department, semester, division, batch } = participant;
+    return {
+        userId, name, email, department, semester, division, batch,
+        // Personal windows and virtual participations have their own start
+        startedAt: participant.startedAt || defaultStart(contest),
+        ...emptyResult(problems)
+    };
+}
+
+/* A team's row: the team and its members, started when the first member did */
+function newTeamRow(contest, team, problems) {
+    const starts = contest.participants
+        .filter(participant => String(participant.teamId) === String(team._id) && participant.startedAt)
+        .map(participant => new Date(participant.startedAt).getTime());
+    return {
+        teamId: team._id,
+        name: team.name,
+        members: team.members.map(({ userId, name, email }) => ({ userId, name, email })),
+        startedAt: starts.length > 0 ? new Date(Math.min(...starts)) : defaultStart(contest),
+        ...emptyResult(problems)
+    };
+}
+
+/* Count one judged submission in its problem cell, timed from `start` */
+function scoreSubmission(contest, mode, cell, points, submission, start) {
+    const accepted = submission.status === 'accepted';
+
+    if (mode === 'IOI') {
+        cell.attempts++;
+        const score = submission.isLate ? lateScore(contest, submission.score || 0) : (submission.score || 0);
+        cell.score = Math.max(cell.score, score);
+        if (accepted && !cell.solved) {
+            cell.solved = true;
+            cell.solvedAt = minutesSinceStart(start, submission.submittedAt);
+        }
+        return;
+    }
+
+    // ICPC and Codeforces: nothing after the first accepted submission counts
+    if (cell.solved) return;
+    const rejected = cell.attempts;
+    cell.attempts++;
+    if (!accepted) return;
+
+    const minutes = minutesSinceStart(start, submission.submittedAt);
+    const wrongPenalty = setting(contest, 'penaltyPerWrongSubmission', 0);
+    cell.solved = true;
+    cell.solvedAt = minutes;
+
+    if (mode === 'ICPC') {
+        cell.penalty = minutes + rejected * wrongPenalty;
+        cell.score = points;
+    } else {
+        const decayed = points * (1 - setting(contest, 'pointDecayPerMinute', 0.004) * minutes) - rejected * wrongPenalty;
+        const floor = points * setting(contest, 'minimumPointsRatio', 0.3);
+        cell.score = Math.round(Math.max(floor, decayed));
+        if (submission.isLate) {
+            cell.score = lateScore(contest, cell.score);
+        }
+    }
+}
+
+function compareRows(mode) {
+    return (a, b) => {
+        if (mode === 'ICPC') {
+            return (b.solved - a.solved) || (a.penalty - b.penalty);
+        }
+        return b.score - a.score;
+    };
+}
+
+/*
+ * Rank a contest's participants from its submissions (oldest first). Rows
+ * that tie share a rank. With a freeze (see freezeOf) the submissions made
+ * after frozenAfter are pending, except in revealed cells. Returns the rows:
+ * { rank, userId, name, ..., startedAt, score, solved, penalty, submissions,
+ *   lastSubmissionAt, problems: [{ problemId, attempts, pending, frozen,
+ *   late, solved, score, solvedAt, penalty }] } with solvedAt in minutes
+ * from startedAt (the participant's own start with personal windows, null
+ * until they start); frozen counts the pending submissions hidden by the
+ * freeze and late the late submissions, ranked or not. Team contests
+ * have a row per team instead: { rank, teamId, name, members: [{ userId,
+ * name, email }], startedAt, ... }. participants are ranked one by one
+ * instead of the contest's entrants when given (virtual participations,
+ * see utils/virtualContest.js).
+ */
+function computeLeaderboard(contest, submissions, freeze = null, participants = null) {
+    const mode = scoringModeOf(contest);
+    const rankLate = lateSubmissionsRanked(contest);
+    const revealed = new Set(freeze ? freeze.revealed.map(cell => cellKey(rowKey(cell), cell.problemId)) : []);
+    const problems = contest.problems.map(problem => ({ problemId: problem.problemId, points: problem.points }));
+    const problemIndex = new Map(problems.map((problem, index) => [problem.problemId, index]));
+
+    // Rows by key, and the row each user's submissions count for
+    const rows = new Map();
+    const rowOfUser = new Map();
+    if (!participants && isTeamContest(contest)) {
+        contest.teams.forEach(team => {
+            const row = newTeamRow(contest, team, problems);
+            rows.set(rowKey(row), row);
+            team.members.forEach(member => rowOfUser.set(String(member.userId), row));
+        });
+    } else {
+        (participants || contest.participants).forEach(participant => {
+            const row = newRow(contest, participant, problems);
+            rows.set(rowKey(row), row);
+            rowOfUser.set(String(participant.userId), row);
+        });
+    }
+
+    submissions.forEach(submission => {
+        const row = rowOfUser.get(String(submission.userId));
+        const index = problemIndex.get(submission.problemId);
+        if (!row || index === undefined || submission.isUpsolve) return;
+
+        const cell = row.problems[index];
+        if (submission.isLate) {
+            cell.late++;
+            if (!rankLate) return;
+        }
+        row.submissions++;
+        row.lastSubmissionAt = submission.submittedAt;
+        if (freeze && new Date(submission.submittedAt) >= freeze.frozenAfter
+            && !revealed.has(cellKey(rowKey(row), submission.problemId))) {
+            // Nothing after a solution matters, so it is not hidden either
+            if (!cell.solved) {
+                cell.pending++;
+                cell.frozen++;
+            }
+        } else if (UNJUDGED_STATUSES.includes(submission.status)) {
+            cell.pending++;
+        } else if (!FREE_STATUSES.includes(submission.status)) {
+            scoreSubmission(contest, mode, cell, problems[index].points, submission, row.startedAt || contest.startDate);
+        }
+    });
+
+    const compare = compareRows(mode);
+    const ranked = [...rows.values()].map(row => {
+        row.problems.forEach(cell => {
+            row.score += cell.score;
+            row.penalty += cell.penalty;
+            if (cell.solved) row.solved++;
+        });
+        return row;
+    }).sort((a, b) => compare(a, b) || String(a.name).localeCompare(String(b.name)));
+
+    ranked.forEach((row, index) => {
+        const previous = ranked[index - 1];
+        row.rank = previous && compare(previous, row) === 0 ? previous.rank : index + 1;
+    });
+    return ranked.map(({ rank, ...row }) => ({ rank, ...row }));
+}
+
+/*
+ * Place `row` among ranked `standings` ({ rank, score, solved, penalty }
+ * each) without changing them: returns { rank, standings } with the rank
+ * it would have and a copy of the standings with it inserted, the rows it
+ * beats one rank lower.
+ */
+function placeAmong(contest, row, standings) {
+    const compare = compareRows(scoringModeOf(contest));
+    const ahead = standings.filter(other => compare(other, row) < 0);
+    const rank = ahead.length + 1;
+    const rest = standings.filter(other => compare(other, row) >= 0)
+        .map(other => (compare(other, row) === 0 ? other : { ...other, rank: other.rank + 1 }));
+    return { rank, standings: [...ahead, { ...row, rank }, ...rest] };
+}
+
+/*
+ * A contest's judged submissions, oldest first, as computeLeaderboard takes
+ * them. Submissions recorded with results from elsewhere never rank.
+ */
+function loadContestSubmissions(contest) {
+    return Submission.find({ contestId: contest._id, source: { $ne: 'recorded' }, isUpsolve: { $ne: true }, virtualParticipationId: null })
+        .select('userId problemId status score submittedAt isLate')
+        .sort({ submittedAt: 1, _id: 1 })
+        .lean();
+}
+
+/* Load a contest's submissions and rank its participants */
+async function buildLeaderboard(contest, freeze = null) {
+    return computeLeaderboard(contest, await loadContestSubmissions(contest), freeze);
+}
+
+module.exports = {
+    SCORING_MODES,
+    DEFAULT_SCORING_MODE,
+    scoringModeOf,
+    isTeamContest,
+    rowKey,
+    freezeOf,
+    computeLeaderboard,
+    placeAmong,
+    loadContestSubmissions,
+    buildLeaderboard
+};
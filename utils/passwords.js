@@ -0,0 +1,64 @@
+// utils/passwords.js
+//
+// Password hashing with scrypt (Node's crypto, no native dependency).
+// Stored hashes look like
+//   scrypt$<N>$<r>$<p>$<salt, base64>$<hash, base64>
+// so the cost can be raised later: verifyPassword() reports hashes made with
+// older parameters, and plaintext passwords left from before hashing, as
+// needing a rehash.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const COST = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}$`) && value.split('$').length === 6;
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, KEY_BYTES, { ...COST, maxmem: 64 * 1024 * 1024 });
+    return [PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/*
+ * Check a password against a stored value. Resolves with { valid,
+ * needsRehash }; needsRehash is true when the stored value is plaintext or
+ * was hashed with other parameters, so the caller should store a new hash.
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isPasswordHash(stored)) {
+        // Accounts created before hashing hold the password itself
+        const a = crypto.createHash('sha256').update(password).digest();
+        const b = crypto.createHash('sha256').update(stored).digest();
+        const valid = crypto.timingSafeEqual(a, b);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const cost = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        ...cost,
+        maxmem: 256 * cost.N * cost.r + 1024 * 1024
+    });
+
+    const valid = crypto.timingSafeEqual(key, expected);
+    const current = cost.N === COST.N && cost.r === COST.r && cost.p === COST.p && expected.length === KEY_BYTES;
+    return { valid, needsRehash: valid && !current };
+}
+
+module.exports = {
+    isPasswordHash,
+    hashPassword,
+    verifyPassword
+};
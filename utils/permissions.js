@@ -0,0 +1,92 @@
+// utils/permissions.js
+//
+// What each role may do. Routes ask for a permission, never for a role, so
+// giving a role more (or less) access is a change to this table only.
+// `<resource>:manage` covers every document of that kind, `<resource>:manage-own`
+// only the ones the user created (their createdBy).
+
+const ROLES = ['Admin', 'Teacher', 'TA', 'Student'];
+
+const PERMISSIONS = {
+    'users:read': 'List users and view any profile',
+    'users:manage': 'Create, edit and delete users, and change roles',
+    'problems:read-hidden': 'See hidden test cases',
+    'problems:create': 'Create problems',
+    'problems:manage': 'Edit and delete any problem',
+    'problems:manage-own': 'Edit and delete problems they created',
+    'contests:create': 'Create contests',
+    'contests:manage': 'Edit, delete and register students for any contest',
+    'contests:manage-own': 'Edit, delete and register students for contests they created',
+    'contests:monitor': 'View contest analytics and follow all submissions live',
+    'submissions:read-all': 'View every submission with full test results',
+    'submissions:rejudge': 'Rejudge submissions of problems and contests they manage',
+    'submissions:record': 'Record submissions with results judged elsewhere',
+    'autosave:read-all': 'Read any user\'s saved code',
+    'autosave:manage': 'Clean up saved code and view its statistics'
+};
+
+const ROLE_PERMISSIONS = {
+    Admin: Object.keys(PERMISSIONS),
+    Teacher: [
+        'users:read',
+        'problems:read-hidden',
+        'problems:create',
+        'problems:manage-own',
+        'contests:create',
+        'contests:manage-own',
+        'contests:monitor',
+        'submissions:read-all',
+        'submissions:rejudge'
+    ],
+    TA: [
+        'users:read',
+        'problems:read-hidden',
+        'contests:monitor',
+        'submissions:read-all'
+    ],
+    Student: []
+};
+
+const rolePermissions = new Map(
+    Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+);
+
+function hasPermission(user, permission) {
+    const permissions = user && rolePermissions.get(user.role);
+    return Boolean(permissions) && permissions.has(permission);
+}
+
+/* The user's permissions, for clients that adapt their UI */
+function permissionsOf(user) {
+    return [...(rolePermissions.get(user && user.role) || [])];
+}
+
+function isOwner(user, doc) {
+    if (!user || !doc || !doc.createdBy) return false;
+    const createdBy = doc.createdBy._id || doc.createdBy;
+    return String(createdBy) === String(user._id);
+}
+
+/*
+ * Whether the user may change a problem or contest document: resource is
+ * 'problems' or 'contests'.
+ */
+function canManage(user, resource, doc) {
+    return hasPermission(user, `${resource}:manage`) ||
+        (hasPermission(user, `${resource}:manage-own`) && isOwner(user, doc));
+}
+
+/* The user is `userId` themselves, or has `permission` */
+function isSelfOr(user, userId, permission) {
+    return Boolean(user) && (String(user._id) === String(userId) || hasPermission(user, permission));
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    permissionsOf,
+    canManage,
+    isSelfOr
+};
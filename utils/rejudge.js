@@ -0,0 +1,203 @@
+// utils/rejudge.js
+//
+// Rejudging after a problem's tests change. startRejudge() keeps each
+// submission's current verdict in its verdictHistory, puts the submission
+// back to pending and queues it for the judge workers at a lower priority
+// than new submissions. Rejudged verdicts are not counted incrementally;
+// when the last submission of a task is judged, the statistics of every
+// affected problem and contest are rebuilt from scratch instead.
+const Submission = require('../models/Submission');
+const JudgeJob = require('../models/JudgeJob');
+const RejudgeTask = require('../models/RejudgeTask');
+const { publishEvent } = require('./judgeEvents');
+const { recomputeProblemStatistics, recomputeContestStatistics } = require('./submissionStats');
+const { computeFinalStandings } = require('./contestScheduler');
+
+const REJUDGE_PRIORITY = -1;
+
+// Submissions waiting for their first verdict are judged with the current tests anyway
+const UNJUDGED_STATUSES = ['pending', 'running'];
+
+function submissionFilter(scope, targetId) {
+    switch (scope) {
+        case 'submission':
+            return { _id: targetId };
+        case 'problem':
+            return { problemId: String(targetId) };
+        case 'contest':
+            return { contestId: targetId };
+        default:
+            throw new Error(`Unknown rejudge scope: ${scope}`);
+    }
+}
+
+/*
+ * Rebuild the statistics a finished task touched and complete it. Resolves
+ * with the saved task.
+ */
+async function finishRejudge(task) {
+    try {
+        for (const problemId of task.problemIds) {
+            await recomputeProblemStatistics(problemId);
+        }
+        for (const contestId of task.contestIds) {
+            const contest = await recomputeContestStatistics(contestId);
+            // Ended contests keep final standings that match their verdicts
+            if (contest && contest.status === 'Completed') {
+                await computeFinalStandings(contest);
+            }
+        }
+        task.status = 'completed';
+        task.lastError = '';
+    } catch (err) {
+        console.error(`Rejudge ${task._id} recompute error:`, err);
+        task.status = 'failed';
+        task.lastError = err.message;
+    }
+    task.completedAt = new Date();
+    await task.save();
+    console.log(`Rejudge ${task._id} ${task.status}: ${task.changedVerdicts} of ${task.totalSubmissions} verdicts changed`);
+    return task;
+}
+
+/*
+ * Rejudge one submission ('submission'), every submission for a problem
+ * ('problem') or every submission in a contest ('contest'). Submissions that
+ * are still waiting for a verdict are left alone. Resolves with the task
+ * once its submissions are queued.
+ */
+async function startRejudge(scope, targetId, { reason = '', requestedBy = null } = {}) {
+    const filter = submissionFilter(scope, targetId);
+    const task = await RejudgeTask.create({
+        scope,
+        targetId: String(targetId),
+        reason,
+        requestedBy
+    });
+
+    // Archive the current verdict and reset, in one update per submission
+    await Submission.updateMany(
+        { ...filter, status: { $nin: UNJUDGED_STATUSES } },
+        [{
+            $set: {
+                verdictHistory: {
+                    $concatArrays: [
+                        { $ifNull: ['$verdictHistory', []] },
+                        [{
+                            status: '$status',
+                            score: '$score',
+                            passedTestCases: '$passedTestCases',
+                            totalTestCases: '$totalTestCases',
+                            executionTime: '$executionTime',
+                            memoryUsed: '$memoryUsed',
+                            evaluatedAt: '$evaluatedAt',
+                            rejudgeTaskId: task._id,
+                            replacedAt: new Date()
+                        }]
+                    ]
+                },
+                status: 'pending'
+            }
+        }]
+    );
+
+    const submissions = await Submission.find({ 'verdictHistory.rejudgeTaskId': task._id })
+        .select('userId problemId contestId')
+        .lean();
+
+    const problemIds = new Set(submissions.map(s => s.problemId));
+    const contestIds = new Set(submissions.filter(s => s.contestId).map(s => String(s.contestId)));
+    if (scope === 'problem') problemIds.add(String(targetId));
+    if (scope === 'contest') contestIds.add(String(targetId));
+
+    task.totalSubmissions = submissions.length;
+    task.problemIds = [...problemIds];
+    task.contestIds = [...contestIds];
+    await task.save();
+
+    if (submissions.length === 0) {
+        return finishRejudge(task);
+    }
+
+    try {
+        await JudgeJob.enqueueMany(submissions.map(s => s._id), {
+            priority: REJUDGE_PRIORITY,
+            rejudgeTaskId: task._id
+        });
+    } catch (err) {
+        console.error(`Rejudge ${task._id} enqueue error:`, err);
+        await restoreUnqueued(task);
+        task.status = 'failed';
+        task.lastError = err.message;
+        task.completedAt = new Date();
+        await task.save();
+        throw err;
+    }
+
+    for (const submission of submissions) {
+        await publishEvent(submission, 'status', { status: 'pending' });
+    }
+    console.log(`Rejudge ${task._id} started: ${scope} ${targetId}, ${submissions.length} submissions`);
+    return task;
+}
+
+/* Give submissions that never got a judge job their archived verdict back */
+async function restoreUnqueued(task) {
+    const queued = await JudgeJob.find({ rejudgeTaskId: task._id }).distinct('submissionId');
+    await Submission.updateMany(
+        { 'verdictHistory.rejudgeTaskId': task._id, _id: { $nin: queued }, status: 'pending' },
+        [{
+            $set: {
+                status: { $arrayElemAt: ['$verdictHistory.status', -1] },
+                verdictHistory: {
+                    $filter: { input: '$verdictHistory', cond: { $ne: ['$$this.rejudgeTaskId', task._id] } }
+                }
+            }
+        }]
+    );
+}
+
+/*
+ * Count a rejudge job that finished: outcome is 'judged' when it completed
+ * or 'failed' when the judge gave up. The caller that counts the last
+ * submission of a task recomputes its statistics. No-op for other jobs.
+ */
+async function recordRejudgeResult(job, outcome) {
+    if (!job.rejudgeTaskId) {
+        return;
+    }
+
+    const submission = await Submission.findById(job.submissionId).select('status score verdictHistory').lean();
+    const previous = submission && [...submission.verdictHistory]
+        .reverse()
+        .find(entry => String(entry.rejudgeTaskId) === String(job.rejudgeTaskId));
+    const changed = Boolean(previous) && (previous.status !== submission.status || previous.score !== submission.score);
+
+    await RejudgeTask.recordResult(job.rejudgeTaskId, outcome, changed);
+    const finished = await RejudgeTask.claimRecompute(job.rejudgeTaskId);
+    if (finished) {
+        await finishRejudge(finished);
+    }
+}
+
+/*
+ * Finish tasks whose recompute was interrupted, or whose last result was
+ * counted by a worker that died before recomputing.
+ */
+async function recoverStaleRejudges(staleAfter) {
+    let recovered = 0;
+    let task;
+    while ((task = await RejudgeTask.claimStale(staleAfter))) {
+        console.warn(`Recovered stale rejudge ${task._id}`);
+        await finishRejudge(task);
+        recovered++;
+    }
+    return recovered;
+}
+
+module.exports = {
+    REJUDGE_PRIORITY,
+    startRejudge,
+    recordRejudgeResult,
+    recoverStaleRejudges
+};
@@ -0,0 +1,146 @@
+// utils/resolver.js
+//
+// Post-contest resolver for frozen leaderboards, as at ICPC award
+// ceremonies. Starting from the frozen standings, each step reveals the
+// leftmost hidden problem of the lowest ranked participant that still has
+// one, and the standings are recomputed, until nothing is hidden. The
+// revealed cells are stored on the contest (resolver.revealed), so a reveal
+// can be resumed and the participants' leaderboard follows it.
+const Contest = require('../models/Contest');
+const { freezeOf, computeLeaderboard, loadContestSubmissions, rowKey } = require('./leaderboard');
+
+class ResolverError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ResolverError';
+    }
+}
+
+function checkResolvable(contest, now = new Date()) {
+    if (!contest.settings || !contest.settings.freezeLeaderboard) {
+        throw new ResolverError('This contest does not freeze its leaderboard');
+    }
+    if (now < contest.endDate) {
+        throw new ResolverError('The resolver can only run after the contest has ended');
+    }
+}
+
+function statusOf(contest) {
+    if (contest.resolver.finishedAt) return 'finished';
+    return contest.resolver.revealed.length > 0 ? 'in_progress' : 'not_started';
+}
+
+function hiddenCells(leaderboard) {
+    return leaderboard.reduce((count, row) => count + row.problems.filter(cell => cell.frozen > 0).length, 0);
+}
+
+// The lowest ranked row with a hidden problem, and its leftmost one
+function nextHidden(leaderboard) {
+    for (let index = leaderboard.length - 1; index >= 0; index--) {
+        const cell = leaderboard[index].problems.find(candidate => candidate.frozen > 0);
+        if (cell) {
+            return { row: leaderboard[index], cell };
+        }
+    }
+    return null;
+}
+
+/*
+ * Where the resolver stands. Resolves with { status, revealed, remaining,
+ * finishedAt, leaderboard }: status is not_started, in_progress or finished,
+ * and leaderboard the standings as currently revealed.
+ */
+async function resolverState(contest) {
+    checkResolvable(contest);
+    const leaderboard = computeLeaderboard(contest, await loadContestSubmissions(contest), freezeOf(contest));
+    return {
+        status: statusOf(contest),
+        revealed: contest.resolver.revealed.length,
+        remaining: hiddenCells(leaderboard),
+        finishedAt: contest.resolver.finishedAt || null,
+        leaderboard
+    };
+}
+
+/*
+ * Finish the resolver: participants see the live leaderboard from now on.
+ * Resolves with the updated contest.
+ */
+function finishResolver(contest) {
+    checkResolvable(contest);
+    return Contest.findByIdAndUpdate(
+        contest._id,
+        { $set: { 'resolver.finishedAt': new Date() } },
+        { new: true }
+    );
+}
+
+/* Hide everything again, to rehearse or restart the reveal */
+function resetResolver(contest) {
+    checkResolvable(contest);
+    return Contest.findByIdAndUpdate(
+        contest._id,
+        { $set: { 'resolver.revealed': [] }, $unset: { 'resolver.finishedAt': 1 } },
+        { new: true }
+    );
+}
+
+/*
+ * Reveal the next problem. Resolves with { step, userId, teamId, name, problemId,
+ * before: { rank, cell }, after: { rank, cell }, remaining, leaderboard },
+ * or with null once nothing is hidden, which also finishes the resolver.
+ * Throws ResolverError when the contest cannot be resolved or another
+ * reveal got there first.
+ */
+async function revealNext(contest) {
+    checkResolvable(contest);
+    if (contest.resolver.finishedAt) {
+        return null;
+    }
+
+    const submissions = await loadContestSubmissions(contest);
+    const before = computeLeaderboard(contest, submissions, freezeOf(contest));
+    const next = nextHidden(before);
+    if (!next) {
+        await finishResolver(contest);
+        return null;
+    }
+
+    // Team rows are revealed by team
+    const owner = next.row.teamId ? { teamId: next.row.teamId } : { userId: next.row.userId };
+    const { problemId } = next.cell;
+    const updated = await Contest.findOneAndUpdate(
+        {
+            _id: contest._id,
+            'resolver.finishedAt': null,
+            'resolver.revealed': { $not: { $elemMatch: { ...owner, problemId } } }
+        },
+        { $push: { 'resolver.revealed': { ...owner, problemId, revealedAt: new Date() } } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ResolverError('Another reveal happened at the same time, try again');
+    }
+
+    const after = computeLeaderboard(updated, submissions, freezeOf(updated));
+    const row = after.find(candidate => rowKey(candidate) === rowKey(next.row));
+    return {
+        step: updated.resolver.revealed.length,
+        userId: next.row.userId || null,
+        teamId: next.row.teamId || null,
+        name: next.row.name,
+        problemId,
+        before: { rank: next.row.rank, cell: next.cell },
+        after: { rank: row.rank, cell: row.problems.find(cell => cell.problemId === problemId) },
+        remaining: hiddenCells(after),
+        leaderboard: after
+    };
+}
+
+module.exports = {
+    ResolverError,
+    resolverState,
+    revealNext,
+    finishResolver,
+    resetResolver
+};
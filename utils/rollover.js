@@ -0,0 +1,359 @@
+// utils/rollover.js
+//
+// Semester rollover: moves whole cohorts of students forward with a rules
+// file, for example
+//
+//   { "name": "Odd semester 2026",
+//     "rules": [
+//       { "match": { "semester": 8 }, "archive": true },
+//       { "match": { "department": "CSE", "semester": 3 }, "set": { "semester": 4 } },
+//       { "match": { "semester": [1, 2, 4, 5, 6, 7] }, "set": { "semester": "+1" } }
+//     ] }
+//
+// Each active student gets the first rule that matches their values from
+// before the rollover, so "3 -> 4" and "4 -> 5" never chain. Every
+// contest's participant snapshots, finished contests included, get the new
+// semester, batch and division. Every change is recorded in a Rollover
+// document so the rollover can be undone.
+const User = require('../models/Users');
+const Contest = require('../models/Contest');
+const Rollover = require('../models/Rollover');
+const { VALID_BATCHES, VALID_DIVISIONS } = require('./userValidation');
+
+const MATCH_FIELDS = ['department', 'semester', 'batch', 'div'];
+const SET_FIELDS = ['semester', 'batch', 'div'];
+
+class RolloverRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RolloverRuleError';
+    }
+}
+
+function matchValues(field, value, where) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) {
+        throw new RolloverRuleError(`${where}: match.${field} is empty`);
+    }
+    return values.map(item => {
+        if (field === 'semester' || field === 'div') {
+            const number = Number(item);
+            if (!Number.isInteger(number)) {
+                throw new RolloverRuleError(`${where}: match.${field} must be a whole number`);
+            }
+            return number;
+        }
+        return String(item).trim().toUpperCase();
+    });
+}
+
+function setValue(field, value, where) {
+    if (field === 'semester') {
+        // "+1" moves every matched student one semester on
+        const relative = typeof value === 'string' && /^[+-]\d+$/.test(value.trim());
+        const number = relative ? value.trim() : Number(value);
+        if (!relative && !(Number.isInteger(number) && number >= 1 && number <= 8)) {
+            throw new RolloverRuleError(`${where}: set.semester must be between 1 and 8, or "+1"`);
+        }
+        return number;
+    }
+    if (field === 'div') {
+        const number = Number(value);
+        if (!VALID_DIVISIONS.includes(number)) {
+            throw new RolloverRuleError(`${where}: set.div must be one of ${VALID_DIVISIONS.join(', ')}`);
+        }
+        return number;
+    }
+    const batch = String(value).trim().toUpperCase();
+    if (!VALID_BATCHES.includes(batch)) {
+        throw new RolloverRuleError(`${where}: set.batch must be one of ${VALID_BATCHES.join(', ')}`);
+    }
+    return batch;
+}
+
+/*
+ * Check a rules file (an object, or its JSON text). Returns { name, rules }
+ * with normalized rules; throws RolloverRuleError naming the bad rule.
+ */
+function parseRules(input) {
+    let ruleSet = input;
+    if (Buffer.isBuffer(input) || typeof input === 'string') {
+        try {
+            ruleSet = JSON.parse(input.toString('utf8'));
+        } catch (err) {
+            throw new RolloverRuleError(`The rules file is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!ruleSet || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        throw new RolloverRuleError('rules must be a non-empty array');
+    }
+
+    const rules = ruleSet.rules.map((rule, index) => {
+        const where = `Rule ${index + 1}`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new RolloverRuleError(`${where} must be an object`);
+        }
+        const unknown = Object.keys(rule).filter(key => !['match', 'set', 'archive', 'label'].includes(key));
+        if (unknown.length > 0) {
+            throw new RolloverRuleError(`${where}: unknown key ${unknown.join(', ')}`);
+        }
+
+        // No rule may match every student by accident
+        const match = {};
+        Object.entries(rule.match || {}).forEach(([field, value]) => {
+            if (!MATCH_FIELDS.includes(field)) {
+                throw new RolloverRuleError(`${where}: cannot match on ${field} (use ${MATCH_FIELDS.join(', ')})`);
+            }
+            match[field] = matchValues(field, value, where);
+        });
+        if (Object.keys(match).length === 0) {
+            throw new RolloverRuleError(`${where}: match needs at least one of ${MATCH_FIELDS.join(', ')}`);
+        }
+
+        const set = {};
+        Object.entries(rule.set || {}).forEach(([field, value]) => {
+            if (!SET_FIELDS.includes(field)) {
+                throw new RolloverRuleError(`${where}: cannot set ${field} (use ${SET_FIELDS.join(', ')})`);
+            }
+            set[field] = setValue(field, value, where);
+        });
+
+        const archive = rule.archive === true;
+        if (!archive && Object.keys(set).length === 0) {
+            throw new RolloverRuleError(`${where}: needs set, archive: true, or both`);
+        }
+        return { label: rule.label ? String(rule.label) : '', match, set, archive };
+    });
+
+    return { name: ruleSet.name ? String(ruleSet.name).trim() : '', rules };
+}
+
+// Users store div as a String; rules and snapshots use numbers
+function divOf(student) {
+    return Number(student.div);
+}
+
+function matches(rule, student) {
+    return Object.entries(rule.match).every(([field, values]) => {
+        let value = String(student[field] || '').trim().toUpperCase();
+        if (field === 'semester') {
+            value = student.semester;
+        } else if (field === 'div') {
+            value = divOf(student);
+        }
+        return values.includes(value);
+    });
+}
+
+function valuesAfter(rule, before) {
+    const after = { ...before, archived: before.archived || rule.archive };
+    Object.entries(rule.set).forEach(([field, value]) => {
+        after[field] = typeof value === 'string' && field === 'semester' ? before.semester + Number(value) : value;
+    });
+    return after;
+}
+
+function sameValues(a, b, fields) {
+    return fields.every(field => a[field] === b[field]);
+}
+
+/*
+ * Work out a rollover without writing anything. Resolves with
+ * { students, participants, errors }: the student changes (with the name
+ * and student_id for previews), the contest snapshots to update, and
+ * the students a rule would move outside semesters 1-8.
+ */
+async function planRollover(rules) {
+    const students = await User.find({ role: 'Student', archived: { $ne: true } })
+        .select('name student_id department semester batch div')
+        .sort({ student_id: 1 })
+        .lean();
+
+    const changes = [];
+    const errors = [];
+    students.forEach(student => {
+        const rule = rules.findIndex(candidate => matches(candidate, student));
+        if (rule === -1) return;
+
+        const before = { semester: student.semester, batch: student.batch, div: divOf(student), archived: false };
+        const after = valuesAfter(rules[rule], before);
+        if (!(Number.isInteger(after.semester) && after.semester >= 1 && after.semester <= 8)) {
+            errors.push(`${student.student_id}: rule ${rule + 1} would move semester ${before.semester} to ${after.semester}`);
+            return;
+        }
+        if (sameValues(before, after, [...SET_FIELDS, 'archived'])) return;
+
+        changes.push({ userId: student._id, name: student.name, student_id: student.student_id, rule, before, after });
+    });
+
+    // Snapshots in every contest follow the students, so past standings
+    // filter by the students' current cohorts
+    const moved = new Map(changes
+        .filter(change => !sameValues(change.before, change.after, SET_FIELDS))
+        .map(change => [String(change.userId), change]));
+    const participants = [];
+    if (moved.size > 0) {
+        const contests = await Contest.find({
+            'participants.userId': { $in: [...moved.values()].map(change => change.userId) }
+        }).select('participants.userId participants.semester participants.batch participants.division').lean();
+
+        contests.forEach(contest => {
+            contest.participants.forEach(participant => {
+                const change = moved.get(String(participant.userId));
+                if (!change) return;
+                const before = { semester: participant.semester, batch: participant.batch, division: participant.division };
+                const after = { semester: change.after.semester, batch: change.after.batch, division: change.after.div };
+                if (!sameValues(before, after, ['semester', 'batch', 'division'])) {
+                    participants.push({ contestId: contest._id, userId: participant.userId, before, after });
+                }
+            });
+        });
+    }
+
+    return { students: changes, participants, errors };
+}
+
+/* Per-rule counts of a plan, for previews and summaries */
+function summarizePlan(rules, plan) {
+    return {
+        students: plan.students.length,
+        archived: plan.students.filter(change => change.after.archived).length,
+        participantSnapshots: plan.participants.length,
+        rules: rules.map((rule, index) => ({
+            rule: index + 1,
+            label: rule.label,
+            students: plan.students.filter(change => change.rule === index).length
+        }))
+    };
+}
+
+/* Move students to the given values, only where they still hold `expected` */
+async function writeStudents(changes, target, expected) {
+    if (changes.length === 0) return { matchedCount: 0 };
+    const now = new Date();
+    return User.bulkWrite(changes.map(change => {
+        const values = change[target];
+        const filter = { _id: change.userId };
+        if (expected) {
+            const current = change[expected];
+            Object.assign(filter, {
+                semester: current.semester,
+                batch: current.batch,
+                div: current.div,
+                archived: current.archived ? true : { $ne: true }
+            });
+        }
+        const update = {
+            $set: { semester: values.semester, batch: values.batch, div: values.div, archived: values.archived }
+        };
+        if (values.archived) {
+            // Only active students roll over, so this is always a new archive;
+            // it also ends every session
+            update.$set.archivedAt = now;
+            update.$inc = { tokenVersion: 1 };
+        } else {
+            update.$unset = { archivedAt: 1 };
+        }
+        return { updateOne: { filter, update } };
+    }), { ordered: false });
+}
+
+/* Set participant snapshots to the given values, only where they still hold `expected` */
+async function writeParticipants(participants, target, expected) {
+    if (participants.length === 0) return;
+    await Contest.bulkWrite(participants.map(entry => {
+        const values = entry[target];
+        const arrayFilter = { 'p.userId': entry.userId };
+        if (expected) {
+            const current = entry[expected];
+            Object.assign(arrayFilter, {
+                'p.semester': current.semester,
+                'p.batch': current.batch,
+                'p.division': current.division
+            });
+        }
+        return {
+            updateOne: {
+                filter: { _id: entry.contestId },
+                update: {
+                    $set: {
+                        'participants.$[p].semester': values.semester,
+                        'participants.$[p].batch': values.batch,
+                        'participants.$[p].division': values.division
+                    }
+                },
+                arrayFilters: [arrayFilter]
+            }
+        };
+    }), { ordered: false });
+}
+
+/*
+ * Preview a rules file. Resolves with { name, summary, students,
+ * participants, errors } without changing anything.
+ */
+async function previewRollover(input) {
+    const { name, rules } = parseRules(input);
+    const plan = await planRollover(rules);
+    return { name, summary: summarizePlan(rules, plan), ...plan };
+}
+
+/*
+ * Apply a rules file. Refuses (RolloverRuleError) when a rule would move a
+ * student outside semesters 1-8. The Rollover record is written before any
+ * student, so even an interrupted rollover can be undone. Resolves with it.
+ */
+async function applyRollover(input, appliedBy = null) {
+    const { name, rules } = parseRules(input);
+    const plan = await planRollover(rules);
+    if (plan.errors.length > 0) {
+        throw new RolloverRuleError(`${plan.errors.length} students would leave semesters 1-8: ${plan.errors.slice(0, 5).join('; ')}`);
+    }
+
+    const { rules: perRule, ...summary } = summarizePlan(rules, plan);
+    const rollover = await Rollover.create({
+        name,
+        rules,
+        appliedBy,
+        summary,
+        students: plan.students.map(({ userId, rule, before, after }) => ({ userId, rule, before, after })),
+        participants: plan.participants
+    });
+
+    await writeStudents(plan.students, 'after');
+    await writeParticipants(plan.participants, 'after');
+    console.log(`Rollover ${rollover._id} applied: ${summary.students} students, ${summary.participantSnapshots} contest snapshots`);
+    return rollover;
+}
+
+/*
+ * Put back the values from before a rollover. Students and snapshots changed
+ * again since are left alone and counted in summary.undoConflicts. Resolves
+ * with the rollover, or null when it is not applied (missing or undone).
+ */
+async function undoRollover(rolloverId, undoneBy = null) {
+    const rollover = await Rollover.findOneAndUpdate(
+        { _id: rolloverId, status: 'applied' },
+        { $set: { status: 'undone', undoneBy, undoneAt: new Date() } },
+        { new: true }
+    );
+    if (!rollover) {
+        return null;
+    }
+
+    const result = await writeStudents(rollover.students, 'before', 'after');
+    await writeParticipants(rollover.participants, 'before', 'after');
+
+    rollover.summary.undoConflicts = rollover.students.length - result.matchedCount;
+    await rollover.save();
+    console.log(`Rollover ${rollover._id} undone, ${rollover.summary.undoConflicts} conflicts`);
+    return rollover;
+}
+
+module.exports = {
+    RolloverRuleError,
+    parseRules,
+    previewRollover,
+    applyRollover,
+    undoRollover
+};
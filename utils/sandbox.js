@@ -0,0 +1,440 @@
+// utils/sandbox.js
+//
+// Isolation layer for running untrusted code (POST /compile and the judge).
+//
+// Every program runs in its own box: a private working directory that is the
+// only writable path inside a chroot jail assembled from read-only bind mounts
+// of the system directories. The jail lives in fresh mount, PID, network, IPC
+// and UTS namespaces (util-linux `unshare`), so the program sees no network
+// interfaces, no other processes and no other boxes. Privileges are dropped
+// with `setpriv` to a per-box unprivileged uid, and the bundled runner
+// (utils/sandbox/runner.c) applies rlimits and a seccomp filter before
+// exec'ing the program.
+//
+// SANDBOX_MODE selects the backend:
+//   namespaces  (default on Linux) full isolation as described above. When the
+//               server is not root, a user namespace is created as well and
+//               the program keeps the server's uid without any capabilities.
+//   none        (default elsewhere) plain child process in the box directory,
+//               for local development only.
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const execFileAsync = promisify(execFile);
+
+const TEMP_DIR = path.join(__dirname, '../temp');
+const RUNNER_SOURCE = path.join(__dirname, 'sandbox/runner.c');
+const RUNNER_BINARY = path.join(TEMP_DIR, '.sandbox', 'runner');
+
+const MODE = process.env.SANDBOX_MODE || (process.platform === 'linux' ? 'namespaces' : 'none');
+const IS_ROOT = typeof process.getuid === 'function' && process.getuid() === 0;
+
+// Each live box gets its own uid so RLIMIT_NPROC is counted per box
+const UID_BASE = parseInt(process.env.SANDBOX_UID_BASE) || 60000;
+const UID_SLOTS = parseInt(process.env.SANDBOX_SLOTS) || 64;
+const freeSlots = Array.from({ length: UID_SLOTS }, (_, i) => i);
+
+// Extra read-only paths for toolchains installed outside /usr and /opt
+const EXTRA_PATHS = (process.env.SANDBOX_EXTRA_PATHS || '').split(':').filter(Boolean);
+
+// Time allowed for namespace and jail setup on top of the program's own limit
+const SETUP_GRACE_MS = 2000;
+
+const DEFAULT_LIMITS = {
+    processes: 64,
+    openFiles: 64,
+    fileSize: 16 * 1024 * 1024, // bytes written to any single file
+    stack: 64 * 1024 * 1024
+};
+
+const SIGNAL_NAMES = Object.fromEntries(
+    Object.entries(os.constants.signals).map(([name, number]) => [number, name])
+);
+
+// Builds the jail and hands over to the runner. Runs as (namespace) root
+// inside the new mount namespace; "$@" is the chroot'ed command line.
+const JAIL_SCRIPT = `
+set -e
+R="$SANDBOX_ROOT"
+mount -t tmpfs -o mode=755,size=16m sandbox "$R"
+for d in /bin /sbin /lib /lib32 /lib64 /libx32 /usr /etc /opt $SANDBOX_EXTRA_PATHS; do
+  if [ -L "$d" ]; then
+    mkdir -p "$R$(dirname "$d")"
+    ln -s "$(readlink "$d")" "$R$d"
+  elif [ -d "$d" ]; then
+    mkdir -p "$R$d"
+    mount --rbind "$d" "$R$d"
+    mount -o remount,bind,ro "$R$d"
+  fi
+done
+mkdir -p "$R/box" "$R/tmp" "$R/proc" "$R/dev"
+mount --bind "$SANDBOX_BOX" "$R/box"
+mount -t tmpfs -o mode=1777,size=64m sandbox "$R/tmp"
+mount -t proc proc "$R/proc"
+for n in null zero full random urandom; do
+  touch "$R/dev/$n"
+  mount --bind "/dev/$n" "$R/dev/$n"
+done
+touch "$R/.runner"
+mount --bind "$SANDBOX_RUNNER" "$R/.runner"
+mount -o remount,bind,ro "$R/.runner"
+exec chroot "$R" "$@"
+`;
+
+let runnerReady = null;
+let warnedUnsandboxed = false;
+
+/* Compile the runner helper once per process (and again when its source changes) */
+function ensureRunner() {
+    if (!runnerReady) {
+        runnerReady = (async () => {
+            const [source, binary] = await Promise.all([
+                fs.stat(RUNNER_SOURCE),
+                fs.stat(RUNNER_BINARY).catch(() => null)
+            ]);
+            if (binary && binary.mtimeMs >= source.mtimeMs) {
+                return RUNNER_BINARY;
+            }
+
+            await fs.mkdir(path.dirname(RUNNER_BINARY), { recursive: true });
+            try {
+                await execFileAsync('gcc', ['-O2', '-o', RUNNER_BINARY, RUNNER_SOURCE], { timeout: 60000 });
+            } catch (err) {
+                throw new Error(`Sandbox runner could not be built: ${err.stderr || err.message}`);
+            }
+            return RUNNER_BINARY;
+        })();
+        runnerReady.catch(() => { runnerReady = null; });
+    }
+    return runnerReady;
+}
+
+/* Create a fresh box: a private working directory owned by its own uid */
+async function createBox() {
+    const id = uuidv4();
+    const base = path.join(TEMP_DIR, id);
+    const box = {
+        id,
+        base,
+        dir: path.join(base, 'box'),
+        root: path.join(base, 'root'),
+        uid: null,
+        gid: null,
+        slot: null
+    };
+
+    if (MODE === 'namespaces' && IS_ROOT) {
+        if (freeSlots.length === 0) {
+            throw new Error('No free sandbox slots available');
+        }
+        box.slot = freeSlots.shift();
+        box.uid = UID_BASE + box.slot;
+        box.gid = UID_BASE + box.slot;
+    }
+
+    try {
+        await fs.mkdir(box.dir, { recursive: true, mode: 0o700 });
+        await fs.mkdir(box.root, { recursive: true, mode: 0o700 });
+        await fs.chmod(base, 0o700);
+        if (box.uid !== null) {
+            await fs.chown(box.dir, box.uid, box.gid);
+        }
+    } catch (err) {
+        await destroyBox(box);
+        throw err;
+    }
+
+    return box;
+}
+
+/* Write a file into the box, owned by the box's uid */
+async function writeBoxFile(box, name, content) {
+    const filePath = path.join(box.dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+    if (box.uid !== null) {
+        await fs.chown(filePath, box.uid, box.gid);
+    }
+    return filePath;
+}
+
+/* Remove the box and release its uid */
+async function destroyBox(box) {
+    try {
+        // Retries cover Windows file locks held briefly after the program exits
+        await fs.rm(box.base, { recursive: true, force: true, maxRetries: 3, retryDelay: 100 });
+    } catch (err) {
+        console.error(`Could not remove sandbox ${box.id}:`, err.message);
+    }
+    if (box.slot !== null) {
+        freeSlots.push(box.slot);
+        box.slot = null;
+    }
+}
+
+function buildNamespaceCommand(box, runner, command, limits, timeLimit, memoryLimit, env) {
+    const unshareArgs = ['--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child', '--propagation', 'private'];
+    const setprivArgs = ['--no-new-privs', '--bounding-set=-all', '--inh-caps=-all'];
+
+    if (IS_ROOT) {
+        setprivArgs.unshift(`--reuid=${box.uid}`, `--regid=${box.gid}`, '--clear-groups');
+    } else {
+        // Rootless: namespace root keeps the server's uid but loses every capability
+        unshareArgs.unshift('--user', '--map-root-user');
+        setprivArgs.push('--securebits=+noroot,+noroot_locked');
+    }
+
+    const runnerArgs = [
+        '--cwd', '/box',
+        '--cpu', String(Math.ceil(timeLimit / 1000) + 1),
+        '--nproc', String(limits.processes),
+        '--nofile', String(limits.openFiles),
+        '--fsize', String(limits.fileSize),
+        '--stack', String(limits.stack)
+    ];
+    if (memoryLimit) {
+        runnerArgs.push('--mem', String(memoryLimit));
+    }
+    Object.entries(env || {}).forEach(([key, value]) => {
+        runnerArgs.push('--env', `${key}=${value}`);
+    });
+
+    return {
+        file: 'unshare',
+        args: [
+            ...unshareArgs,
+            '/bin/sh', '-c', JAIL_SCRIPT, 'sandbox',
+            '/usr/bin/setpriv', ...setprivArgs,
+            '/.runner', ...runnerArgs, '--', '/bin/sh', '-c', command
+        ],
+        env: {
+            PATH: process.env.PATH,
+            SANDBOX_ROOT: box.root,
+            SANDBOX_BOX: box.dir,
+            SANDBOX_RUNNER: runner,
+            SANDBOX_EXTRA_PATHS: EXTRA_PATHS.join(' ')
+        }
+    };
+}
+
+function parseReport(text) {
+    const fields = text.trim().split(/\s+/);
+    if (fields.length < 2) return null;
+
+    const report = {};
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+        report[fields[i]] = parseInt(fields[i + 1], 10);
+    }
+    return report;
+}
+
+/*
+ * Start a shell command inside a box without waiting for it.
+ *
+ * options:
+ *   command      shell command, run with /bin/sh -c in the box directory
+ *   timeLimit    wall-clock limit in milliseconds (CPU time is capped too)
+ *   memoryLimit  peak resident memory in bytes, summed over all processes of
+ *                the program; the program is killed when it goes over
+ *   outputLimit  maximum bytes of stdout before the program is killed
+ *   limits       overrides for DEFAULT_LIMITS
+ *   env          extra environment variables for the program
+ *
+ * Resolves with a handle { stdin, stdout, kill(), result } once the process
+ * is spawned. The caller must end `stdin`; `stdout` may be read as a stream
+ * while it is also collected for the result. `result` resolves with
+ * { stdout, stderr, exitCode, signal, timedOut, outputExceeded,
+ * memoryExceeded, violation, executionTime, cpuTime, memoryUsed }. `violation`
+ * is a short description when the program broke a sandbox rule, otherwise
+ * null. `memoryUsed` is the peak resident memory in bytes (always 0 when
+ * SANDBOX_MODE=none).
+ */
+async function start(box, options) {
+    const {
+        command,
+        timeLimit = 10000,
+        memoryLimit = null,
+        outputLimit = 2 * 1024 * 1024,
+        env = {}
+    } = options;
+    const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+
+    let spawnSpec;
+    if (MODE === 'namespaces') {
+        const runner = await ensureRunner();
+        spawnSpec = buildNamespaceCommand(box, runner, command, limits, timeLimit, memoryLimit, env);
+    } else {
+        if (!warnedUnsandboxed) {
+            console.warn('⚠️ SANDBOX_MODE=none: submissions run without isolation');
+            warnedUnsandboxed = true;
+        }
+        spawnSpec = {
+            file: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh',
+            args: process.platform === 'win32' ? ['/d', '/s', '/c', command] : ['-c', command],
+            env: { ...process.env, ...env },
+            cwd: box.dir
+        };
+    }
+
+    let handle = null;
+    const result = new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const child = spawn(spawnSpec.file, spawnSpec.args, {
+            cwd: spawnSpec.cwd || box.base,
+            env: spawnSpec.env,
+            stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        const stdoutChunks = [];
+        const stderrChunks = [];
+        let stdoutBytes = 0;
+        let stderrBytes = 0;
+        let reportText = '';
+        let timedOut = false;
+        let outputExceeded = false;
+        let killedByCaller = false;
+        let settled = false;
+
+        const kill = () => {
+            try { child.kill('SIGKILL'); } catch (e) { /* already gone */ }
+        };
+        handle = {
+            stdin: child.stdin,
+            stdout: child.stdout,
+            kill: () => {
+                killedByCaller = true;
+                kill();
+            }
+        };
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            kill();
+        }, timeLimit + (MODE === 'namespaces' ? SETUP_GRACE_MS : 0));
+
+        child.stdout.on('data', chunk => {
+            stdoutBytes += chunk.length;
+            if (stdoutBytes > outputLimit) {
+                if (!outputExceeded) {
+                    outputExceeded = true;
+                    kill();
+                }
+                return;
+            }
+            stdoutChunks.push(chunk);
+        });
+
+        child.stderr.on('data', chunk => {
+            if (stderrBytes < 64 * 1024) {
+                stderrChunks.push(chunk);
+            }
+            stderrBytes += chunk.length;
+        });
+
+        child.stdio[3].on('data', chunk => {
+            reportText += chunk.toString();
+        });
+
+        // The program may exit without reading its input
+        child.stdin.on('error', () => {});
+
+        child.on('error', err => {
+            clearTimeout(timer);
+            if (!settled) {
+                settled = true;
+                reject(err);
+            }
+        });
+
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (settled) return;
+            settled = true;
+
+            const stdout = Buffer.concat(stdoutChunks).toString('utf8');
+            const stderr = Buffer.concat(stderrChunks).toString('utf8');
+            const wallTime = Date.now() - startTime;
+
+            let exitCode = code;
+            let signalName = signal;
+            let executionTime = wallTime;
+            let cpuTime = 0;
+            let memoryUsed = 0;
+            let memoryExceeded = false;
+
+            if (MODE === 'namespaces') {
+                const report = parseReport(reportText);
+                if (!report) {
+                    if (!timedOut && !outputExceeded && !killedByCaller) {
+                        return reject(new Error(`Sandbox failed to start: ${stderr.trim() || `exit code ${code}`}`));
+                    }
+                    exitCode = null;
+                    signalName = 'SIGKILL';
+                } else {
+                    exitCode = report.exit >= 0 ? report.exit : null;
+                    signalName = report.signal ? (SIGNAL_NAMES[report.signal] || `SIG${report.signal}`) : null;
+                    executionTime = report.time;
+                    cpuTime = report.cpu;
+                    memoryUsed = (report.mem || 0) * 1024;
+                    memoryExceeded = report.mle === 1;
+                }
+            }
+
+            // The command runs under /bin/sh, which reports a child killed
+            // by signal N as exit status 128 + N
+            if (!signalName && exitCode > 128 && SIGNAL_NAMES[exitCode - 128]) {
+                signalName = SIGNAL_NAMES[exitCode - 128];
+            }
+
+            if (!memoryExceeded && (signalName === 'SIGXCPU' || executionTime > timeLimit ||
+                (signalName === 'SIGKILL' && cpuTime >= timeLimit))) {
+                timedOut = true;
+            }
+
+            let violation = null;
+            if (signalName === 'SIGSYS') {
+                violation = 'Forbidden system call';
+            } else if (signalName === 'SIGXFSZ') {
+                violation = 'File size limit exceeded';
+            }
+
+            resolve({
+                stdout,
+                stderr,
+                exitCode,
+                signal: signalName,
+                timedOut,
+                outputExceeded,
+                memoryExceeded,
+                violation,
+                executionTime: Math.min(executionTime, wallTime),
+                cpuTime,
+                memoryUsed
+            });
+        });
+    });
+
+    handle.result = result;
+    return handle;
+}
+
+/* Run a shell command inside a box to completion; options as for start() plus stdin */
+async function run(box, options) {
+    const handle = await start(box, options);
+    handle.stdin.end(options.stdin || '');
+    return handle.result;
+}
+
+module.exports = {
+    createBox,
+    writeBoxFile,
+    destroyBox,
+    start,
+    run,
+    mode: MODE
+};
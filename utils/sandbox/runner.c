@@ -0,0 +1,271 @@
+/*
+ * utils/sandbox/runner.c
+ *
+ * Last hop of the judge sandbox (see utils/sandbox.js). It is started inside
+ * the chroot jail after privileges have been dropped, and:
+ *
+ *   1. forks the submission as a child process,
+ *   2. applies resource limits and a seccomp filter to that child,
+ *   3. waits for it (sampling the memory of the whole sandbox when a memory
+ *      limit is set) and reports how it ended on file descriptor 3.
+ *
+ * The report is a single line of "key value" pairs, e.g.
+ *   exit 0 signal 0 time 12 cpu 8 mem 1432 mle 0
+ * where mem is the peak resident set size in KB and mle is 1 when the
+ * memory limit was exceeded.
+ *
+ * The runner is the init process of the sandbox PID namespace, so every
+ * process the submission leaves behind is killed when the runner exits.
+ *
+ * Built on demand with: gcc -O2 -o runner runner.c
+ */
+#define _GNU_SOURCE
+#include <errno.h>
+#include <fcntl.h>
+#include <signal.h>
+#include <stddef.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <dirent.h>
+#include <time.h>
+#include <unistd.h>
+#include <linux/audit.h>
+#include <linux/filter.h>
+#include <linux/seccomp.h>
+#include <sys/prctl.h>
+#include <sys/resource.h>
+#include <sys/socket.h>
+#include <sys/syscall.h>
+#include <sys/wait.h>
+
+#define REPORT_FD 3
+#define MAX_ENV 32
+#define MEMORY_POLL_US 5000
+
+#if defined(__x86_64__)
+#define SANDBOX_AUDIT_ARCH AUDIT_ARCH_X86_64
+#elif defined(__aarch64__)
+#define SANDBOX_AUDIT_ARCH AUDIT_ARCH_AARCH64
+#else
+#error "Unsupported architecture for the sandbox seccomp filter"
+#endif
+
+#define SYSCALL_KILL(nr) \
+    BPF_JUMP(BPF_JMP | BPF_JEQ | BPF_K, (nr), 0, 1), \
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_KILL_PROCESS)
+
+/* System calls a submission has no business making. Any of them kills the
+ * process with SIGSYS, which the judge reports as a security violation. */
+static struct sock_filter filter[] = {
+    BPF_STMT(BPF_LD | BPF_W | BPF_ABS, offsetof(struct seccomp_data, arch)),
+    BPF_JUMP(BPF_JMP | BPF_JEQ | BPF_K, SANDBOX_AUDIT_ARCH, 1, 0),
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_KILL_PROCESS),
+    BPF_STMT(BPF_LD | BPF_W | BPF_ABS, offsetof(struct seccomp_data, nr)),
+#if defined(__x86_64__)
+    /* x32 system calls */
+    BPF_JUMP(BPF_JMP | BPF_JGE | BPF_K, 0x40000000, 0, 1),
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_KILL_PROCESS),
+#endif
+    /* socket(): local AF_UNIX sockets are fine, network families are not */
+    BPF_JUMP(BPF_JMP | BPF_JEQ | BPF_K, __NR_socket, 0, 4),
+    BPF_STMT(BPF_LD | BPF_W | BPF_ABS, offsetof(struct seccomp_data, args[0])),
+    BPF_JUMP(BPF_JMP | BPF_JEQ | BPF_K, AF_UNIX, 0, 1),
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_ALLOW),
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_KILL_PROCESS),
+    SYSCALL_KILL(__NR_ptrace),
+    SYSCALL_KILL(__NR_mount),
+    SYSCALL_KILL(__NR_umount2),
+    SYSCALL_KILL(__NR_pivot_root),
+    SYSCALL_KILL(__NR_chroot),
+    SYSCALL_KILL(__NR_unshare),
+    SYSCALL_KILL(__NR_setns),
+    SYSCALL_KILL(__NR_reboot),
+    SYSCALL_KILL(__NR_kexec_load),
+    SYSCALL_KILL(__NR_init_module),
+    SYSCALL_KILL(__NR_finit_module),
+    SYSCALL_KILL(__NR_delete_module),
+    SYSCALL_KILL(__NR_swapon),
+    SYSCALL_KILL(__NR_swapoff),
+    SYSCALL_KILL(__NR_bpf),
+    SYSCALL_KILL(__NR_perf_event_open),
+    SYSCALL_KILL(__NR_keyctl),
+    SYSCALL_KILL(__NR_add_key),
+    SYSCALL_KILL(__NR_request_key),
+    SYSCALL_KILL(__NR_process_vm_readv),
+    SYSCALL_KILL(__NR_process_vm_writev),
+    SYSCALL_KILL(__NR_userfaultfd),
+    BPF_STMT(BPF_RET | BPF_K, SECCOMP_RET_ALLOW),
+};
+
+struct limits {
+    long cpu;       /* seconds */
+    long nproc;
+    long nofile;
+    long fsize;     /* bytes */
+    long stack;     /* bytes */
+    long memory;    /* bytes of resident memory, summed over the sandbox */
+};
+
+static void usage(void) {
+    fprintf(stderr, "usage: runner [--cpu s] [--nproc n] [--nofile n] [--fsize b] "
+                    "[--stack b] [--mem b] [--cwd dir] [--env K=V]... -- command [args...]\n");
+    exit(125);
+}
+
+static long now_ms(void) {
+    struct timespec ts;
+    clock_gettime(CLOCK_MONOTONIC, &ts);
+    return ts.tv_sec * 1000L + ts.tv_nsec / 1000000L;
+}
+
+static void set_limit(int resource, long value) {
+    struct rlimit rl;
+    if (value < 0) return;
+    rl.rlim_cur = rl.rlim_max = (rlim_t) value;
+    if (setrlimit(resource, &rl) != 0) {
+        perror("runner: setrlimit");
+        _exit(125);
+    }
+}
+
+/* Resident memory of every process in the sandbox except the runner, in
+ * bytes. The runner owns a private PID namespace, so /proc lists nothing
+ * but the submission and its children. */
+static long sandbox_rss(void) {
+    DIR *proc = opendir("/proc");
+    struct dirent *entry;
+    long pages = 0;
+    pid_t self = getpid();
+
+    if (!proc) return 0;
+    while ((entry = readdir(proc)) != NULL) {
+        char path[64];
+        long size, resident;
+        FILE *statm;
+        pid_t pid = (pid_t) atol(entry->d_name);
+
+        if (pid <= 0 || pid == self) continue;
+        snprintf(path, sizeof(path), "/proc/%d/statm", (int) pid);
+        statm = fopen(path, "r");
+        if (!statm) continue;
+        if (fscanf(statm, "%ld %ld", &size, &resident) == 2) pages += resident;
+        fclose(statm);
+    }
+    closedir(proc);
+    return pages * sysconf(_SC_PAGESIZE);
+}
+
+static int install_filter(void) {
+    struct sock_fprog prog;
+    prog.len = (unsigned short) (sizeof(filter) / sizeof(filter[0]));
+    prog.filter = filter;
+
+    if (prctl(PR_SET_NO_NEW_PRIVS, 1, 0, 0, 0) != 0) return -1;
+    return prctl(PR_SET_SECCOMP, SECCOMP_MODE_FILTER, &prog);
+}
+
+int main(int argc, char **argv) {
+    struct limits lim = { -1, -1, -1, -1, -1, -1 };
+    char *env[MAX_ENV + 1];
+    int envc = 0;
+    const char *cwd = "/box";
+    int i;
+
+    env[envc++] = "PATH=/usr/local/bin:/usr/bin:/bin";
+    env[envc++] = "HOME=/box";
+    env[envc++] = "TMPDIR=/tmp";
+    env[envc++] = "LANG=C.UTF-8";
+
+    for (i = 1; i < argc; i++) {
+        if (strcmp(argv[i], "--") == 0) { i++; break; }
+        if (i + 1 >= argc) usage();
+        if (strcmp(argv[i], "--cpu") == 0) lim.cpu = atol(argv[++i]);
+        else if (strcmp(argv[i], "--nproc") == 0) lim.nproc = atol(argv[++i]);
+        else if (strcmp(argv[i], "--nofile") == 0) lim.nofile = atol(argv[++i]);
+        else if (strcmp(argv[i], "--fsize") == 0) lim.fsize = atol(argv[++i]);
+        else if (strcmp(argv[i], "--stack") == 0) lim.stack = atol(argv[++i]);
+        else if (strcmp(argv[i], "--mem") == 0) lim.memory = atol(argv[++i]);
+        else if (strcmp(argv[i], "--cwd") == 0) cwd = argv[++i];
+        else if (strcmp(argv[i], "--env") == 0) {
+            if (envc >= MAX_ENV) usage();
+            env[envc++] = argv[++i];
+        }
+        else usage();
+    }
+    if (i >= argc) usage();
+    env[envc] = NULL;
+
+    /* Die with the process that started the sandbox, and keep the report
+     * descriptor away from the submission. */
+    prctl(PR_SET_PDEATHSIG, SIGKILL);
+    fcntl(REPORT_FD, F_SETFD, FD_CLOEXEC);
+
+    if (chdir(cwd) != 0) {
+        perror("runner: chdir");
+        return 125;
+    }
+
+    long started = now_ms();
+    pid_t pid = fork();
+    if (pid < 0) {
+        perror("runner: fork");
+        return 125;
+    }
+
+    if (pid == 0) {
+        set_limit(RLIMIT_CORE, 0);
+        set_limit(RLIMIT_CPU, lim.cpu);
+        set_limit(RLIMIT_NPROC, lim.nproc);
+        set_limit(RLIMIT_NOFILE, lim.nofile);
+        set_limit(RLIMIT_FSIZE, lim.fsize);
+        set_limit(RLIMIT_STACK, lim.stack);
+
+        if (install_filter() != 0) {
+            perror("runner: seccomp");
+            _exit(125);
+        }
+
+        execve(argv[i], &argv[i], env);
+        fprintf(stderr, "runner: cannot execute %s: %s\n", argv[i], strerror(errno));
+        _exit(127);
+    }
+
+    int status = 0;
+    int exceeded = 0;
+    long peak = 0;
+    struct rusage ru;
+    for (;;) {
+        pid_t done = wait4(pid, &status, lim.memory > 0 ? WNOHANG : 0, &ru);
+        if (done == pid) break;
+        if (done < 0) {
+            if (errno == EINTR) continue;
+            perror("runner: wait4");
+            return 125;
+        }
+
+        long rss = sandbox_rss();
+        if (rss > peak) peak = rss;
+        if (rss > lim.memory && !exceeded) {
+            exceeded = 1;
+            /* As init of the namespace, kill(-1) reaches every process in
+             * the sandbox; never use it anywhere else. */
+            kill(getpid() == 1 ? -1 : pid, SIGKILL);
+        }
+        usleep(MEMORY_POLL_US);
+    }
+    long elapsed = now_ms() - started;
+    long cpu = ru.ru_utime.tv_sec * 1000L + ru.ru_utime.tv_usec / 1000L
+             + ru.ru_stime.tv_sec * 1000L + ru.ru_stime.tv_usec / 1000L;
+
+    /* ru_maxrss (KB) also covers spikes shorter than the polling interval */
+    long peak_kb = peak / 1024;
+    if (ru.ru_maxrss > peak_kb) peak_kb = ru.ru_maxrss;
+    if (lim.memory > 0 && peak_kb * 1024 > lim.memory) exceeded = 1;
+
+    dprintf(REPORT_FD, "exit %d signal %d time %ld cpu %ld mem %ld mle %d\n",
+            WIFEXITED(status) ? WEXITSTATUS(status) : -1,
+            WIFSIGNALED(status) ? WTERMSIG(status) : 0,
+            elapsed, cpu, peak_kb, exceeded);
+    return 0;
+}
@@ -1,9 +1,15 @@
 // utils/scheduledTasks.js
+//
+// Background jobs of the web server, started by app.js once MongoDB is
+// connected.
 const cron = require('node-cron');
 const AutoSave = require('../models/AutoSave');
+const { runDueTransitions } = require('./contestScheduler');
 
-// Run cleanup every day at 2 AM
-cron.schedule('0 2 * * *', async () => {
+// Contest status transitions, every 10 seconds by default
+const CONTEST_TRANSITIONS_SCHEDULE = process.env.CONTEST_SCHEDULER_CRON || '*/10 * * * * *';
+
+async function cleanupAutoSaves() {
     try {
         console.log('Starting auto-save cleanup...');
         const result = await AutoSave.cleanupOld();
@@ -11,6 +17,30 @@ cron.schedule('0 2 * * *', async () => {
     } catch (error) {
         console.error('Auto-save cleanup failed:', error);
     }
-});
+}
+
+async function transitionContests() {
+    try {
+        await runDueTransitions();
+    } catch (error) {
+        console.error('Contest status transitions failed:', error);
+    }
+}
+
+/*
+ * Schedule the jobs, and catch up on the contest transitions missed while
+ * the server was down. Returns the cron tasks.
+ */
+function startScheduledTasks() {
+    const tasks = [
+        // Run cleanup every day at 2 AM
+        cron.schedule('0 2 * * *', cleanupAutoSaves, { noOverlap: true }),
+        cron.schedule(CONTEST_TRANSITIONS_SCHEDULE, transitionContests, { noOverlap: true })
+    ];
+    transitionContests();
+    return tasks;
+}
 
-module.exports = { /* export any needed functions */ };
+module.exports = {
+    startScheduledTasks
+};
@@ -0,0 +1,262 @@
+// utils/studentImport.js
+//
+// Bulk student import from a CSV or XLSX file. Rows are checked with the
+// same rules as POST /user (utils/userValidation.js), against each other and
+// against existing users. Students are matched by student_id, so importing
+// the same file twice changes nothing the second time: new student_ids are
+// created, known ones updated, and identical rows left alone. Passwords are
+// only set when a student is created.
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const User = require('../models/Users');
+const UserImport = require('../models/UserImport');
+const { validateUserFields } = require('./userValidation');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields an import writes, and those compared to detect changes
+const IMPORT_FIELDS = ['student_id', 'username', 'name', 'email', 'password', 'department', 'batch', 'div', 'semester'];
+const UPDATABLE_FIELDS = ['username', 'name', 'email', 'department', 'batch', 'div', 'semester'];
+
+// Other spellings of the column names
+const HEADER_ALIASES = {
+    studentid: 'student_id',
+    student_no: 'student_id',
+    roll_no: 'student_id',
+    full_name: 'name',
+    e_mail: 'email',
+    email_address: 'email',
+    dept: 'department',
+    division: 'div',
+    sem: 'semester'
+};
+
+class ImportFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFileError';
+    }
+}
+
+function normalizeHeader(header) {
+    const key = String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return HEADER_ALIASES[key] || key;
+}
+
+function fileFormat(fileName = '') {
+    const match = String(fileName).toLowerCase().match(/\.(csv|xlsx)$/);
+    return match ? match[1] : null;
+}
+
+// [{ row, data }] from header names and value arrays; blank lines are skipped
+function toRecords(headers, lines) {
+    const columns = headers.map(normalizeHeader);
+    const missing = ['student_id'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new ImportFileError(`Missing column: ${missing.join(', ')}`);
+    }
+
+    const records = [];
+    for (const { row, values } of lines) {
+        if (values.every(value => String(value === undefined || value === null ? '' : value).trim() === '')) {
+            continue;
+        }
+        const data = {};
+        columns.forEach((column, index) => {
+            if (IMPORT_FIELDS.includes(column)) {
+                data[column] = values[index];
+            }
+        });
+        records.push({ row, data });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw new ImportFileError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+    return records;
+}
+
+function parseCsv(buffer) {
+    let parsed;
+    try {
+        parsed = parse(buffer, { bom: true, trim: true, relax_column_count: true, skip_empty_lines: true, info: true });
+    } catch (err) {
+        throw new ImportFileError(`Invalid CSV: ${err.message}`);
+    }
+    if (parsed.length === 0) {
+        throw new ImportFileError('The file is empty');
+    }
+    const [header, ...lines] = parsed;
+    return toRecords(header.record, lines.map(line => ({ row: line.info.lines, values: line.record })));
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw new ImportFileError(`Invalid XLSX: ${err.message}`);
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet || sheet.rowCount === 0) {
+        throw new ImportFileError('The file is empty');
+    }
+
+    // Cell text is what the spreadsheet shows: numbers as typed, links as their text
+    const width = sheet.getRow(1).cellCount;
+    const cells = row => Array.from({ length: width }, (_, index) => row.getCell(index + 1).text);
+    const lines = [];
+    for (let number = 2; number <= sheet.rowCount; number++) {
+        lines.push({ row: number, values: cells(sheet.getRow(number)) });
+    }
+    return toRecords(cells(sheet.getRow(1)), lines);
+}
+
+/*
+ * Read the rows of an uploaded file. Resolves with { format, records }, each
+ * record { row, data } with data keyed by user field; throws ImportFileError
+ * for files that cannot be imported at all.
+ */
+async function parseStudentFile(buffer, fileName) {
+    const format = fileFormat(fileName);
+    if (!format) {
+        throw new ImportFileError('Only .csv and .xlsx files can be imported');
+    }
+    const records = format === 'csv' ? parseCsv(buffer) : await parseXlsx(buffer);
+    return { format, records };
+}
+
+// Users that already hold any of the rows' student_ids, emails or usernames
+async function loadExistingUsers(checked) {
+    const values = field => [...new Set(checked.map(({ user }) => user[field]).filter(Boolean))];
+    const users = await User.find({
+        $or: [
+            { student_id: { $in: values('student_id') } },
+            { email: { $in: values('email') } },
+            { username: { $in: values('username') } }
+        ]
+    }).select('-password').lean();
+
+    const index = field => new Map(users.filter(u => u[field] !== undefined).map(u => [String(u[field]), u]));
+    return { byStudentId: index('student_id'), byEmail: index('email'), byUsername: index('username') };
+}
+
+/*
+ * Decide what to do with every row: its status (created, updated, unchanged
+ * or invalid) and, for valid rows, the user fields to write.
+ */
+async function planImport(records) {
+    const checked = records.map(({ row, data }) => ({
+        row,
+        ...validateUserFields({ ...data, role: 'Student' }, { requirePassword: false })
+    }));
+    const existing = await loadExistingUsers(checked);
+
+    const seen = { student_id: new Map(), email: new Map(), username: new Map() };
+    return checked.map(({ row, user, errors }) => {
+        const entry = { row, student_id: user.student_id, username: user.username, email: user.email, changes: [], errorMessages: [...errors] };
+
+        // Each student_id, email and username once per file
+        for (const field of Object.keys(seen)) {
+            const value = user[field];
+            if (!value) continue;
+            if (seen[field].has(value)) {
+                entry.errorMessages.push(`Duplicate ${field} ${value} (also on row ${seen[field].get(value)})`);
+            } else {
+                seen[field].set(value, row);
+            }
+        }
+
+        const current = existing.byStudentId.get(user.student_id);
+        const emailOwner = existing.byEmail.get(user.email);
+        const usernameOwner = existing.byUsername.get(user.username);
+        if (emailOwner && (!current || String(emailOwner._id) !== String(current._id))) {
+            entry.errorMessages.push(`Email ${user.email} belongs to another user`);
+        }
+        if (usernameOwner && (!current || String(usernameOwner._id) !== String(current._id))) {
+            entry.errorMessages.push(`Username ${user.username} belongs to another user`);
+        }
+        if (current && current.role !== 'Student') {
+            entry.errorMessages.push(`student_id ${user.student_id} belongs to a ${current.role} account`);
+        }
+        if (!current && !user.password) {
+            entry.errorMessages.push('Missing required fields for new students: password');
+        }
+
+        if (entry.errorMessages.length > 0) {
+            entry.status = 'invalid';
+            return entry;
+        }
+
+        if (current) {
+            entry.userId = current._id;
+            entry.changes = UPDATABLE_FIELDS.filter(field => String(current[field] ?? '') !== String(user[field] ?? ''));
+            entry.status = entry.changes.length > 0 ? 'updated' : 'unchanged';
+        } else {
+            entry.status = 'created';
+        }
+        entry.user = user;
+        return entry;
+    });
+}
+
+async function applyRow(entry) {
+    try {
+        if (entry.status === 'created') {
+            const created = await new User(entry.user).save();
+            entry.userId = created._id;
+        } else if (entry.status === 'updated') {
+            const changes = {};
+            entry.changes.forEach(field => { changes[field] = entry.user[field]; });
+            await User.updateOne({ _id: entry.userId }, { $set: changes }, { runValidators: true });
+        }
+    } catch (err) {
+        entry.status = 'failed';
+        entry.errorMessages.push(err.code === 11000 ? 'A user with this student_id, email or username already exists' : err.message);
+    }
+}
+
+/*
+ * Import parsed records. With dryRun nothing but the report is written.
+ * Resolves with the saved UserImport report.
+ */
+async function importStudents(records, { dryRun = false, fileName = '', format, importedBy = null } = {}) {
+    const plan = await planImport(records);
+
+    if (!dryRun) {
+        for (const entry of plan) {
+            await applyRow(entry);
+        }
+    }
+
+    const summary = { total: plan.length, created: 0, updated: 0, unchanged: 0, invalid: 0, failed: 0 };
+    const rows = plan.map(({ user, ...entry }) => {
+        summary[entry.status]++;
+        return entry;
+    });
+
+    return UserImport.create({ fileName, format, dryRun, importedBy, summary, rows });
+}
+
+function csvField(value) {
+    const text = Array.isArray(value) ? value.join('; ') : String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* The rows of a report as CSV, for download */
+function reportToCsv(report) {
+    const columns = ['row', 'status', 'student_id', 'username', 'email', 'changes', 'errorMessages'];
+    const lines = [['row', 'status', 'student_id', 'username', 'email', 'changes', 'errors'].join(',')];
+    report.rows.forEach(row => {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    ImportFileError,
+    parseStudentFile,
+    importStudents,
+    reportToCsv
+};
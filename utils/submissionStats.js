@@ -0,0 +1,183 @@
+// utils/submissionStats.js
+//
+// Problem and contest counters kept up to date as submissions are judged.
+// updateStatistics() applies one new verdict; the recompute functions rebuild
+// the counters from every judged submission with the same rules, for use
+// after a rejudge changed verdicts that were already counted.
+const Problem = require('../models/Problem');
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const { lateSubmissionsRanked } = require('./contestWindow');
+const { computeFinalStandings } = require('./contestScheduler');
+const { refreshVirtualResult } = require('./virtualContest');
+
+// Submissions without a verdict yet are counted once they are judged
+const UNJUDGED_STATUSES = ['pending', 'running'];
+
+/* Count a judged submission in a loaded contest (does not save) */
+function applyContestSubmission(contest, submission, time = new Date()) {
+    // Recorded results, upsolving, virtual participations, and late
+    // submissions the contest does not rank, stay out
+    if (submission.source === 'recorded' || submission.isUpsolve || submission.virtualParticipationId
+        || (submission.isLate && !lateSubmissionsRanked(contest))) {
+        return;
+    }
+
+    // Update contest analytics
+    contest.analytics.totalSubmissions++;
+    if (submission.status === 'accepted') {
+        contest.analytics.successfulSubmissions++;
+    }
+
+    // Update participant data
+    const participant = contest.participants.find(
+        p => p.userId.toString() === submission.userId.toString()
+    );
+
+    if (participant) {
+        participant.submissions++;
+        participant.lastActivityTime = time;
+
+        // Update problem attempt data
+        let problemAttempt = participant.problemsAttempted.find(
+            p => p.problemId === submission.problemId
+        );
+
+        if (!problemAttempt) {
+            participant.problemsAttempted.push({
+                problemId: submission.problemId,
+                attempts: 0,
+                solved: false,
+                score: 0,
+                lastAttemptTime: time
+            });
+            problemAttempt = participant.problemsAttempted[participant.problemsAttempted.length - 1];
+        }
+
+        problemAttempt.attempts++;
+        problemAttempt.lastAttemptTime = time;
+
+        // Update score if this is the best submission
+        if (submission.score > problemAttempt.score) {
+            const oldScore = problemAttempt.score;
+            problemAttempt.score = submission.score;
+            participant.score = participant.score - oldScore + submission.score;
+
+            if (submission.status === 'accepted') {
+                problemAttempt.solved = true;
+            }
+        }
+    }
+
+    // Update problem statistics in contest
+    const contestProblem = contest.problems.find(p => p.problemId === submission.problemId);
+    if (contestProblem) {
+        contestProblem.attemptCount++;
+        if (submission.status === 'accepted') {
+            contestProblem.solvedCount++;
+        }
+    }
+}
+
+/* Update statistics after submission */
+async function updateStatistics(submission, contestId) {
+    try {
+        // Update problem statistics (for standalone problems)
+        if (!contestId && submission.problemId.match(/^[0-9a-fA-F]{24}$/)) {
+            const problem = await Problem.findById(submission.problemId);
+            if (problem) {
+                problem.totalSubmissions++;
+                if (submission.status === 'accepted') {
+                    problem.successfulSubmissions++;
+                }
+                await problem.save();
+            }
+        }
+
+        // Virtual participations keep their own result instead
+        if (submission.virtualParticipationId) {
+            await refreshVirtualResult(submission.virtualParticipationId);
+            return;
+        }
+
+        // Update contest statistics
+        if (contestId) {
+            const contest = await Contest.findById(contestId);
+            if (contest) {
+                applyContestSubmission(contest, submission);
+                await contest.save();
+                // Ranked late submissions arrive after the final standings were taken
+                if (submission.isLate && contest.status === 'Completed' && lateSubmissionsRanked(contest)) {
+                    await computeFinalStandings(contest);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error updating statistics:', error);
+    }
+}
+
+/*
+ * Rebuild a standalone problem's submission counters from its judged
+ * submissions. Resolves with the problem, or null when it does not exist.
+ */
+async function recomputeProblemStatistics(problemId) {
+    if (!String(problemId).match(/^[0-9a-fA-F]{24}$/)) {
+        return null;
+    }
+    const problem = await Problem.findById(problemId);
+    if (!problem) {
+        return null;
+    }
+
+    const judged = { problemId: String(problemId), contestId: null, status: { $nin: UNJUDGED_STATUSES } };
+    const [total, accepted] = await Promise.all([
+        Submission.countDocuments(judged),
+        Submission.countDocuments({ ...judged, status: 'accepted' })
+    ]);
+    problem.totalSubmissions = total;
+    problem.successfulSubmissions = accepted;
+    await problem.save();
+    return problem;
+}
+
+/*
+ * Rebuild a contest's analytics, participant scores and problem counters by
+ * replaying its judged submissions in submission order. Resolves with the
+ * contest, or null when it does not exist.
+ */
+async function recomputeContestStatistics(contestId) {
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+        return null;
+    }
+
+    contest.analytics.totalSubmissions = 0;
+    contest.analytics.successfulSubmissions = 0;
+    contest.problems.forEach(problem => {
+        problem.attemptCount = 0;
+        problem.solvedCount = 0;
+    });
+    contest.participants.forEach(participant => {
+        participant.score = 0;
+        participant.submissions = 0;
+        participant.problemsAttempted = [];
+    });
+
+    const submissions = await Submission.find({ contestId: contest._id, source: { $ne: 'recorded' }, status: { $nin: UNJUDGED_STATUSES } })
+        .select('userId problemId status score submittedAt evaluatedAt isLate isUpsolve virtualParticipationId source')
+        .sort({ submittedAt: 1, _id: 1 })
+        .lean();
+    submissions.forEach(submission => {
+        applyContestSubmission(contest, submission, submission.evaluatedAt || submission.submittedAt);
+    });
+
+    await contest.save();
+    return contest;
+}
+
+module.exports = {
+    updateStatistics,
+    recomputeProblemStatistics,
+    recomputeContestStatistics
+};
@@ -0,0 +1,155 @@
+// utils/subtasks.js
+//
+// Subtask (test group) scoring.
+//
+// A problem may split its test cases into subtasks: each test case names its
+// subtask in `testCase.subtask`, and the problem lists the subtasks in order:
+//
+//   { id, name, points, scoring, dependencies, skipOnFailure }
+//
+// scoring:
+//   all_or_nothing  full points only when every test case passes
+//   min             points x the lowest test score
+//   sum             points x the average test score
+// Test scores are 1 for a pass, 0 for a failure, or the fraction reported by
+// a custom checker. A subtask whose dependencies (earlier subtasks) did not
+// get full points scores 0 and its test cases are skipped. With
+// skipOnFailure (the default, ignored for `sum`), the remaining test cases
+// of a subtask are skipped once its score is settled: after the first
+// failure, or for `min` after the first zero.
+
+const SCORING_MODES = ['all_or_nothing', 'min', 'sum'];
+
+/* Returns an error message when the subtask definitions are inconsistent, else null */
+function validateSubtasks(testCases, subtasks) {
+    if (!subtasks || subtasks.length === 0) {
+        return null;
+    }
+
+    const seen = new Set();
+    for (const subtask of subtasks) {
+        if (seen.has(subtask.id)) {
+            return `Duplicate subtask id: ${subtask.id}`;
+        }
+        for (const dependency of subtask.dependencies || []) {
+            if (!seen.has(dependency)) {
+                return `Subtask ${subtask.id} depends on ${dependency}, which must be an earlier subtask`;
+            }
+        }
+        seen.add(subtask.id);
+    }
+
+    for (let i = 0; i < (testCases || []).length; i++) {
+        if (!seen.has(testCases[i].subtask)) {
+            return `Test case ${i + 1} must belong to one of the subtasks`;
+        }
+    }
+    return null;
+}
+
+function testScore(result) {
+    if (!result) return 0;
+    if (typeof result.score === 'number') return result.score;
+    return result.status === 'passed' ? 1 : 0;
+}
+
+/*
+ * Order in which test cases are run. Yields test case indices, looking at
+ * `results` (filled in by the caller after each index) to decide what to
+ * skip; skipped indices are never yielded.
+ */
+function* testOrder(testCases, subtasks, results) {
+    if (!subtasks || subtasks.length === 0) {
+        for (let i = 0; i < testCases.length; i++) {
+            yield i;
+        }
+        return;
+    }
+
+    const fullMarks = new Map();
+    for (const subtask of subtasks) {
+        const indices = testCases
+            .map((testCase, index) => (testCase.subtask === subtask.id ? index : -1))
+            .filter(index => index >= 0);
+        const blocked = (subtask.dependencies || []).some(dependency => !fullMarks.get(dependency));
+        const stopEarly = subtask.skipOnFailure !== false && subtask.scoring !== 'sum';
+
+        let complete = !blocked;
+        if (!blocked) {
+            for (const index of indices) {
+                yield index;
+                const score = testScore(results[index]);
+                if (score < 1) {
+                    complete = false;
+                    // Under `min` only a zero settles the subtask's score
+                    if (stopEarly && (subtask.scoring !== 'min' || score <= 0)) break;
+                }
+            }
+        }
+        fullMarks.set(subtask.id, complete);
+    }
+}
+
+/*
+ * Score each subtask from the test results (skipped test cases have no
+ * result). Returns { earned, total, subtasks } where subtasks is the
+ * per-subtask breakdown stored on the submission.
+ */
+function scoreSubtasks(testCases, subtasks, results) {
+    const fullMarks = new Map();
+    let earned = 0;
+    let total = 0;
+
+    const breakdown = subtasks.map(subtask => {
+        const indices = testCases
+            .map((testCase, index) => (testCase.subtask === subtask.id ? index : -1))
+            .filter(index => index >= 0);
+        const scores = indices.map(index => testScore(results[index]));
+        const blocked = (subtask.dependencies || []).some(dependency => !fullMarks.get(dependency));
+        const skipped = indices.filter(index => !results[index] || results[index].status === 'skipped').length;
+
+        let fraction = 0;
+        if (!blocked && scores.length > 0) {
+            switch (subtask.scoring || 'all_or_nothing') {
+                case 'min':
+                    fraction = Math.min(...scores);
+                    break;
+                case 'sum':
+                    fraction = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+                    break;
+                default:
+                    fraction = scores.every(score => score >= 1) ? 1 : 0;
+            }
+        }
+
+        const points = Math.round(subtask.points * fraction * 100) / 100;
+        fullMarks.set(subtask.id, fraction >= 1);
+        earned += points;
+        total += subtask.points;
+
+        let status = 'failed';
+        if (blocked) status = 'skipped';
+        else if (fraction >= 1) status = 'passed';
+        else if (fraction > 0) status = 'partial';
+
+        return {
+            subtaskId: subtask.id,
+            name: subtask.name || subtask.id,
+            score: points,
+            maxScore: subtask.points,
+            status,
+            passedTestCases: scores.filter(score => score >= 1).length,
+            skippedTestCases: skipped,
+            totalTestCases: indices.length
+        };
+    });
+
+    return { earned, total, subtasks: breakdown };
+}
+
+module.exports = {
+    SCORING_MODES,
+    validateSubtasks,
+    testOrder,
+    scoreSubtasks
+};
@@ -0,0 +1,190 @@
+// utils/teams.js
+//
+// Team contests (settings.teamMode): students register as teams of up to
+// settings.maxTeamSize members instead of one by one. Every member must
+// match the contest's filterCriteria and may be in only one team per
+// contest. The members become participants with the team's _id as teamId,
+// so the usual registration checks apply to them; the leaderboard ranks
+// the teams, counting every member's submissions (utils/leaderboard.js),
+// and teammates can read each other's contest submissions and saved code.
+const Contest = require('../models/Contest');
+const User = require('../models/Users');
+const { isTeamContest } = require('./leaderboard');
+
+class TeamError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'TeamError';
+        this.details = details;
+    }
+}
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled'];
+
+/*
+ * Why a user may not enter a contest with these filterCriteria, or null.
+ * Empty criteria allow everyone.
+ */
+function filterCriteriaError(user, criteria = {}) {
+    const checks = [
+        ['department', user.department],
+        ['semester', user.semester],
+        ['division', user.div],
+        ['batch', user.batch]
+    ];
+    for (const [field, value] of checks) {
+        const allowed = criteria[field] || [];
+        if (allowed.length > 0 && !allowed.includes(value)) {
+            return `${field} ${value === undefined ? 'unknown' : value} is not one of ${allowed.join(', ')}`;
+        }
+    }
+    const parity = { even: 0, odd: 1 }[criteria.semesterType];
+    if (parity !== undefined && user.semester % 2 !== parity) {
+        return `only ${criteria.semesterType} semesters may enter`;
+    }
+    return null;
+}
+
+/* The team of a user in a contest, or undefined */
+function teamOf(contest, userId) {
+    return (contest.teams || []).find(team => team.members.some(member => String(member.userId) === String(userId)));
+}
+
+/* Resolves true when both users are in the same team of the contest */
+async function areTeammates(contestId, userId, otherUserId) {
+    if (!String(contestId).match(/^[0-9a-fA-F]{24}$/)) {
+        return false;
+    }
+    const found = await Contest.exists({
+        _id: contestId,
+        teams: { $elemMatch: { 'members.userId': { $all: [userId, otherUserId] } } }
+    });
+    return Boolean(found);
+}
+
+/*
+ * Register a team of the users memberIds in a team contest. createdBy is
+ * the user forming it. Resolves with { contest, team }; throws TeamError
+ * (with details per member where it applies) when the team is not allowed.
+ */
+async function registerTeam(contest, { name, memberIds }, createdBy) {
+    if (!isTeamContest(contest)) {
+        throw new TeamError('This is not a team contest');
+    }
+    if (CLOSED_STATUSES.includes(contest.status)) {
+        throw new TeamError('Contest is not accepting registrations');
+    }
+
+    const teamName = String(name || '').trim();
+    if (!teamName) {
+        throw new TeamError('A team name is required');
+    }
+    if (contest.teams.some(team => team.name.toLowerCase() === teamName.toLowerCase())) {
+        throw new TeamError(`A team called "${teamName}" is already registered`);
+    }
+
+    const ids = [...new Set((Array.isArray(memberIds) ? memberIds : []).map(String))];
+    const maxTeamSize = contest.settings.maxTeamSize;
+    if (ids.length === 0 || ids.length > maxTeamSize) {
+        throw new TeamError(`A team has 1 to ${maxTeamSize} members`);
+    }
+    if (ids.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+        throw new TeamError('Invalid member ID format');
+    }
+    if (contest.participants.length + ids.length > contest.maxParticipants) {
+        throw new TeamError('Contest is full');
+    }
+
+    const users = await User.find({ _id: { $in: ids } })
+        .select('name email department semester div batch role archived');
+    const details = ids.filter(id => !users.some(user => String(user._id) === id))
+        .map(id => `${id}: user not found`);
+    users.forEach(user => {
+        let problem = null;
+        if (user.role !== 'Student' || user.archived) {
+            problem = 'only active students can be team members';
+        } else if (teamOf(contest, user._id)) {
+            problem = `already in team "${teamOf(contest, user._id).name}"`;
+        } else if (contest.participants.some(p => String(p.userId) === String(user._id))) {
+            problem = 'already registered';
+        } else {
+            problem = filterCriteriaError(user, contest.filterCriteria);
+        }
+        if (problem) {
+            details.push(`${user.name}: ${problem}`);
+        }
+    });
+    if (details.length > 0) {
+        throw new TeamError('Invalid team', details);
+    }
+
+    const now = new Date();
+    const team = contest.teams.create({
+        name: teamName,
+        members: users.map(user => ({ userId: user._id, name: user.name, email: user.email })),
+        createdBy,
+        createdAt: now
+    });
+    const participants = users.map(user => ({
+        userId: user._id,
+        teamId: team._id,
+        name: user.name,
+        email: user.email,
+        department: user.department,
+        semester: user.semester || 1,
+        division: user.div || 1,
+        batch: user.batch || 'A1',
+        registrationTime: now,
+        lastActivityTime: now
+    }));
+
+    // Conditional, so two teams formed at once cannot share a member
+    const updated = await Contest.findOneAndUpdate(
+        {
+            _id: contest._id,
+            status: { $nin: CLOSED_STATUSES },
+            'participants.userId': { $nin: users.map(user => user._id) },
+            'teams.name': { $ne: teamName }
+        },
+        { $push: { teams: team, participants: { $each: participants } } },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new TeamError('The contest changed in the meantime (a member joined another team?), try again');
+    }
+    return { contest: updated, team: updated.teams.id(team._id) };
+}
+
+/*
+ * Remove a team and its members' registrations, while none of them has
+ * started or submitted. Resolves with the updated contest.
+ */
+async function disbandTeam(contest, teamId) {
+    const team = contest.teams.id(teamId);
+    if (!team) {
+        throw new TeamError('Team not found');
+    }
+    const active = contest.participants.some(p =>
+        String(p.teamId) === String(team._id) && (p.submissions > 0 || p.startedAt));
+    if (active) {
+        throw new TeamError('The team has already started the contest');
+    }
+
+    return Contest.findOneAndUpdate(
+        {
+            _id: contest._id,
+            participants: { $not: { $elemMatch: { teamId: team._id, $or: [{ submissions: { $gt: 0 } }, { startedAt: { $ne: null } }] } } }
+        },
+        { $pull: { teams: { _id: team._id }, participants: { teamId: team._id } } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    TeamError,
+    filterCriteriaError,
+    teamOf,
+    areTeammates,
+    registerTeam,
+    disbandTeam
+};
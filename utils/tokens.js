@@ -0,0 +1,80 @@
+// utils/tokens.js
+//
+// Signed bearer tokens (JWT, HS256). Logging in returns a short-lived access
+// token, sent as `Authorization: Bearer <token>` with every request, and a
+// long-lived refresh token that only POST /token/refresh accepts. Both carry
+// the user's tokenVersion, so bumping it (logout, password change) revokes
+// every token issued before.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const ISSUER = 'codify';
+
+function loadSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+    // Tokens then only work within this process and die with it
+    console.warn('⚠️ JWT_SECRET is not set: using a random secret for this process');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+const SECRET = loadSecret();
+
+class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+function sign(user, type, expiresIn) {
+    return jwt.sign(
+        { type, role: user.role, ver: user.tokenVersion || 0 },
+        SECRET,
+        { subject: String(user._id), issuer: ISSUER, expiresIn, jwtid: crypto.randomUUID() }
+    );
+}
+
+/* Access and refresh tokens for a user, as returned by login and refresh */
+function issueTokens(user) {
+    const accessToken = sign(user, 'access', ACCESS_TOKEN_TTL);
+    return {
+        tokenType: 'Bearer',
+        accessToken,
+        expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+        refreshToken: sign(user, 'refresh', REFRESH_TOKEN_TTL)
+    };
+}
+
+/*
+ * Check a token's signature, expiry and type ('access' or 'refresh').
+ * Resolves with { userId, role, tokenVersion }; throws TokenError.
+ */
+function verifyToken(token, type) {
+    let payload;
+    try {
+        payload = jwt.verify(token, SECRET, { issuer: ISSUER, algorithms: ['HS256'] });
+    } catch (err) {
+        throw new TokenError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+    if (payload.type !== type) {
+        throw new TokenError('Invalid token');
+    }
+    return {
+        userId: payload.sub,
+        role: payload.role,
+        tokenVersion: payload.ver || 0
+    };
+}
+
+module.exports = {
+    TokenError,
+    issueTokens,
+    verifyToken
+};
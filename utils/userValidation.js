@@ -0,0 +1,79 @@
+// utils/userValidation.js
+//
+// Field rules for creating users, shared by POST /user and the bulk student
+// import so both accept exactly the same data.
+const { ROLES } = require('./permissions');
+
+const VALID_BATCHES = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+const VALID_DIVISIONS = [1, 2];
+const STUDENT_FIELDS = ['student_id', 'department', 'batch', 'div', 'semester'];
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/*
+ * Normalize and check the fields of a new user. Returns { user, errors }:
+ * user holds the trimmed, converted fields for the schema (student fields
+ * only for students) and errors the messages, empty when valid. With
+ * requirePassword false a missing password is accepted (updates).
+ */
+function validateUserFields(data, { requirePassword = true } = {}) {
+    const role = text(data.role) || 'Student';
+    const user = {
+        username: text(data.username),
+        name: text(data.name),
+        email: text(data.email).toLowerCase(),
+        role
+    };
+    if (data.password !== undefined && data.password !== null && data.password !== '') {
+        user.password = String(data.password);
+    }
+
+    const errors = [];
+    if (!ROLES.includes(role)) {
+        errors.push('Role must be one of: ' + ROLES.join(', '));
+        return { user, errors };
+    }
+
+    const required = ['username', 'name', 'email'];
+    if (requirePassword) required.push('password');
+    if (role === 'Student') required.push(...STUDENT_FIELDS);
+
+    const missing = required.filter(field => field === 'password' ? !user.password : !text(data[field]));
+    if (missing.length > 0) {
+        errors.push(`Missing required fields for ${role} users: ${missing.join(', ')}`);
+    }
+
+    if (user.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(user.email)) {
+        errors.push('Email is not valid');
+    }
+
+    if (role !== 'Student') {
+        return { user, errors };
+    }
+
+    user.student_id = text(data.student_id);
+    user.department = text(data.department);
+    user.batch = text(data.batch).toUpperCase();
+    user.div = parseInt(data.div, 10);
+    user.semester = parseInt(data.semester, 10);
+
+    if (text(data.div) && !VALID_DIVISIONS.includes(user.div)) {
+        errors.push('Division must be 1 or 2');
+    }
+    if (user.batch && !VALID_BATCHES.includes(user.batch)) {
+        errors.push('Batch must be one of: ' + VALID_BATCHES.join(', '));
+    }
+    if (text(data.semester) && !(Number.isInteger(user.semester) && user.semester >= 1 && user.semester <= 8)) {
+        errors.push('Semester must be between 1 and 8');
+    }
+
+    return { user, errors };
+}
+
+module.exports = {
+    VALID_BATCHES,
+    VALID_DIVISIONS,
+    validateUserFields
+};
@@ -0,0 +1,162 @@
+// utils/virtualContest.js
+//
+// Virtual participation: once a contest is Completed, a user who did not
+// take part may replay it on their own clock, for as long as the contest
+// lasted (its duration with personal windows). Their submissions to the
+// contest during that time are recorded with virtualParticipationId and
+// judged and scored with the contest's own rules, timed from their start;
+// they never count in the contest's standings or statistics. Their rank is
+// where they would stand among the contest's final standings.
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const VirtualParticipation = require('../models/VirtualParticipation');
+const { computeLeaderboard, placeAmong, buildLeaderboard } = require('./leaderboard');
+const { closesAt, hasPersonalWindows, parseDuration } = require('./contestWindow');
+
+class VirtualParticipationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VirtualParticipationError';
+    }
+}
+
+/* How long a virtual participation in the contest lasts, in minutes */
+function virtualDuration(contest) {
+    if (hasPersonalWindows(contest)) {
+        return parseDuration(contest.duration);
+    }
+    return Math.max(1, Math.round((closesAt(contest) - new Date(contest.startDate)) / 60000));
+}
+
+/*
+ * Start a virtual participation of `user` in a Completed contest. Resolves
+ * with the participation; throws VirtualParticipationError when the contest
+ * cannot be replayed or the user already took part in it.
+ */
+async function startVirtualParticipation(contest, user, now = new Date()) {
+    if (contest.status !== 'Completed') {
+        throw new VirtualParticipationError('Only completed contests can be replayed');
+    }
+
+    const official = await Submission.exists({
+        contestId: contest._id,
+        userId: user._id,
+        isUpsolve: { $ne: true },
+        virtualParticipationId: null
+    });
+    if (official) {
+        throw new VirtualParticipationError('You took part in this contest');
+    }
+
+    try {
+        return await VirtualParticipation.create({
+            contestId: contest._id,
+            userId: user._id,
+            name: user.name,
+            email: user.email,
+            department: user.department,
+            semester: user.semester,
+            division: user.div,
+            batch: user.batch,
+            startedAt: now,
+            endsAt: new Date(now.getTime() + virtualDuration(contest) * 60000)
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new VirtualParticipationError('You already have a virtual participation in this contest');
+        }
+        throw err;
+    }
+}
+
+/* The user's virtual participation in the contest that is running at `now`, or null */
+function runningVirtualParticipation(contestId, userId, now = new Date()) {
+    return VirtualParticipation.findOne({
+        contestId,
+        userId,
+        startedAt: { $lte: now },
+        endsAt: { $gt: now }
+    });
+}
+
+/* The standings a virtual participant is ranked against */
+async function originalStandings(contest) {
+    const withStandings = await Contest.findById(contest._id).select('+finalStandings');
+    if (withStandings && withStandings.finalStandings && withStandings.finalStandings.length > 0) {
+        return withStandings.finalStandings;
+    }
+    // Contests completed before final standings were stored
+    return buildLeaderboard(contest);
+}
+
+/*
+ * A virtual participation's standing: { row, rank, outOf, standings } with
+ * row as computeLeaderboard returns it (timed from the participation's
+ * start) and standings the original ones with the row in its place.
+ */
+async function virtualStanding(participation, contest) {
+    const submissions = await Submission.find({ virtualParticipationId: participation._id, source: { $ne: 'recorded' } })
+        .select('userId problemId status score submittedAt')
+        .sort({ submittedAt: 1, _id: 1 })
+        .lean();
+    const [row] = computeLeaderboard(contest, submissions, null, [participation]);
+    const original = (await originalStandings(contest)).map(entry => ({
+        rank: entry.rank,
+        userId: entry.userId,
+        teamId: entry.teamId,
+        name: entry.name,
+        score: entry.score,
+        solved: entry.solved,
+        penalty: entry.penalty
+    }));
+
+    const { rank, standings } = placeAmong(contest, { ...row, virtual: true }, original);
+    return { row: { ...row, rank }, rank, outOf: original.length + 1, standings };
+}
+
+/* Store the current result of a participation. Resolves with it. */
+async function refreshVirtualResult(participationId) {
+    const participation = await VirtualParticipation.findById(participationId);
+    if (!participation) {
+        return null;
+    }
+    const contest = await Contest.findById(participation.contestId);
+    if (!contest) {
+        return participation;
+    }
+
+    const { row, rank, outOf } = await virtualStanding(participation, contest);
+    participation.result = {
+        rank,
+        outOf,
+        score: row.score,
+        solved: row.solved,
+        penalty: row.penalty,
+        submissions: row.submissions,
+        problems: row.problems.map(({ problemId, attempts, solved, score, solvedAt, penalty }) => ({
+            problemId, attempts, solved, score, solvedAt, penalty
+        })),
+        updatedAt: new Date()
+    };
+    await participation.save();
+    return participation;
+}
+
+/* Refresh every virtual result of a contest, after its verdicts or standings changed */
+async function refreshContestVirtualResults(contestId) {
+    const participations = await VirtualParticipation.find({ contestId }).select('_id').lean();
+    for (const { _id } of participations) {
+        await refreshVirtualResult(_id);
+    }
+    return participations.length;
+}
+
+module.exports = {
+    VirtualParticipationError,
+    virtualDuration,
+    startVirtualParticipation,
+    runningVirtualParticipation,
+    virtualStanding,
+    refreshVirtualResult,
+    refreshContestVirtualResults
+};